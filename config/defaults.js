@@ -0,0 +1,443 @@
+// Defaults shared by every environment profile in ./environments
+
+// Token reference embedded in token pairs
+const pairToken = {
+  type: 'object',
+  required: ['id', 'symbol'],
+  optional: ['name', 'decimals'],
+  properties: {
+    id: { type: 'string', format: 'address' },
+    symbol: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    decimals: { type: 'integer', minimum: 0, maximum: 18 }
+  },
+  additionalProperties: false
+};
+
+module.exports = {
+  // API Configuration
+  baseURL: 'http://localhost:5006',
+  
+  // Serve test files from the bundled mock server (see utils.useMockServer)
+  mockServer: false,
+  
+  // Credentials sent with every request: none, bearer, apiKey or session
+  // (see utils/auth.js); override per call with makeRequest(endpoint, { auth })
+  auth: {
+    type: 'none'
+  },
+  
+  // Test endpoints
+  endpoints: {
+    tokens: '/api/tokens',
+    tokenPairs: '/api/token-pairs',
+    history: '/api/history',
+    config: '/api/config',
+    auth: '/api/auth',
+    watchlist: '/api/watchlist'
+  },
+  
+  // Test data
+  testData: {
+    validTokenId: '0x4dc08b15ea0e10b96c41aec22fab934ba15c983e', // WTFUEL
+    quoteTokenId: '0x22cb20636c2d853de2b140c2eaddbfd6c3643a39', // USDC, prices derivedETH in USD
+    validPairId: '0x4dc08b15ea0e10b96c41aec22fab934ba15c983e-0x22cb20636c2d853de2b140c2eaddbfd6c3643a39',
+    validSymbol: 'TFUEL',
+    validResolution: '1D',
+    validResolutions: ['1', '5', '15', '60', '240', '1D', '1W'],
+    validTimeRange: {
+      from: Math.floor(Date.now() / 1000) - 86400 * 7, // 7 days ago
+      to: Math.floor(Date.now() / 1000) // now
+    },
+    // Accounts for the auth suite: member may read the watchlist, viewer may not
+    accounts: {
+      member: {
+        username: process.env.API_USERNAME || 'tester',
+        password: process.env.API_PASSWORD || 'correct-horse-battery',
+        apiKey: process.env.API_KEY || 'tk_test_4f9c2a7e1b'
+      },
+      viewer: {
+        username: process.env.API_VIEWER_USERNAME || 'viewer',
+        password: process.env.API_VIEWER_PASSWORD || 'read-only-viewer',
+        apiKey: process.env.API_VIEWER_KEY || 'tk_view_8d31e05c6a'
+      }
+    }
+  },
+  
+  // OpenAPI contract: when spec is set, endpoints and schemas below are
+  // extended from it and every response is validated against the spec
+  openapi: {
+    spec: process.env.OPENAPI_SPEC || null,
+    coverageFile: 'test-results/contract-coverage.jsonl'
+  },
+  
+  // Cross-endpoint checks (utils/integrity.js): allowed relative difference
+  // between totalLiquidity and summed reserves, and between the latest
+  // history close of testData.validSymbol (backed by validTokenId) and its
+  // derived USD price, and between each pair's reserveUSD and the value of
+  // its reserves
+  integrity: {
+    liquidityTolerance: 0.01,
+    priceTolerance: 0.1,
+    reserveValueTolerance: 0.02
+  },
+  
+  // On-chain cross-check (utils/chain.js): EVM JSON-RPC node and the swap
+  // factory that resolves pair contracts. Under the mock server the tests
+  // use the bundled stand-in node (mock/rpc.js) instead; elsewhere they are
+  // skipped unless rpcUrl is set. testData.validPairId and sampleSize pairs
+  // of the list are verified; tolerance allows for blocks mined between the
+  // API snapshot and the call. chainId is 361 on Theta mainnet
+  chain: {
+    rpcUrl: process.env.RPC_URL || null,
+    factory: process.env.CHAIN_FACTORY || null,
+    chainId: Number(process.env.CHAIN_ID) || 361,
+    sampleSize: 3,
+    tolerance: 0.001,
+    timeout: 5000
+  },
+  
+  // On-chain amount fields per schema (utils/decimal.js), checked as
+  // canonical non-negative decimal strings. A number caps the decimals of a
+  // field; a string names the item field holding the token's decimals
+  amounts: {
+    token: {
+      derivedETH: 18,
+      tradeVolume: 'decimals',
+      totalLiquidity: 'decimals',
+      volume24HrsETH: 18,
+      volume24HrsUSD: 18
+    },
+    tokenPair: {
+      reserve0: 'token0.decimals',
+      reserve1: 'token1.decimals',
+      totalSupply: 18,
+      reserveUSD: 18
+    }
+  },
+  
+  // List paging (utils/pagination.js): page size the pager walks with,
+  // the largest limit the API serves and a guard against endless walks
+  pagination: {
+    pageSize: 2,
+    maxLimit: 100,
+    maxPages: 50
+  },
+  
+  // Property-based fuzzing (utils/fuzz.js): generated cases per target,
+  // per-request timeout, shrink budget and where minimal failing cases are
+  // saved when saveRegressions is on (FUZZ_SAVE=on, set by make fuzz); seed
+  // null picks a new one every run, or a fixed one while cassettes record
+  // or replay
+  fuzz: {
+    seed: process.env.FUZZ_SEED ? Number(process.env.FUZZ_SEED) : null,
+    runs: Number(process.env.FUZZ_RUNS) || 100,
+    timeout: 2000,
+    maxShrinks: 100,
+    regressionsFile: 'tests/fuzz/regressions.json',
+    saveRegressions: process.env.FUZZ_SAVE === 'on'
+  },
+  
+  // Indexer freshness (utils/freshness.js): the newest history bar of each
+  // resolution may be one bar plus tolerance seconds old (resolutions null
+  // means testData.validResolutions, polled over windowBars bars), and at
+  // least minChangedPairs pairs must show new reserves between two polls
+  // pollInterval seconds apart. The lag report is written to reportFile
+  freshness: {
+    resolutions: null,
+    tolerance: { default: 300, '1D': 3600, '1W': 3600 },
+    windowBars: 10,
+    pollInterval: Number(process.env.FRESHNESS_POLL_INTERVAL) || 60,
+    minChangedPairs: 1,
+    reportFile: 'test-results/freshness.json'
+  },
+  
+  // Run history: jest/reporter.js records every run in dir, with per-test
+  // results and per-request latency, keeping the latest keep runs.
+  // scripts/runs.js compares two runs and charts the last trendRuns in
+  // trendFile, only among runs of the same environment and test files
+  runs: {
+    dir: process.env.RUNS_DIR || 'runs',
+    keep: Number(process.env.RUNS_KEEP) || 200,
+    trendRuns: 20,
+    trendFile: 'test-results/trend.html'
+  },
+  
+  // Synthetic monitor (scripts/monitor.js): runs suites every interval
+  // seconds and keeps the last maxRuns results in historyFile. Its full run
+  // records go to runsDir rather than runs.dir, keeping the last runsKeep (a
+  // week at the default interval), so they neither evict nor mix with
+  // other runs. Alerts go to
+  // webhook once alertAfter runs in a row failed tests or broke a latency
+  // budget (performance.budgets), and recoveries once recoverAfter runs in
+  // a row were clean. The suites only hold API checks, so they run against
+  // any backend; mock-only tests skip when the mock server is off
+  monitor: {
+    suites: ['tests/functional', 'tests/integration', 'tests/freshness'],
+    interval: Number(process.env.MONITOR_INTERVAL) || 300,
+    historyFile: 'test-results/monitor.json',
+    maxRuns: 500,
+    runsDir: 'runs/monitor',
+    runsKeep: 2016,
+    webhook: process.env.MONITOR_WEBHOOK || null,
+    webhookTimeout: 5000,
+    alertAfter: 2,
+    recoverAfter: 2
+  },
+  
+  // Log output of utils/logger.js: level is silent, error, info, debug or
+  // trace; JSON lines go to stderr, or are appended to file when set.
+  // Properties named in redact are masked in every entry
+  logging: {
+    level: process.env.LOG_LEVEL || 'error',
+    file: process.env.LOG_FILE || null,
+    redact: ['authorization', 'x-api-key', 'cookie', 'set-cookie', 'password', 'accessToken', 'refreshToken', 'apiKey', 'token']
+  },
+  
+  // JUnit XML and HTML reports (jest/reporter.js) with the HTTP exchanges
+  // and validation errors of every test, traced through traceFile
+  reporting: {
+    dir: 'test-results',
+    traceFile: 'test-results/traces.jsonl',
+    maxBodyLength: 2000,
+    maxExchanges: 50
+  },
+  
+  // Header conformance (utils/headers.js): what every endpoint must send
+  // to a frontend on origin, with per-endpoint entries merged over default.
+  // cacheControl.maxAge is an inclusive [min, max] range or null; a
+  // security header expected as true only has to be present
+  headers: {
+    origin: process.env.FRONTEND_ORIGIN || 'https://explorer.thetatoken.org',
+    expectations: {
+      default: {
+        cors: {
+          methods: ['GET'],
+          requestHeaders: ['Authorization', 'Content-Type'],
+          exposeHeaders: ['ETag', 'Last-Modified'],
+          maxAge: 600
+        },
+        cacheControl: {
+          directives: ['public'],
+          maxAge: [1, 300]
+        },
+        conditional: true,
+        compression: ['gzip', 'br'],
+        security: {
+          'X-Content-Type-Options': 'nosniff',
+          'X-Frame-Options': 'DENY',
+          'Referrer-Policy': 'no-referrer',
+          'Content-Security-Policy': true,
+          'Strict-Transport-Security': true
+        }
+      },
+      config: {
+        cacheControl: { maxAge: [60, 86400] }
+      },
+      watchlist: {
+        cacheControl: { directives: ['private', 'no-store'], maxAge: null },
+        conditional: false
+      },
+      auth: {
+        cors: { methods: ['GET', 'POST'] },
+        cacheControl: { directives: ['no-store'], maxAge: null },
+        conditional: false,
+        compression: []
+      }
+    }
+  },
+  
+  // Golden responses (utils/golden.js), one per request under dir. Fields
+  // named in mask are stored as a typed placeholder; numbers in tolerance
+  // may drift by that ratio. Rules name a field or an index-free path
+  // such as 'pairs[].reserveUSD'. failOnMissing fails a request without a
+  // golden file instead of writing one; it is on under CI unless
+  // GOLDEN_FAIL_MISSING=off
+  golden: {
+    mode: process.env.GOLDEN_MODE || 'compare',
+    failOnMissing: process.env.GOLDEN_FAIL_MISSING
+      ? process.env.GOLDEN_FAIL_MISSING === 'on'
+      : Boolean(process.env.CI) && process.env.CI !== 'false',
+    dir: 'golden',
+    scrub: ['from', 'to'],
+    mask: ['t', 'o', 'h', 'l', 'c', 'v', 'tradeVolume', 'volume24HrsETH', 'volume24HrsUSD'],
+    tolerance: {
+      derivedETH: 0.05,
+      totalLiquidity: 0.1,
+      reserve0: 0.1,
+      reserve1: 0.1,
+      reserveUSD: 0.1,
+      totalSupply: 0.1
+    }
+  },
+  
+  // Record/replay cassettes (utils/cassette.js), one file per test under
+  // dir; scrubbed query parameters are ignored when matching requests
+  cassettes: {
+    mode: process.env.CASSETTE_MODE || 'passthrough',
+    dir: 'cassettes',
+    scrub: ['from', 'to']
+  },
+  
+  // Expected response schemas (language documented in utils/schema.js)
+  schemas: {
+    token: {
+      type: 'object',
+      required: ['id', 'name', 'symbol', 'derivedETH', 'tradeVolume', 'totalLiquidity'],
+      optional: ['decimals', 'logo', 'volume24HrsETH', 'volume24HrsUSD'],
+      properties: {
+        id: { type: 'string', format: 'address' },
+        name: { type: 'string', minLength: 1 },
+        symbol: { type: 'string', minLength: 1 },
+        decimals: { type: 'integer', minimum: 0, maximum: 18 },
+        derivedETH: { type: 'string', format: 'decimal' },
+        tradeVolume: { type: 'string', format: 'decimal' },
+        totalLiquidity: { type: 'string', format: 'decimal' },
+        logo: { type: 'string', format: 'url', nullable: true },
+        volume24HrsETH: { type: 'string', format: 'decimal' },
+        volume24HrsUSD: { type: 'string', format: 'decimal' }
+      },
+      additionalProperties: false
+    },
+    tokenPair: {
+      type: 'object',
+      required: ['id', 'token0', 'token1', 'reserve0', 'reserve1'],
+      optional: ['totalSupply', 'reserveUSD'],
+      properties: {
+        id: { type: 'string', format: 'pairId' },
+        token0: pairToken,
+        token1: pairToken,
+        reserve0: { type: 'string', format: 'decimal' },
+        reserve1: { type: 'string', format: 'decimal' },
+        totalSupply: { type: 'string', format: 'decimal' },
+        reserveUSD: { type: 'string', format: 'decimal' }
+      },
+      additionalProperties: false
+    },
+    udfConfig: {
+      type: 'object',
+      required: ['supported_resolutions', 'supports_group_request', 'supports_marks', 'supports_search', 'supports_timescale_marks'],
+      optional: ['supports_time', 'exchanges', 'symbols_types'],
+      properties: {
+        supported_resolutions: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', pattern: /^\d+[SDWM]?$/ }
+        },
+        supports_group_request: { type: 'boolean' },
+        supports_marks: { type: 'boolean' },
+        supports_search: { type: 'boolean' },
+        supports_timescale_marks: { type: 'boolean' },
+        supports_time: { type: 'boolean' },
+        exchanges: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['value', 'name', 'desc'],
+            properties: {
+              value: { type: 'string' },
+              name: { type: 'string', minLength: 1 },
+              desc: { type: 'string' }
+            }
+          }
+        },
+        symbols_types: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name', 'value'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              value: { type: 'string' }
+            }
+          }
+        }
+      },
+      additionalProperties: false
+    },
+    authTokens: {
+      type: 'object',
+      required: ['accessToken', 'refreshToken', 'tokenType', 'expiresIn'],
+      properties: {
+        accessToken: { type: 'string', minLength: 1 },
+        refreshToken: { type: 'string', minLength: 1 },
+        tokenType: { type: 'string', enum: ['Bearer'] },
+        expiresIn: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    },
+    history: {
+      type: 'object',
+      required: ['t', 'o', 'h', 'l', 'c', 'v', 's'],
+      optional: ['nextTime', 'errmsg'],
+      properties: {
+        t: { type: 'array', items: { type: 'integer', minimum: 0 } },
+        o: { type: 'array', items: { type: 'number', minimum: 0 } },
+        h: { type: 'array', items: { type: 'number', minimum: 0 } },
+        l: { type: 'array', items: { type: 'number', minimum: 0 } },
+        c: { type: 'array', items: { type: 'number', minimum: 0 } },
+        v: { type: 'array', items: { type: 'number', minimum: 0 } },
+        s: { type: 'string', enum: ['ok', 'no_data'] },
+        nextTime: { type: 'integer' },
+        errmsg: { type: 'string' }
+      },
+      additionalProperties: false
+    }
+  },
+  
+  // Retries for idempotent requests (GET, HEAD, OPTIONS, PUT, DELETE);
+  // per call: makeRequest(endpoint, { retry: { retries: 0 } }) or { retry: false }
+  retry: {
+    retries: 2,
+    statuses: [502, 503, 504],
+    errorCodes: ['ECONNRESET'],
+    baseDelay: 200,
+    factor: 2,
+    maxDelay: 5000,
+    jitter: 0.5,
+    respectRetryAfter: true
+  },
+  
+  // Per-endpoint circuit breaker, keyed by endpoints entry: after `threshold` consecutive outages (no response or a
+  // failureStatuses reply) calls short-circuit for resetTimeout ms
+  circuitBreaker: {
+    enabled: true,
+    threshold: 5,
+    resetTimeout: 30000,
+    failureStatuses: [502, 503, 504]
+  },
+  
+  // Repeated-measurement benchmarks (utils/benchmark.js): max ms per
+  // statistic for each endpoint, checked over warmup + iterations calls
+  performance: {
+    warmup: 2,
+    iterations: 10,
+    budgets: {
+      tokens: { median: 1000, p95: 3000, max: 6000 },
+      tokenPairs: { median: 1000, p95: 3000, max: 6000 },
+      history: { median: 1500, p95: 4000, max: 5000 }
+    }
+  },
+  
+  // Load and soak runs (tests/performance); override with LOAD_DURATION,
+  // LOAD_CONCURRENCY and LOAD_RATE for longer nightly soaks
+  load: {
+    duration: Number(process.env.LOAD_DURATION) || 2000,
+    concurrency: Number(process.env.LOAD_CONCURRENCY) || 4,
+    rate: Number(process.env.LOAD_RATE) || null
+  },
+  
+  // Service level objectives per endpoint: latency percentiles in ms,
+  // errorRate as a 0-1 fraction, minThroughput in requests per second
+  slo: {
+    tokens: { p50: 300, p90: 800, p99: 1500, errorRate: 0.01, minThroughput: 5 },
+    tokenPairs: { p50: 300, p90: 800, p99: 1500, errorRate: 0.01, minThroughput: 5 },
+    history: { p50: 500, p90: 1200, p99: 2500, errorRate: 0.01, minThroughput: 2 }
+  },
+  
+  // Timeouts
+  timeouts: {
+    request: 5000,
+    test: 10000
+  }
+}; 
\ No newline at end of file
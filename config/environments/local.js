@@ -0,0 +1,12 @@
+// Local development against the bundled mock server or a backend on :5006
+module.exports = {
+  baseURL: 'http://localhost:5006',
+  mockServer: true,
+  openapi: {
+    spec: process.env.OPENAPI_SPEC || 'mock/openapi.json'
+  },
+  // The mock's live scenario trades every second
+  freshness: {
+    pollInterval: Number(process.env.FRESHNESS_POLL_INTERVAL) || 2
+  }
+};
@@ -0,0 +1,17 @@
+// Public production explorer; read-only checks only
+const tokenId = process.env.PRODUCTION_TOKEN_ID;
+const quoteTokenId = process.env.PRODUCTION_QUOTE_TOKEN_ID;
+
+module.exports = {
+  baseURL: process.env.PRODUCTION_API_URL,
+  // Tokens listed on this deployment; the pair defaults to token-quote
+  testData: {
+    validTokenId: tokenId,
+    quoteTokenId,
+    validPairId: process.env.PRODUCTION_PAIR_ID || `${tokenId}-${quoteTokenId}`
+  },
+  timeouts: {
+    request: 8000,
+    test: 15000
+  }
+};
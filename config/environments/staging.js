@@ -0,0 +1,21 @@
+// Shared staging deployment
+const tokenId = process.env.STAGING_TOKEN_ID;
+const quoteTokenId = process.env.STAGING_QUOTE_TOKEN_ID;
+
+module.exports = {
+  baseURL: process.env.STAGING_API_URL,
+  auth: {
+    type: 'bearer',
+    token: process.env.STAGING_API_TOKEN
+  },
+  // Tokens listed on this deployment; the pair defaults to token-quote
+  testData: {
+    validTokenId: tokenId,
+    quoteTokenId,
+    validPairId: process.env.STAGING_PAIR_ID || `${tokenId}-${quoteTokenId}`
+  },
+  timeouts: {
+    request: 10000,
+    test: 20000
+  }
+};
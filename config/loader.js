@@ -0,0 +1,443 @@
+const fs = require('fs');
+const path = require('path');
+const defaults = require('./defaults');
+const { loadSpec, resolveSpecPath, generateConfig } = require('../utils/openapi');
+const { CASSETTE_MODES } = require('../utils/cassette');
+const { AUTH_TYPES } = require('../utils/auth');
+const { LOG_LEVELS } = require('../utils/logger');
+const { GOLDEN_MODES } = require('../utils/golden');
+const { validationResult } = require('../utils/validation');
+
+const ENVIRONMENTS_DIR = path.join(__dirname, 'environments');
+const DEFAULT_ENVIRONMENT = 'local';
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Merge a profile over a base config. Objects merge key by key, everything
+ * else (arrays included) is replaced, so a profile can blank out a default.
+ * @param {object} base - Base config
+ * @param {object} override - Profile values
+ * @returns {object} - Merged copy
+ */
+const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  Object.keys(override).forEach(key => {
+    merged[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+      ? mergeConfig(base[key], override[key])
+      : override[key];
+  });
+  return merged;
+};
+
+/**
+ * List the profile names available in config/environments
+ * @returns {string[]} - Environment names
+ */
+const listEnvironments = () => fs.readdirSync(ENVIRONMENTS_DIR)
+  .filter(file => file.endsWith('.js'))
+  .map(file => path.basename(file, '.js'));
+
+/**
+ * Pick the environment from `--api-env <name>` / `--api-env=<name>` or API_ENV
+ * @param {string[]} argv - Command line arguments
+ * @param {object} env - Process environment
+ * @returns {string} - Environment name
+ */
+const resolveEnvironment = (argv = process.argv, env = process.env) => {
+  const index = argv.findIndex(arg => arg === '--api-env' || arg.startsWith('--api-env='));
+  if (index !== -1) {
+    const arg = argv[index];
+    return arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[index + 1];
+  }
+  return env.API_ENV || DEFAULT_ENVIRONMENT;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate a merged config
+ * @param {object} config - Merged config
+ * @returns {object} - Validation result
+ */
+const validateConfig = (config) => {
+  const errors = [];
+
+  if (!config.baseURL) {
+    errors.push('baseURL is required');
+  } else if (!/^https?:\/\/[^\s/]+/.test(config.baseURL)) {
+    errors.push(`baseURL must be an http(s) URL, got "${config.baseURL}"`);
+  }
+
+  if (typeof config.mockServer !== 'boolean') {
+    errors.push('mockServer must be a boolean');
+  }
+
+  if (!isPlainObject(config.endpoints)) {
+    errors.push('endpoints is required');
+  } else {
+    Object.entries(config.endpoints).forEach(([name, endpoint]) => {
+      if (typeof endpoint !== 'string' || !endpoint.startsWith('/')) {
+        errors.push(`endpoints.${name} must be a path starting with "/"`);
+      }
+    });
+  }
+
+  const timeouts = config.timeouts || {};
+  ['request', 'test'].forEach(name => {
+    if (!isPositiveInteger(timeouts[name])) {
+      errors.push(`timeouts.${name} must be a positive integer`);
+    }
+  });
+  if (isPositiveInteger(timeouts.request) && isPositiveInteger(timeouts.test) && timeouts.test <= timeouts.request) {
+    errors.push('timeouts.test must be greater than timeouts.request');
+  }
+
+  const retry = config.retry || {};
+  if (!Number.isInteger(retry.retries) || retry.retries < 0) {
+    errors.push('retry.retries must be a non-negative integer');
+  }
+  ['statuses', 'errorCodes'].forEach(name => {
+    if (!Array.isArray(retry[name])) {
+      errors.push(`retry.${name} must be an array`);
+    }
+  });
+  ['baseDelay', 'maxDelay'].forEach(name => {
+    if (typeof retry[name] !== 'number' || retry[name] < 0) {
+      errors.push(`retry.${name} must be a non-negative number`);
+    }
+  });
+  if (typeof retry.factor !== 'number' || retry.factor < 1) {
+    errors.push('retry.factor must be a number >= 1');
+  }
+  if (typeof retry.jitter !== 'number' || retry.jitter < 0 || retry.jitter > 1) {
+    errors.push('retry.jitter must be between 0 and 1');
+  }
+
+  const breaker = config.circuitBreaker || {};
+  if (typeof breaker.enabled !== 'boolean') {
+    errors.push('circuitBreaker.enabled must be a boolean');
+  }
+  if (!isPositiveInteger(breaker.threshold)) {
+    errors.push('circuitBreaker.threshold must be a positive integer');
+  }
+  if (!isPositiveInteger(breaker.resetTimeout)) {
+    errors.push('circuitBreaker.resetTimeout must be a positive integer');
+  }
+  if (!Array.isArray(breaker.failureStatuses)) {
+    errors.push('circuitBreaker.failureStatuses must be an array');
+  }
+
+  const performance = config.performance || {};
+  if (!Number.isInteger(performance.warmup) || performance.warmup < 0) {
+    errors.push('performance.warmup must be a non-negative integer');
+  }
+  if (!isPositiveInteger(performance.iterations)) {
+    errors.push('performance.iterations must be a positive integer');
+  }
+  Object.entries(performance.budgets || {}).forEach(([name, budget]) => {
+    Object.entries(budget).forEach(([key, value]) => {
+      if (!(typeof value === 'number' && value > 0)) {
+        errors.push(`performance.budgets.${name}.${key} must be a positive number`);
+      }
+    });
+  });
+
+  const load = config.load || {};
+  if (!isPositiveInteger(load.duration)) {
+    errors.push('load.duration must be a positive integer');
+  }
+  if (!isPositiveInteger(load.concurrency)) {
+    errors.push('load.concurrency must be a positive integer');
+  }
+  if (load.rate !== null && !(typeof load.rate === 'number' && load.rate > 0)) {
+    errors.push('load.rate must be a positive number or null');
+  }
+
+  Object.entries(config.slo || {}).forEach(([name, slo]) => {
+    ['p50', 'p90', 'p99', 'minThroughput'].forEach(key => {
+      if (slo[key] !== undefined && !(typeof slo[key] === 'number' && slo[key] > 0)) {
+        errors.push(`slo.${name}.${key} must be a positive number`);
+      }
+    });
+    if (slo.errorRate !== undefined && !(slo.errorRate >= 0 && slo.errorRate <= 1)) {
+      errors.push(`slo.${name}.errorRate must be between 0 and 1`);
+    }
+  });
+
+  const auth = config.auth || {};
+  if (!AUTH_TYPES.includes(auth.type)) {
+    errors.push(`auth.type must be one of ${AUTH_TYPES.join(', ')}`);
+  } else if (auth.type === 'bearer' && !auth.token) {
+    errors.push('auth.token is required for bearer auth');
+  } else if (auth.type === 'apiKey' && (!auth.header || !auth.key)) {
+    errors.push('auth.header and auth.key are required for apiKey auth');
+  } else if (auth.type === 'session' && (!auth.username || !auth.password)) {
+    errors.push('auth.username and auth.password are required for session auth');
+  }
+
+  const testData = config.testData || {};
+  ['validTokenId', 'quoteTokenId'].forEach(name => {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(testData[name])) {
+      errors.push(`testData.${name} must be a 0x address`);
+    }
+  });
+  if (!/^0x[a-fA-F0-9]{40}-0x[a-fA-F0-9]{40}$/.test(testData.validPairId)) {
+    errors.push('testData.validPairId must be two 0x addresses joined by "-"');
+  }
+  ['validSymbol', 'validResolution'].forEach(name => {
+    if (typeof testData[name] !== 'string' || testData[name].trim() === '') {
+      errors.push(`testData.${name} is required`);
+    }
+  });
+  Object.entries(testData.accounts || {}).forEach(([name, account]) => {
+    ['username', 'password', 'apiKey'].forEach(field => {
+      if (typeof account[field] !== 'string' || account[field] === '') {
+        errors.push(`testData.accounts.${name}.${field} is required`);
+      }
+    });
+  });
+  if (!Array.isArray(testData.validResolutions) || testData.validResolutions.length === 0) {
+    errors.push('testData.validResolutions must be a non-empty array');
+  }
+  const range = testData.validTimeRange || {};
+  if (!Number.isInteger(range.from) || !Number.isInteger(range.to) || range.from >= range.to) {
+    errors.push('testData.validTimeRange must have integer from < to');
+  }
+
+  if (!isPlainObject(config.schemas)) {
+    errors.push('schemas is required');
+  }
+
+  const openapi = config.openapi || {};
+  if (openapi.spec !== null && typeof openapi.spec !== 'string') {
+    errors.push('openapi.spec must be a file path or null');
+  }
+  if (typeof openapi.coverageFile !== 'string' || openapi.coverageFile === '') {
+    errors.push('openapi.coverageFile is required');
+  }
+
+  const integrity = config.integrity || {};
+  ['liquidityTolerance', 'priceTolerance', 'reserveValueTolerance'].forEach(name => {
+    if (typeof integrity[name] !== 'number' || integrity[name] < 0 || integrity[name] > 1) {
+      errors.push(`integrity.${name} must be between 0 and 1`);
+    }
+  });
+
+  const chain = config.chain || {};
+  if (chain.rpcUrl !== null && !/^https?:\/\//.test(chain.rpcUrl || '')) {
+    errors.push(`chain.rpcUrl must be an http(s) URL or null, got "${chain.rpcUrl}"`);
+  }
+  if (chain.factory !== null && !/^0x[a-fA-F0-9]{40}$/.test(chain.factory || '')) {
+    errors.push('chain.factory must be a 0x address or null');
+  }
+  if (chain.rpcUrl && !chain.factory) {
+    errors.push('chain.factory is required when chain.rpcUrl is set');
+  }
+  ['chainId', 'sampleSize', 'timeout'].forEach(name => {
+    if (!isPositiveInteger(chain[name])) {
+      errors.push(`chain.${name} must be a positive integer`);
+    }
+  });
+  if (typeof chain.tolerance !== 'number' || chain.tolerance < 0 || chain.tolerance > 1) {
+    errors.push('chain.tolerance must be between 0 and 1');
+  }
+
+  const freshness = config.freshness || {};
+  if (freshness.resolutions !== null && !(Array.isArray(freshness.resolutions) && freshness.resolutions.length > 0)) {
+    errors.push('freshness.resolutions must be a non-empty array or null');
+  }
+  const tolerance = freshness.tolerance || {};
+  if (typeof tolerance.default !== 'number') {
+    errors.push('freshness.tolerance.default is required');
+  }
+  Object.entries(tolerance).forEach(([name, seconds]) => {
+    if (typeof seconds !== 'number' || seconds < 0) {
+      errors.push(`freshness.tolerance.${name} must be a non-negative number of seconds`);
+    }
+  });
+  ['windowBars', 'pollInterval'].forEach(name => {
+    if (!isPositiveInteger(freshness[name])) {
+      errors.push(`freshness.${name} must be a positive integer`);
+    }
+  });
+  if (!Number.isInteger(freshness.minChangedPairs) || freshness.minChangedPairs < 0) {
+    errors.push('freshness.minChangedPairs must be a non-negative integer');
+  }
+  if (typeof freshness.reportFile !== 'string' || freshness.reportFile === '') {
+    errors.push('freshness.reportFile is required');
+  }
+
+  const runs = config.runs || {};
+  ['keep', 'trendRuns'].forEach(name => {
+    if (!isPositiveInteger(runs[name])) {
+      errors.push(`runs.${name} must be a positive integer`);
+    }
+  });
+  ['dir', 'trendFile'].forEach(name => {
+    if (typeof runs[name] !== 'string' || runs[name] === '') {
+      errors.push(`runs.${name} is required`);
+    }
+  });
+
+  const monitor = config.monitor || {};
+  if (!Array.isArray(monitor.suites) || monitor.suites.length === 0) {
+    errors.push('monitor.suites must be a non-empty array');
+  }
+  ['interval', 'maxRuns', 'runsKeep', 'webhookTimeout', 'alertAfter', 'recoverAfter'].forEach(name => {
+    if (!isPositiveInteger(monitor[name])) {
+      errors.push(`monitor.${name} must be a positive integer`);
+    }
+  });
+  ['historyFile', 'runsDir'].forEach(name => {
+    if (typeof monitor[name] !== 'string' || monitor[name] === '') {
+      errors.push(`monitor.${name} is required`);
+    }
+  });
+  if (monitor.webhook !== null && !/^https?:\/\//.test(monitor.webhook || '')) {
+    errors.push(`monitor.webhook must be an http(s) URL or null, got "${monitor.webhook}"`);
+  }
+
+  Object.entries(config.amounts || {}).forEach(([schema, fields]) => {
+    Object.entries(fields).forEach(([field, decimals]) => {
+      if (!(Number.isInteger(decimals) && decimals >= 0) && !(typeof decimals === 'string' && decimals !== '')) {
+        errors.push(`amounts.${schema}.${field} must be a number of decimals or the field holding them`);
+      }
+    });
+  });
+
+  const pagination = config.pagination || {};
+  ['pageSize', 'maxLimit', 'maxPages'].forEach(name => {
+    if (!isPositiveInteger(pagination[name])) {
+      errors.push(`pagination.${name} must be a positive integer`);
+    }
+  });
+
+  const fuzz = config.fuzz || {};
+  ['runs', 'timeout', 'maxShrinks'].forEach(name => {
+    if (!isPositiveInteger(fuzz[name])) {
+      errors.push(`fuzz.${name} must be a positive integer`);
+    }
+  });
+  if (fuzz.seed !== null && !Number.isInteger(fuzz.seed)) {
+    errors.push(`fuzz.seed must be an integer or null, got "${fuzz.seed}"`);
+  }
+  if (typeof fuzz.regressionsFile !== 'string' || fuzz.regressionsFile === '') {
+    errors.push('fuzz.regressionsFile is required');
+  }
+  if (typeof fuzz.saveRegressions !== 'boolean') {
+    errors.push('fuzz.saveRegressions must be a boolean');
+  }
+
+  const logging = config.logging || {};
+  if (!LOG_LEVELS.includes(logging.level)) {
+    errors.push(`logging.level must be one of ${LOG_LEVELS.join(', ')}, got "${logging.level}"`);
+  }
+  if (logging.file !== null && (typeof logging.file !== 'string' || logging.file === '')) {
+    errors.push('logging.file must be a path or null');
+  }
+  if (!Array.isArray(logging.redact)) {
+    errors.push('logging.redact must be an array');
+  }
+
+  const reporting = config.reporting || {};
+  ['dir', 'traceFile'].forEach(name => {
+    if (typeof reporting[name] !== 'string' || reporting[name] === '') {
+      errors.push(`reporting.${name} is required`);
+    }
+  });
+  ['maxBodyLength', 'maxExchanges'].forEach(name => {
+    if (!isPositiveInteger(reporting[name])) {
+      errors.push(`reporting.${name} must be a positive integer`);
+    }
+  });
+
+  const headers = config.headers || {};
+  if (typeof headers.origin !== 'string' || !/^https?:\/\//.test(headers.origin)) {
+    errors.push(`headers.origin must be an http(s) origin, got "${headers.origin}"`);
+  }
+  if (!isPlainObject(headers.expectations) || !isPlainObject(headers.expectations.default)) {
+    errors.push('headers.expectations.default is required');
+  } else {
+    Object.entries(headers.expectations).forEach(([name, expected]) => {
+      const maxAge = expected.cacheControl && expected.cacheControl.maxAge;
+      if (maxAge && !(Array.isArray(maxAge) && maxAge.length === 2 && maxAge[0] <= maxAge[1])) {
+        errors.push(`headers.expectations.${name}.cacheControl.maxAge must be [min, max] or null`);
+      }
+      if (expected.compression && !Array.isArray(expected.compression)) {
+        errors.push(`headers.expectations.${name}.compression must be an array`);
+      }
+    });
+  }
+
+  const golden = config.golden || {};
+  if (!GOLDEN_MODES.includes(golden.mode)) {
+    errors.push(`golden.mode must be one of ${GOLDEN_MODES.join(', ')}, got "${golden.mode}"`);
+  }
+  if (typeof golden.failOnMissing !== 'boolean') {
+    errors.push('golden.failOnMissing must be a boolean');
+  }
+  if (typeof golden.dir !== 'string' || golden.dir === '') {
+    errors.push('golden.dir is required');
+  }
+  ['scrub', 'mask'].forEach(name => {
+    if (!Array.isArray(golden[name])) {
+      errors.push(`golden.${name} must be an array`);
+    }
+  });
+  Object.entries(golden.tolerance || {}).forEach(([rule, ratio]) => {
+    if (typeof ratio !== 'number' || ratio < 0) {
+      errors.push(`golden.tolerance.${rule} must be a non-negative number`);
+    }
+  });
+
+  const cassettes = config.cassettes || {};
+  if (!CASSETTE_MODES.includes(cassettes.mode)) {
+    errors.push(`cassettes.mode must be one of ${CASSETTE_MODES.join(', ')}, got "${cassettes.mode}"`);
+  }
+  if (typeof cassettes.dir !== 'string' || cassettes.dir === '') {
+    errors.push('cassettes.dir is required');
+  }
+  if (!Array.isArray(cassettes.scrub)) {
+    errors.push('cassettes.scrub must be an array');
+  }
+
+  return validationResult(errors);
+};
+
+/**
+ * Build the config for an environment: defaults, then the profile, then
+ * entries generated from the OpenAPI spec, then validation
+ * @param {string} environment - Profile name, resolved from argv/env when omitted
+ * @returns {object} - Validated config
+ */
+const loadConfig = (environment = resolveEnvironment()) => {
+  const available = listEnvironments();
+  if (!available.includes(environment)) {
+    throw new Error(`Unknown environment "${environment}". Available: ${available.join(', ')}`);
+  }
+
+  const profile = require(path.join(ENVIRONMENTS_DIR, environment));
+  const config = mergeConfig(defaults, { ...profile, environment });
+
+  if (config.openapi && typeof config.openapi.spec === 'string') {
+    const generated = generateConfig(loadSpec(resolveSpecPath(config.openapi.spec)));
+    config.endpoints = { ...config.endpoints, ...generated.endpoints };
+    config.schemas = { ...config.schemas, ...generated.schemas };
+  }
+
+  const validation = validateConfig(config);
+  if (!validation.isValid) {
+    throw new Error(`Invalid configuration for environment "${environment}":\n  - ${validation.errors.join('\n  - ')}`);
+  }
+
+  return config;
+};
+
+module.exports = {
+  loadConfig,
+  mergeConfig,
+  resolveEnvironment,
+  validateConfig,
+  listEnvironments
+};
@@ -0,0 +1,10 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+// Runs once before all test files: start every run with an empty contract
+// coverage log and trace file
+module.exports = async () => {
+  fs.rmSync(path.resolve(__dirname, '..', config.openapi.coverageFile), { force: true });
+  fs.rmSync(path.resolve(__dirname, '..', config.reporting.traceFile), { force: true });
+};
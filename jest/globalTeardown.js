@@ -0,0 +1,15 @@
+const path = require('path');
+const config = require('../config/config');
+const { loadSpec, resolveSpecPath } = require('../utils/openapi');
+const { readExchanges, buildDriftReport, formatDriftReport } = require('../utils/contract');
+
+// Runs once after all test files: print which spec operations the run exercised
+module.exports = async () => {
+  if (!config.openapi.spec) {
+    return;
+  }
+
+  const spec = loadSpec(resolveSpecPath(config.openapi.spec));
+  const exchanges = readExchanges(path.resolve(__dirname, '..', config.openapi.coverageFile));
+  console.log(`\n${formatDriftReport(buildDriftReport(spec, exchanges))}\n`);
+};
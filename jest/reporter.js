@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { loadSpec, resolveSpecPath } = require('../utils/openapi');
+const { readTraces } = require('../utils/trace');
+const { buildReport, renderJunit, renderHtml } = require('../utils/report');
+const { buildRunRecord, saveRun } = require('../utils/runs');
+
+// Writes junit.xml, report.html and report.json to config.reporting.dir once
+// the run completes, with the HTTP exchanges and validation errors of each
+// test, and records the run in config.runs.dir for scripts/runs.js
+class ApiReporter {
+  onRunComplete(contexts, results) {
+    const dir = path.resolve(__dirname, '..', config.reporting.dir);
+    const spec = config.openapi.spec ? loadSpec(resolveSpecPath(config.openapi.spec)) : null;
+    const report = buildReport(results, readTraces(), spec);
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'junit.xml'), renderJunit(report));
+    fs.writeFileSync(path.join(dir, 'report.html'), renderHtml(report));
+    fs.writeFileSync(path.join(dir, 'report.json'), `${JSON.stringify(report)}\n`);
+    console.log(`Reports written to ${path.relative(process.cwd(), dir)}/junit.xml, report.html and report.json`);
+    saveRun(buildRunRecord(report, spec));
+  }
+}
+
+module.exports = ApiReporter;
@@ -0,0 +1,31 @@
+const config = require('../config/config');
+const { recordedAt } = require('../utils/cassette');
+
+// Runs in every test file: in replay mode, shift Date.now() back to when
+// the test's cassette was recorded, along with testData.validTimeRange,
+// which the config computed from the clock at load time, so time windows
+// match the replayed data
+const realNow = Date.now;
+
+if (config.cassettes.mode === 'replay') {
+  const range = config.testData.validTimeRange;
+  let clock = null;
+
+  beforeEach(() => {
+    const time = recordedAt(config.cassettes.dir);
+    if (time !== null) {
+      const offset = time - realNow();
+      const seconds = Math.round(offset / 1000);
+      clock = jest.spyOn(Date, 'now').mockImplementation(() => realNow() + offset);
+      config.testData.validTimeRange = { from: range.from + seconds, to: range.to + seconds };
+    }
+  });
+
+  afterEach(() => {
+    if (clock) {
+      clock.mockRestore();
+      clock = null;
+      config.testData.validTimeRange = range;
+    }
+  });
+}
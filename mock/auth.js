@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const users = require('./fixtures/users.json');
+
+// Lifetime of issued access tokens in seconds
+const ACCESS_TOKEN_TTL = 900;
+
+const issue = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Create the token store behind /api/auth for one mock server
+ * @returns {object} - Auth store
+ */
+const createAuthStore = () => {
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+
+  const grant = (user) => {
+    const accessToken = issue('at');
+    const refreshToken = issue('rt');
+    accessTokens.set(accessToken, { user, expiresAt: Date.now() + ACCESS_TOKEN_TTL * 1000 });
+    refreshTokens.set(refreshToken, { user, expired: false });
+    return {
+      status: 200,
+      body: { accessToken, refreshToken, tokenType: 'Bearer', expiresIn: ACCESS_TOKEN_TTL }
+    };
+  };
+
+  const unauthorized = (error) => ({
+    status: 401,
+    body: { error },
+    headers: { 'WWW-Authenticate': 'Bearer realm="theta-explorer"' }
+  });
+
+  return {
+    /**
+     * Exchange a username and password for tokens
+     * @param {object} body - Parsed request body
+     * @returns {object} - Status and JSON body
+     */
+    login: (body) => {
+      if (!body || !body.username || !body.password) {
+        return { status: 400, body: { error: 'Missing required field: username, password' } };
+      }
+      const user = users.find(item => item.username === body.username && item.password === body.password);
+      return user ? grant(user) : unauthorized('Invalid credentials');
+    },
+
+    /**
+     * Exchange a refresh token for a new token pair; the old refresh token is spent
+     * @param {object} body - Parsed request body
+     * @returns {object} - Status and JSON body
+     */
+    refresh: (body) => {
+      if (!body || !body.refreshToken) {
+        return { status: 400, body: { error: 'Missing required field: refreshToken' } };
+      }
+      const entry = refreshTokens.get(body.refreshToken);
+      if (!entry || entry.expired) {
+        return unauthorized('Invalid refresh token');
+      }
+      refreshTokens.delete(body.refreshToken);
+      return grant(entry.user);
+    },
+
+    /**
+     * Identify the caller from a bearer token or an X-API-Key header
+     * @param {object} headers - Request headers (lowercased names)
+     * @returns {object} - { user } or a 401 response as { failure }
+     */
+    authenticate: (headers) => {
+      if (headers['x-api-key'] !== undefined) {
+        const user = users.find(item => item.apiKey === headers['x-api-key']);
+        return user ? { user } : { failure: unauthorized('Invalid API key') };
+      }
+      if (!headers.authorization) {
+        return { failure: unauthorized('Missing credentials') };
+      }
+      const match = /^Bearer (\S+)$/.exec(headers.authorization);
+      if (!match) {
+        return { failure: unauthorized('Malformed Authorization header') };
+      }
+      const entry = accessTokens.get(match[1]);
+      if (!entry) {
+        return { failure: unauthorized('Invalid token') };
+      }
+      if (Date.now() >= entry.expiresAt) {
+        return { failure: unauthorized('Token expired') };
+      }
+      return { user: entry.user };
+    },
+
+    /**
+     * Expire every issued access token, and refresh tokens too when asked
+     * @param {object} options - { refresh: true } to also expire refresh tokens
+     */
+    expire: (options = {}) => {
+      accessTokens.forEach(entry => {
+        entry.expiresAt = 0;
+      });
+      if (options.refresh) {
+        refreshTokens.forEach(entry => {
+          entry.expired = true;
+        });
+      }
+    }
+  };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createAuthStore
+};
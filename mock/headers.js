@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// HTTP-level behaviour of the mock explorer: CORS, validators for
+// conditional requests, compression and security headers
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'no-referrer',
+  'Content-Security-Policy': 'default-src \'none\'; frame-ancestors \'none\'',
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains'
+};
+
+const CORS_ALLOW_HEADERS = ['Authorization', 'Content-Type', 'X-API-Key', 'If-None-Match', 'If-Modified-Since'];
+
+const CORS_EXPOSE_HEADERS = ['ETag', 'Last-Modified', 'Retry-After', 'WWW-Authenticate'];
+
+const CORS_MAX_AGE = 600;
+
+// Bodies smaller than this are sent uncompressed
+const COMPRESSION_THRESHOLD = 256;
+
+// Supported content codings, most preferred first
+const ENCODINGS = {
+  br: (payload) => zlib.brotliCompressSync(payload),
+  gzip: (payload) => zlib.gzipSync(payload)
+};
+
+/**
+ * CORS headers for a response. Any origin may read the API; credentials
+ * travel in headers, never cookies, so no origin needs to be echoed.
+ * @param {object} headers - Request headers
+ * @param {string[]} methods - Methods of the route, for preflight requests
+ * @returns {object} - Response headers
+ */
+const corsHeaders = (headers, methods) => {
+  if (!headers.origin) {
+    return {};
+  }
+  if (!headers['access-control-request-method']) {
+    return {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': CORS_EXPOSE_HEADERS.join(', ')
+    };
+  }
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+    'Access-Control-Allow-Headers': CORS_ALLOW_HEADERS.join(', '),
+    'Access-Control-Max-Age': String(CORS_MAX_AGE)
+  };
+};
+
+/**
+ * Strong entity tag of a response body
+ * @param {string} payload - Serialized body
+ * @returns {string} - Quoted ETag
+ */
+const entityTag = (payload) => `"${crypto.createHash('sha1').update(payload).digest('hex').slice(0, 20)}"`;
+
+/**
+ * Decide whether a conditional GET can be answered with 304. If-None-Match
+ * wins over If-Modified-Since, and tags compare weakly as RFC 9110 asks.
+ * @param {object} headers - Request headers
+ * @param {string} etag - Current ETag
+ * @param {Date} lastModified - Current Last-Modified
+ * @returns {boolean} - True when the client copy is still fresh
+ */
+const isNotModified = (headers, etag, lastModified) => {
+  const weak = (tag) => tag.trim().replace(/^W\//, '');
+  if (headers['if-none-match']) {
+    const tags = headers['if-none-match'].split(',').map(weak);
+    return tags.includes('*') || tags.includes(weak(etag));
+  }
+  if (headers['if-modified-since']) {
+    const since = Date.parse(headers['if-modified-since']);
+    return !Number.isNaN(since) && lastModified.getTime() <= since;
+  }
+  return false;
+};
+
+/**
+ * Pick the content coding for a body from Accept-Encoding
+ * @param {string} acceptEncoding - Accept-Encoding request header
+ * @param {number} length - Body length in bytes
+ * @returns {string|null} - 'br', 'gzip' or null for identity
+ */
+const negotiateEncoding = (acceptEncoding, length) => {
+  if (!acceptEncoding || length < COMPRESSION_THRESHOLD) {
+    return null;
+  }
+  const accepted = acceptEncoding.split(',')
+    .map(part => part.trim().split(';'))
+    .filter(([, quality = 'q=1']) => Number(quality.replace(/^q=/, '')) > 0)
+    .map(([coding]) => coding.toLowerCase());
+  return Object.keys(ENCODINGS).find(coding => accepted.includes(coding) || accepted.includes('*')) || null;
+};
+
+/**
+ * Compress a body with a coding from negotiateEncoding
+ * @param {string} payload - Serialized body
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {Buffer} - Compressed body
+ */
+const compress = (payload, encoding) => ENCODINGS[encoding](Buffer.from(payload));
+
+module.exports = {
+  SECURITY_HEADERS,
+  COMPRESSION_THRESHOLD,
+  corsHeaders,
+  entityTag,
+  isNotModified,
+  negotiateEncoding,
+  compress
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const http = require('http');
+const tokens = require('./fixtures/tokens.json');
+const pairs = require('./fixtures/pairs.json');
+
+// Stand-in for a Theta EVM JSON-RPC node. It answers eth_chainId,
+// eth_blockNumber and eth_call against a swap factory, one pair contract
+// per fixture pair and the ERC-20 tokens, with state taken from the
+// explorer fixtures so the API and the "chain" agree until a test says not.
+
+const CHAIN_ID = 361;
+
+const BLOCK_NUMBER = 24000000;
+
+const FACTORY_ADDRESS = '0x000000000000000000000000000000000000fac7';
+
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+
+// Liquidity pool shares have 18 decimals like the pools they mirror
+const PAIR_DECIMALS = 18;
+
+const SELECTORS = {
+  getPair: '0xe6a43905',
+  getReserves: '0x0902f1ac',
+  totalSupply: '0x18160ddd',
+  token0: '0x0dfe1681',
+  token1: '0xd21220a7',
+  symbol: '0x95d89b41',
+  decimals: '0x313ce567'
+};
+
+/**
+ * Address of the pair contract for an explorer pair id
+ * @param {string} pairId - `${token0}-${token1}`
+ * @returns {string} - Lowercase 0x address
+ */
+const pairAddress = (pairId) => `0x${crypto.createHash('sha1').update(pairId.toLowerCase()).digest('hex')}`;
+
+const toUnits = (amount, decimals) => {
+  const [whole, fraction = ''] = String(amount).split('.');
+  return BigInt(whole + fraction.padEnd(decimals, '0').slice(0, decimals));
+};
+
+const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+
+const encodeAddress = (address) => address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+
+const encodeString = (value) => {
+  const bytes = Buffer.from(value, 'utf8');
+  const padded = bytes.toString('hex').padEnd(Math.ceil(bytes.length / 32) * 64, '0');
+  return word(32) + word(bytes.length) + padded;
+};
+
+/**
+ * Build the contract state from the fixtures. Pair contracts order their
+ * tokens by address, as the factory does, whatever order the API uses.
+ * @returns {object} - { tokens, pairs } keyed by lowercase address
+ */
+const buildChain = () => {
+  const tokenState = new Map(tokens.map(token => [token.id.toLowerCase(), {
+    symbol: token.symbol,
+    decimals: token.decimals
+  }]));
+  const pairState = new Map(pairs.map(pair => {
+    const sides = [
+      { id: pair.token0.id.toLowerCase(), reserve: toUnits(pair.reserve0, pair.token0.decimals) },
+      { id: pair.token1.id.toLowerCase(), reserve: toUnits(pair.reserve1, pair.token1.decimals) }
+    ].sort((a, b) => (a.id < b.id ? -1 : 1));
+    return [pairAddress(pair.id), {
+      pairId: pair.id,
+      token0: sides[0].id,
+      token1: sides[1].id,
+      reserve0: sides[0].reserve,
+      reserve1: sides[1].reserve,
+      totalSupply: toUnits(pair.totalSupply || '0', PAIR_DECIMALS),
+      blockTimestampLast: Math.floor(Date.now() / 1000)
+    }];
+  }));
+  return { tokens: tokenState, pairs: pairState };
+};
+
+const rpcError = (id, code, message) => ({ jsonrpc: '2.0', id, error: { code, message } });
+
+const reverted = (id) => rpcError(id, 3, 'execution reverted');
+
+/**
+ * Execute an eth_call against the stand-in contracts
+ * @param {object} chain - State from buildChain
+ * @param {string} to - Contract address
+ * @param {string} data - Calldata
+ * @returns {string|null} - Hex result, '0x' for an address without code,
+ *   null when the contract reverts
+ */
+const execute = (chain, to, data) => {
+  const address = String(to || '').toLowerCase();
+  const selector = String(data || '').slice(0, 10).toLowerCase();
+  const args = String(data || '').slice(10);
+
+  if (address === FACTORY_ADDRESS) {
+    if (selector !== SELECTORS.getPair || args.length !== 128) {
+      return null;
+    }
+    const a = `0x${args.slice(24, 64)}`;
+    const b = `0x${args.slice(88, 128)}`;
+    const found = [...chain.pairs.entries()].find(([, pair]) => (
+      (pair.token0 === a && pair.token1 === b) || (pair.token0 === b && pair.token1 === a)
+    ));
+    return `0x${encodeAddress(found ? found[0] : ZERO_ADDRESS)}`;
+  }
+
+  const pair = chain.pairs.get(address);
+  if (pair) {
+    const results = {
+      [SELECTORS.getReserves]: () => word(pair.reserve0) + word(pair.reserve1) + word(pair.blockTimestampLast),
+      [SELECTORS.totalSupply]: () => word(pair.totalSupply),
+      [SELECTORS.token0]: () => encodeAddress(pair.token0),
+      [SELECTORS.token1]: () => encodeAddress(pair.token1),
+      [SELECTORS.symbol]: () => encodeString('TSWAP-LP'),
+      [SELECTORS.decimals]: () => word(PAIR_DECIMALS)
+    };
+    return results[selector] ? `0x${results[selector]()}` : null;
+  }
+
+  const token = chain.tokens.get(address);
+  if (token) {
+    const results = {
+      [SELECTORS.symbol]: () => encodeString(token.symbol),
+      [SELECTORS.decimals]: () => word(token.decimals)
+    };
+    return results[selector] ? `0x${results[selector]()}` : null;
+  }
+
+  return '0x';
+};
+
+/**
+ * Answer one JSON-RPC request
+ * @param {object} chain - State from buildChain
+ * @param {object} request - JSON-RPC request object
+ * @returns {object} - JSON-RPC response object
+ */
+const handle = (chain, request) => {
+  const id = request && request.id !== undefined ? request.id : null;
+  if (!request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+    return rpcError(id, -32600, 'Invalid Request');
+  }
+  const params = Array.isArray(request.params) ? request.params : [];
+
+  switch (request.method) {
+    case 'eth_chainId':
+      return { jsonrpc: '2.0', id, result: `0x${CHAIN_ID.toString(16)}` };
+    case 'eth_blockNumber':
+      return { jsonrpc: '2.0', id, result: `0x${BLOCK_NUMBER.toString(16)}` };
+    case 'eth_call': {
+      const [call] = params;
+      if (!call || !/^0x[a-fA-F0-9]{40}$/.test(call.to || '') || !/^0x([a-fA-F0-9]{2})*$/.test(call.data || '')) {
+        return rpcError(id, -32602, 'Invalid params');
+      }
+      const result = execute(chain, call.to, call.data);
+      return result === null ? reverted(id) : { jsonrpc: '2.0', id, result };
+    }
+    default:
+      return rpcError(id, -32601, `Method ${request.method} not found`);
+  }
+};
+
+/**
+ * Create a stand-in JSON-RPC node backed by fixture data
+ * @returns {object} - Node controller
+ */
+const createRpcNode = () => {
+  const state = {
+    chain: buildChain(),
+    requests: []
+  };
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        body = undefined;
+      }
+      const batch = Array.isArray(body) ? body : [body];
+      state.requests.push(...batch.filter(Boolean));
+
+      const answers = body === undefined
+        ? [rpcError(null, -32700, 'Parse error')]
+        : batch.map(request => handle(state.chain, request));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(body) ? answers : answers[0]));
+    });
+  });
+
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return {
+    /**
+     * Start listening
+     * @param {number} port - Port to bind, 0 for an ephemeral port
+     * @returns {Promise<string>} - URL of the node
+     */
+    start: (port = 0) => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    }),
+
+    /**
+     * Stop listening and drop open connections
+     * @returns {Promise} - Resolves once the server is closed
+     */
+    stop: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => resolve());
+    }),
+
+    /**
+     * Overwrite on-chain values of a pair, e.g. to let the chain move on
+     * from what the API reports. Amounts are raw units, in contract order.
+     * @param {string} pairId - Explorer pair id
+     * @param {object} values - reserve0, reserve1 and/or totalSupply as BigInt
+     */
+    setPair: (pairId, values) => {
+      const pair = state.chain.pairs.get(pairAddress(pairId));
+      if (!pair) {
+        throw new Error(`Unknown pair ${pairId}`);
+      }
+      Object.assign(pair, values);
+    },
+
+    /**
+     * Restore the fixture state and clear the request log
+     */
+    reset: () => {
+      state.chain = buildChain();
+      state.requests = [];
+    },
+
+    get requests() {
+      return state.requests;
+    }
+  };
+};
+
+module.exports = {
+  createRpcNode,
+  pairAddress,
+  CHAIN_ID,
+  FACTORY_ADDRESS
+};
+
+if (require.main === module) {
+  const port = Number(process.env.RPC_PORT || 8545);
+  createRpcNode().start(port).then(url => {
+    console.log(`Mock Theta JSON-RPC node listening on ${url} (chain ${CHAIN_ID}, factory ${FACTORY_ADDRESS})`);
+  });
+}
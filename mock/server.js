@@ -0,0 +1,609 @@
+const http = require('http');
+const tokens = require('./fixtures/tokens.json');
+const pairs = require('./fixtures/pairs.json');
+const history = require('./fixtures/history.json');
+const { createAuthStore } = require('./auth');
+const {
+  SECURITY_HEADERS,
+  corsHeaders,
+  entityTag,
+  isNotModified,
+  negotiateEncoding,
+  compress
+} = require('./headers');
+
+// Supported history resolutions and their bar length in seconds
+const RESOLUTIONS = {
+  '1': 60,
+  '5': 300,
+  '15': 900,
+  '60': 3600,
+  '240': 14400,
+  '1D': 86400,
+  '1W': 604800
+};
+
+// UDF datafeed configuration served by /api/config
+const UDF_CONFIG = {
+  supported_resolutions: Object.keys(RESOLUTIONS),
+  supports_group_request: false,
+  supports_marks: false,
+  supports_search: false,
+  supports_timescale_marks: false,
+  supports_time: false,
+  exchanges: [
+    { value: '', name: 'All Exchanges', desc: '' },
+    { value: 'ThetaSwap', name: 'ThetaSwap', desc: 'ThetaSwap DEX' }
+  ],
+  symbols_types: [
+    { name: 'All types', value: '' },
+    { name: 'Crypto', value: 'crypto' }
+  ]
+};
+
+const SCENARIOS = ['healthy', 'error', 'slow', 'malformed', 'flaky', 'down', 'live', 'stale'];
+
+const DEFAULT_SLOW_DELAY = 500;
+
+// Block interval in ms of the live scenario, where every block trades
+const DEFAULT_BLOCK_TIME = 1000;
+
+// Seconds the indexer is behind in the stale scenario
+const DEFAULT_LAG = 3600;
+
+// Largest page the list endpoints return; bigger limits are clamped
+const MAX_LIMIT = 100;
+
+// Most bars one history response may hold; wider ranges get a 400
+const MAX_BARS = 20000;
+
+// Methods served per route (other methods get a 405, OPTIONS answers CORS
+// preflights) and the Cache-Control of successful responses
+const ROUTES = [
+  { pattern: /^\/api\/(tokens|token-pairs)$/, methods: ['GET'], cache: 'public, max-age=60' },
+  { pattern: /^\/api\/token-pairs\/[^/]+$/, methods: ['GET'], cache: 'public, max-age=60' },
+  { pattern: /^\/api\/history$/, methods: ['GET'], cache: 'public, max-age=30' },
+  { pattern: /^\/api\/config$/, methods: ['GET'], cache: 'public, max-age=3600' },
+  { pattern: /^\/api\/watchlist$/, methods: ['GET'], cache: 'private, no-store' },
+  { pattern: /^\/api\/auth$/, methods: ['GET', 'POST'], cache: 'no-store' },
+  { pattern: /^\/api\/auth\/refresh$/, methods: ['POST'], cache: 'no-store' }
+];
+
+// Fixture data counts as modified when the server module loaded
+const FIXTURES_MODIFIED = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+const findRoute = (pathname) => ROUTES.find(entry => entry.pattern.test(pathname));
+
+const includesTerm = (value, term) => String(value).toLowerCase().includes(term);
+
+// Paginated list endpoints: response key, sortable fields and search match
+const LISTS = {
+  '/api/tokens': {
+    key: 'tokens',
+    items: () => tokens,
+    sortable: ['id', 'symbol', 'name', 'totalLiquidity', 'tradeVolume'],
+    matches: (token, term) => token.id.toLowerCase() === term ||
+      includesTerm(token.symbol, term) ||
+      includesTerm(token.name, term)
+  },
+  '/api/token-pairs': {
+    key: 'pairs',
+    items: (market) => market.pairs,
+    sortable: ['id', 'reserveUSD', 'totalSupply'],
+    matches: (pair, term) => [pair.token0, pair.token1].some(token => token.id.toLowerCase() === term ||
+      includesTerm(token.symbol, term))
+  }
+};
+
+/**
+ * Deterministic pseudo-random number in [0, 1) for a symbol and timestamp
+ * @param {string} symbol - Ticker symbol
+ * @param {number} t - Unix timestamp in seconds
+ * @returns {number} - Noise value
+ */
+const noise = (symbol, t) => {
+  let hash = 2166136261;
+  const key = `${symbol}:${t}`;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
+
+const round = (value) => Math.round(value * 1e8) / 1e8;
+
+/**
+ * Price of a symbol at a given instant
+ * @param {object} market - History fixture entry
+ * @param {string} symbol - Ticker symbol
+ * @param {number} t - Unix timestamp in seconds
+ * @returns {number} - Price
+ */
+const priceAt = (market, symbol, t) => {
+  const wave = Math.sin(t / (86400 * 7)) * 0.03;
+  return market.basePrice * (1 + wave + (noise(symbol, t) - 0.5) * 0.02);
+};
+
+/**
+ * Build UDF-style OHLCV bars aligned to the resolution
+ * @param {string} symbol - Ticker symbol
+ * @param {string} resolution - Resolution key
+ * @param {number} from - Range start (inclusive)
+ * @param {number} to - Range end (inclusive)
+ * @param {number} now - Time the indexer has reached, in unix seconds
+ * @returns {object} - History payload
+ */
+const buildHistory = (symbol, resolution, from, to, now) => {
+  const market = history[symbol];
+  const step = RESOLUTIONS[resolution];
+  const start = Math.ceil(Math.max(from, market.listedAt) / step) * step;
+  const end = Math.min(to, now);
+  const bars = { t: [], o: [], h: [], l: [], c: [], v: [] };
+
+  for (let t = start; t <= end; t += step) {
+    const open = priceAt(market, symbol, t);
+    const close = priceAt(market, symbol, t + step);
+    const spread = 1 + noise(symbol, t + 1) * 0.01;
+    bars.t.push(t);
+    bars.o.push(round(open));
+    bars.c.push(round(close));
+    bars.h.push(round(Math.max(open, close) * spread));
+    bars.l.push(round(Math.min(open, close) / spread));
+    bars.v.push(round(market.baseVolume * (step / 86400) * (0.5 + noise(symbol, t + 2))));
+  }
+
+  return {
+    s: bars.t.length > 0 ? 'ok' : 'no_data',
+    ...bars
+  };
+};
+
+/**
+ * Scale a decimal string, keeping at most 6 decimals without trailing zeros
+ * @param {string} amount - Decimal string
+ * @param {number} factor - Multiplier
+ * @param {number} decimals - Decimals of the token
+ * @returns {string} - Scaled decimal string
+ */
+const scaleAmount = (amount, factor, decimals) => (Number(amount) * factor)
+  .toFixed(Math.min(decimals, 6))
+  .replace(/(\.\d*?)0+$/, '$1')
+  .replace(/\.$/, '');
+
+/**
+ * Pairs after the swaps of a block. Each pool trades back and forth around
+ * its fixture reserves, keeping the constant product.
+ * @param {number} block - Block number
+ * @returns {object[]} - Pairs with the reserves of that block
+ */
+const tradePairs = (block) => pairs.map((pair, index) => {
+  const factor = 1 + Math.sin(block + index) * 0.001;
+  return {
+    ...pair,
+    reserve0: scaleAmount(pair.reserve0, factor, pair.token0.decimals),
+    reserve1: scaleAmount(pair.reserve1, 1 / factor, pair.token1.decimals)
+  };
+});
+
+const isTimestamp = (value) => /^\d+$/.test(value);
+
+/**
+ * Decode a percent-encoded path segment
+ * @param {string} segment - Raw segment
+ * @returns {string|null} - Decoded segment, or null when the encoding is invalid
+ */
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse a JSON request body
+ * @param {string} raw - Raw body
+ * @returns {object|undefined} - Parsed body, {} when empty, undefined when not JSON
+ */
+const parseBody = (raw) => {
+  if (raw.trim() === '') {
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const isNumeric = (value) => typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value);
+
+/**
+ * Compare two field values, numeric strings by value
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Sort order
+ */
+const compareValues = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) {
+    return Number(a) - Number(b);
+  }
+  return String(a).localeCompare(String(b));
+};
+
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Filter, sort and page a list endpoint.
+ * Query: search, sort, order (asc|desc), limit, and offset or cursor.
+ * Without sort the fixture order is kept; sorted pages break ties by id.
+ * @param {object} list - Entry from LISTS
+ * @param {object} params - Query parameters
+ * @param {object} market - Market state from the server
+ * @returns {object} - Status and JSON body
+ */
+const paginate = (list, params, market) => {
+  if (params.limit !== undefined && !(/^\d+$/.test(params.limit) && Number(params.limit) > 0)) {
+    return { status: 400, body: { error: 'Parameter limit must be a positive integer' } };
+  }
+  if (params.offset !== undefined && !/^\d+$/.test(params.offset)) {
+    return { status: 400, body: { error: 'Parameter offset must be a non-negative integer' } };
+  }
+  if (params.offset !== undefined && params.cursor !== undefined) {
+    return { status: 400, body: { error: 'Parameters offset and cursor are mutually exclusive' } };
+  }
+  const cursorOffset = params.cursor !== undefined ? decodeCursor(params.cursor) : 0;
+  if (cursorOffset === null) {
+    return { status: 400, body: { error: 'Invalid cursor' } };
+  }
+  if (params.sort !== undefined && !list.sortable.includes(params.sort)) {
+    return { status: 400, body: { error: `Unsupported sort field: ${params.sort}` } };
+  }
+  if (params.order !== undefined && !['asc', 'desc'].includes(params.order)) {
+    return { status: 400, body: { error: 'Parameter order must be asc or desc' } };
+  }
+
+  const term = (params.search || '').trim().toLowerCase();
+  const listed = list.items(market);
+  let items = term ? listed.filter(item => list.matches(item, term)) : [...listed];
+  if (params.sort) {
+    const direction = params.order === 'desc' ? -1 : 1;
+    items.sort((a, b) => direction * compareValues(a[params.sort], b[params.sort]) || a.id.localeCompare(b.id));
+  } else if (params.order === 'desc') {
+    items.reverse();
+  }
+
+  const total = items.length;
+  const offset = params.offset !== undefined ? Number(params.offset) : cursorOffset;
+  const limit = params.limit !== undefined ? Math.min(Number(params.limit), MAX_LIMIT) : null;
+  items = items.slice(offset, limit === null ? undefined : offset + limit);
+  const next = offset + items.length;
+
+  return {
+    status: 200,
+    body: {
+      success: 'ok',
+      [list.key]: items,
+      pagination: {
+        total,
+        limit,
+        offset,
+        nextCursor: limit !== null && next < total ? encodeCursor(next) : null
+      }
+    }
+  };
+};
+
+/**
+ * Resolve a request against the fixture data
+ * @param {object} request - method, url (parsed URL), headers and parsed body
+ * @param {object} auth - Auth store of the server
+ * @param {object} market - Indexed data: now (unix seconds the indexer has
+ *   reached) and pairs
+ * @returns {object} - Status and JSON body
+ */
+const route = ({ method, url, headers, body }, auth, market) => {
+  const { pathname, searchParams } = url;
+  const pairMatch = pathname.match(/^\/api\/token-pairs\/([^/]+)$/);
+  const known = findRoute(pathname);
+
+  if (!known) {
+    return { status: 404, body: { error: 'Not Found' } };
+  }
+  if (method === 'OPTIONS') {
+    return { status: 204, body: null, headers: { Allow: [...known.methods, 'OPTIONS'].join(', ') } };
+  }
+  if (!known.methods.includes(method)) {
+    return { status: 405, body: { error: 'Method Not Allowed' }, headers: { Allow: known.methods.join(', ') } };
+  }
+  if (body === undefined) {
+    return { status: 400, body: { error: 'Invalid JSON body' } };
+  }
+
+  if (LISTS[pathname]) {
+    return paginate(LISTS[pathname], Object.fromEntries(searchParams), market);
+  }
+  if (pairMatch) {
+    const id = decodeSegment(pairMatch[1]);
+    if (id === null) {
+      return { status: 400, body: { error: 'Malformed pair id' } };
+    }
+    const pair = market.pairs.find(item => item.id === id);
+    return pair
+      ? { status: 200, body: { success: 'ok', pair } }
+      : { status: 404, body: { error: 'Pair not found' } };
+  }
+  if (pathname === '/api/config') {
+    return { status: 200, body: UDF_CONFIG };
+  }
+  if (pathname === '/api/auth' && method === 'POST') {
+    return auth.login(body);
+  }
+  if (pathname === '/api/auth/refresh') {
+    return auth.refresh(body);
+  }
+  if (pathname === '/api/auth' || pathname === '/api/watchlist') {
+    const { user, failure } = auth.authenticate(headers);
+    if (failure) {
+      return failure;
+    }
+    if (pathname === '/api/auth') {
+      return { status: 200, body: { success: 'ok', user: { username: user.username, scopes: user.scopes } } };
+    }
+    if (!user.scopes.includes('watchlist')) {
+      return { status: 403, body: { error: 'Missing scope: watchlist' } };
+    }
+    return { status: 200, body: { success: 'ok', tokens: tokens.filter(token => user.watchlist.includes(token.id)) } };
+  }
+
+  const params = Object.fromEntries(searchParams);
+  const missing = ['symbol', 'resolution', 'from', 'to'].filter(name => !params[name]);
+  if (missing.length > 0) {
+    return { status: 400, body: { error: `Missing required parameter: ${missing.join(', ')}` } };
+  }
+  if (!Object.hasOwn(history, params.symbol)) {
+    return { status: 400, body: { error: `Unknown symbol: ${params.symbol}` } };
+  }
+  if (!Object.hasOwn(RESOLUTIONS, params.resolution)) {
+    return { status: 400, body: { error: `Unsupported resolution: ${params.resolution}` } };
+  }
+  if (!isTimestamp(params.from) || !isTimestamp(params.to)) {
+    return { status: 400, body: { error: 'Parameters from and to must be unix timestamps' } };
+  }
+  const from = Number(params.from);
+  const to = Number(params.to);
+  if (from > to) {
+    return { status: 400, body: { error: 'Parameter from must not be greater than to' } };
+  }
+  const span = Math.min(to, Date.now() / 1000) - Math.max(from, history[params.symbol].listedAt);
+  if (span / RESOLUTIONS[params.resolution] > MAX_BARS) {
+    return { status: 400, body: { error: `Range too large: at most ${MAX_BARS} bars per request` } };
+  }
+
+  const bars = buildHistory(params.symbol, params.resolution, from, to, market.now);
+  return {
+    status: 200,
+    body: bars,
+    lastModified: bars.t.length > 0 ? new Date(bars.t[bars.t.length - 1] * 1000) : FIXTURES_MODIFIED
+  };
+};
+
+/**
+ * Create a stand-in Theta explorer server backed by fixture data
+ * @param {object} options - Server options
+ * @param {string} options.scenario - Initial scenario
+ * @param {number} options.delay - Response delay in ms for the slow scenario
+ * @param {number} options.failures - Failed responses before recovering, flaky scenario
+ * @param {number} options.status - Status of the failed responses, flaky scenario
+ * @param {number} options.retryAfter - Retry-After seconds on failed responses, flaky scenario
+ * @param {number} options.blockTime - Block interval in ms, live scenario
+ * @param {number} options.lag - Seconds the indexer is behind, stale scenario
+ * @returns {object} - Server controller
+ */
+const createMockServer = (options = {}) => {
+  const state = {
+    scenario: 'healthy',
+    delay: DEFAULT_SLOW_DELAY,
+    failures: 0,
+    failureStatus: 503,
+    retryAfter: undefined,
+    blockTime: DEFAULT_BLOCK_TIME,
+    lag: DEFAULT_LAG,
+    requests: []
+  };
+  const sockets = new Set();
+  const auth = createAuthStore();
+  const initialScenario = options.scenario || 'healthy';
+
+  const setScenario = (scenario, scenarioOptions = {}) => {
+    if (!SCENARIOS.includes(scenario)) {
+      throw new Error(`Unknown mock scenario: ${scenario}`);
+    }
+    state.scenario = scenario;
+    state.delay = scenarioOptions.delay !== undefined ? scenarioOptions.delay : DEFAULT_SLOW_DELAY;
+    state.failures = scenarioOptions.failures !== undefined ? scenarioOptions.failures : 1;
+    state.failureStatus = scenarioOptions.status || 503;
+    state.retryAfter = scenarioOptions.retryAfter;
+    state.blockTime = scenarioOptions.blockTime || DEFAULT_BLOCK_TIME;
+    state.lag = scenarioOptions.lag !== undefined ? scenarioOptions.lag : DEFAULT_LAG;
+  };
+
+  // What the indexer has processed: live trades every block, stale stopped
+  // lag seconds ago, everything else serves the fixtures as of now
+  const marketState = () => {
+    const now = Math.floor(Date.now() / 1000);
+    if (state.scenario === 'live') {
+      return { now, pairs: tradePairs(Math.floor(Date.now() / state.blockTime)) };
+    }
+    if (state.scenario === 'stale') {
+      return { now: now - state.lag, pairs };
+    }
+    return { now, pairs };
+  };
+
+  const respond = (req, res, raw) => {
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push({
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers
+    });
+
+    if (state.scenario === 'down') {
+      req.socket.destroy();
+      return;
+    }
+
+    if (state.scenario === 'error') {
+      res.writeHead(500, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end('Server Error');
+      return;
+    }
+
+    if (state.scenario === 'flaky' && state.failures > 0) {
+      state.failures -= 1;
+      const headers = { 'Content-Type': 'text/html; charset=utf-8' };
+      if (state.retryAfter !== undefined) {
+        headers['Retry-After'] = String(state.retryAfter);
+      }
+      res.writeHead(state.failureStatus, headers);
+      res.end('Service Unavailable');
+      return;
+    }
+
+    const request = { method: req.method, url, headers: req.headers, body: parseBody(raw) };
+    let result;
+    try {
+      result = route(request, auth, marketState());
+    } catch (error) {
+      result = { status: 500, body: { error: 'Internal Server Error' } };
+    }
+    const { status, body, headers = {}, lastModified = FIXTURES_MODIFIED } = result;
+    const known = findRoute(url.pathname);
+    const payload = body === null ? '' : JSON.stringify(body);
+    const sent = state.scenario === 'malformed' ? payload.slice(0, -1) : payload;
+    const responseHeaders = {
+      ...SECURITY_HEADERS,
+      ...corsHeaders(req.headers, known ? known.methods : []),
+      Vary: 'Accept-Encoding'
+    };
+    if (status !== 204) {
+      responseHeaders['Cache-Control'] = status === 200 ? known.cache : 'no-store';
+    }
+
+    if (status === 200 && req.method === 'GET' && !known.cache.includes('no-store')) {
+      responseHeaders.ETag = entityTag(sent);
+      responseHeaders['Last-Modified'] = lastModified.toUTCString();
+      if (isNotModified(req.headers, responseHeaders.ETag, lastModified)) {
+        res.writeHead(304, responseHeaders);
+        res.end();
+        return;
+      }
+    }
+
+    const encoding = negotiateEncoding(req.headers['accept-encoding'], Buffer.byteLength(sent));
+    if (encoding) {
+      responseHeaders['Content-Encoding'] = encoding;
+    }
+    res.writeHead(status, {
+      ...(body === null ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+      ...responseHeaders,
+      ...headers
+    });
+    res.end(encoding ? compress(sent, encoding) : sent);
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (state.scenario === 'slow') {
+        const timer = setTimeout(() => respond(req, res, raw), state.delay);
+        res.on('close', () => clearTimeout(timer));
+        return;
+      }
+      respond(req, res, raw);
+    });
+  });
+
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  setScenario(initialScenario, options);
+
+  return {
+    /**
+     * Start listening
+     * @param {number} port - Port to bind, 0 for an ephemeral port
+     * @returns {Promise<string>} - Base URL of the server
+     */
+    start: (port = 0) => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${server.address().port}`);
+      });
+    }),
+
+    /**
+     * Stop listening and drop open connections
+     * @returns {Promise} - Resolves once the server is closed
+     */
+    stop: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => resolve());
+    }),
+
+    setScenario,
+
+    /**
+     * Expire issued access tokens, and refresh tokens with { refresh: true }
+     * @param {object} expireOptions - Which tokens to expire
+     */
+    expireTokens: (expireOptions) => auth.expire(expireOptions),
+
+    /**
+     * Restore the initial scenario and clear the request log
+     */
+    reset: () => {
+      setScenario(initialScenario, options);
+      state.requests = [];
+    },
+
+    get scenario() {
+      return state.scenario;
+    },
+
+    get requests() {
+      return state.requests;
+    }
+  };
+};
+
+module.exports = {
+  createMockServer,
+  MAX_LIMIT,
+  RESOLUTIONS,
+  SCENARIOS
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT || 5006);
+  const server = createMockServer({ scenario: process.env.MOCK_SCENARIO || 'healthy' });
+  server.start(port).then(url => {
+    console.log(`Mock Theta explorer listening on ${url} (${server.scenario})`);
+  });
+}
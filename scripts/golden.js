@@ -0,0 +1,40 @@
+const config = require('../config/config');
+const { createGolden, formatDiffs } = require('../utils/golden');
+
+// Review golden responses that changed in the last run:
+//   node scripts/golden.js review            show the pending differences
+//   node scripts/golden.js accept [name...]  make them the golden files
+//   node scripts/golden.js reject [name...]  discard them
+// Names come from review; accept and reject act on everything without them.
+
+const COMMANDS = ['review', 'accept', 'reject'];
+
+const main = (argv) => {
+  const [command = 'review', ...names] = argv;
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}", expected one of ${COMMANDS.join(', ')}`);
+    return 1;
+  }
+
+  const golden = createGolden({ ...config.golden, environment: config.environment });
+  if (command === 'review') {
+    const entries = golden.pending();
+    if (entries.length === 0) {
+      console.log('No pending golden responses');
+      return 0;
+    }
+    entries.forEach(entry => {
+      console.log(`\n${entry.name}\n${formatDiffs(entry.diffs).replace(/^/gm, '  ')}`);
+    });
+    console.log(`\n${entries.length} pending; accept with: npm run golden:accept -- [name...]`);
+    return 0;
+  }
+
+  const done = golden[command](names);
+  const missing = names.filter(name => !done.includes(name));
+  done.forEach(name => console.log(`${command === 'accept' ? 'Accepted' : 'Rejected'} ${name}`));
+  missing.forEach(name => console.error(`No pending golden response named ${name}`));
+  return missing.length > 0 ? 1 : 0;
+};
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const config = require('../config/config');
+const {
+  summarizeRun,
+  failedRun,
+  loadHistory,
+  saveHistory,
+  recordRun,
+  evaluateAlerts,
+  sendAlert,
+  formatRun
+} = require('../utils/monitor');
+
+// Run test suites as a synthetic monitor:
+//   node scripts/monitor.js [suite...]           every config.monitor.interval seconds
+//   node scripts/monitor.js --once [suite...]    one run; exits 1 when it failed
+// Suites default to config.monitor.suites. --verbose shows the Jest output.
+// Each run is added to config.monitor.historyFile and alert state changes
+// are posted to config.monitor.webhook. Jest records the full runs in
+// config.monitor.runsDir.
+
+const ROOT = path.resolve(__dirname, '..');
+const JEST = require.resolve('jest/bin/jest');
+const REPORT = path.resolve(ROOT, config.reporting.dir, 'report.json');
+
+let stopping = false;
+let wake = null;
+
+/**
+ * Run Jest on the suites and summarize its report
+ * @param {string[]} suites - Test paths passed to Jest
+ * @param {boolean} verbose - Show the Jest output
+ * @returns {Promise<object>} - summarizeRun result
+ */
+const runSuites = (suites, verbose) => new Promise(resolve => {
+  const startedAt = new Date().toISOString();
+  fs.rmSync(REPORT, { force: true });
+  const child = spawn(process.execPath, [JEST, '--ci', ...suites], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      API_ENV: config.environment,
+      RUNS_DIR: config.monitor.runsDir,
+      RUNS_KEEP: String(config.monitor.runsKeep)
+    },
+    stdio: verbose ? 'inherit' : 'ignore'
+  });
+  child.on('error', error => resolve(failedRun(startedAt, `Jest did not start: ${error.message}`)));
+  child.on('close', code => {
+    if (!fs.existsSync(REPORT)) {
+      resolve(failedRun(startedAt, `Jest exited with code ${code} without a report`));
+      return;
+    }
+    const run = summarizeRun(JSON.parse(fs.readFileSync(REPORT, 'utf8')));
+    // e.g. no tests matched the suites
+    resolve(code !== 0 && run.failed === 0 ? { ...run, failed: 1, failures: [`Jest exited with code ${code}`] } : run);
+  });
+});
+
+/**
+ * Run the suites once, record the run and post alert state changes
+ * @param {string[]} suites - Test paths passed to Jest
+ * @param {boolean} verbose - Show the Jest output
+ * @returns {Promise<object>} - The run
+ */
+const monitorOnce = async (suites, verbose) => {
+  const run = await runSuites(suites, verbose);
+  const history = recordRun(loadHistory(), run);
+  const { alerts, events } = evaluateAlerts(history);
+  saveHistory({ ...history, alerts });
+
+  console.log(formatRun(run));
+  run.failures.forEach(failure => console.log(`  failed: ${failure}`));
+  for (const event of events) {
+    const sent = config.monitor.webhook ? await sendAlert(config.monitor.webhook, event) : false;
+    console.log(`  ${event.type.toUpperCase()} ${event.text}` +
+      (config.monitor.webhook ? (sent ? '' : ' (webhook failed)') : ' (no webhook configured)'));
+  }
+  return run;
+};
+
+const pause = (ms) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  wake = () => {
+    clearTimeout(timer);
+    resolve();
+  };
+});
+
+const main = async (argv) => {
+  const once = argv.includes('--once');
+  const verbose = argv.includes('--verbose');
+  const suites = argv.filter(arg => !arg.startsWith('--'));
+  const selected = suites.length > 0 ? suites : config.monitor.suites;
+
+  if (once) {
+    const run = await monitorOnce(selected, verbose);
+    return run.failed > 0 ? 1 : 0;
+  }
+
+  console.log(`Monitoring ${selected.join(', ')} on ${config.environment} every ${config.monitor.interval}s ` +
+    `(history in ${config.monitor.historyFile})`);
+  process.on('SIGINT', () => {
+    stopping = true;
+    if (wake) {
+      wake();
+    }
+  });
+  while (!stopping) {
+    const started = Date.now();
+    await monitorOnce(selected, verbose);
+    if (!stopping) {
+      await pause(Math.max(0, config.monitor.interval * 1000 - (Date.now() - started)));
+    }
+  }
+  return 0;
+};
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
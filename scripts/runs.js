@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const {
+  listRuns,
+  loadRun,
+  isComparable,
+  comparableRuns,
+  compareRuns,
+  formatComparison,
+  buildTrend,
+  renderTrend
+} = require('../utils/runs');
+
+// Look back over recorded runs (config.runs.dir):
+//   node scripts/runs.js list                   recorded runs, oldest first
+//   node scripts/runs.js compare [base] [head]  newly failing and fixed tests, latency per endpoint
+//   node scripts/runs.js trend [count]          write config.runs.trendFile over the last runs
+// Runs are named by id, or by how many runs before the latest they are.
+// Only runs of the same environment and test files are compared or charted:
+// compare defaults to the latest run (0) against the last such run before
+// it, and trend charts the runs like the latest.
+
+const COMMANDS = ['list', 'compare', 'trend'];
+
+const main = (argv) => {
+  const [command = 'list', ...args] = argv;
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}", expected one of ${COMMANDS.join(', ')}`);
+    return 1;
+  }
+
+  const ids = listRuns();
+  if (command === 'list') {
+    if (ids.length === 0) {
+      console.log(`No runs recorded in ${config.runs.dir}`);
+      return 0;
+    }
+    ids.forEach((id, index) => {
+      const { summary, environment, files = [] } = loadRun(id);
+      console.log(`${String(ids.length - 1 - index).padStart(3)}  ${id}  ${environment}  ${files.length} files  ` +
+        `${summary.passed}/${summary.tests} passed${summary.failed ? `, ${summary.failed} failed` : ''}`);
+    });
+    return 0;
+  }
+
+  if (command === 'compare') {
+    const [baseRef, headRef = '0'] = args;
+    let comparison;
+    try {
+      const head = loadRun(headRef);
+      const base = baseRef === undefined ? comparableRuns(head, 2)[0] : loadRun(baseRef);
+      if (base === head) {
+        throw new Error(`No earlier ${head.environment} run of the same test files as ${head.id}`);
+      }
+      if (!isComparable(base, head)) {
+        throw new Error(`Runs ${base.id} and ${head.id} differ in environment or test files`);
+      }
+      comparison = compareRuns(base, head);
+    } catch (error) {
+      console.error(error.message);
+      return 1;
+    }
+    console.log(formatComparison(comparison));
+    return 0;
+  }
+
+  const count = args[0] ? Number(args[0]) : config.runs.trendRuns;
+  if (!Number.isInteger(count) || count < 1) {
+    console.error(`Expected a positive number of runs, got "${args[0]}"`);
+    return 1;
+  }
+  const records = ids.length > 0 ? comparableRuns(loadRun('0'), count) : [];
+  const target = path.resolve(__dirname, '..', config.runs.trendFile);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, renderTrend(buildTrend(records)));
+  console.log(`Trend over ${records.length} runs written to ${path.relative(process.cwd(), target)}`);
+  return 0;
+};
+
+process.exitCode = main(process.argv.slice(2));
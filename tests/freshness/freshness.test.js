@@ -0,0 +1,79 @@
+const { createTestCase, useMockServer, logger } = require('../../utils/utils');
+const {
+  formatLag,
+  lagBudget,
+  measureHistoryLag,
+  pollPairs,
+  checkPairActivity,
+  buildLagReport,
+  formatLagReport,
+  writeLagReport
+} = require('../../utils/freshness');
+const config = require('../../config/config');
+
+describe('Freshness Tests', () => {
+  // The live scenario trades every block, like the explorer on mainnet
+  const mock = useMockServer('live');
+  const symbol = config.testData.validSymbol;
+  const resolutions = config.freshness.resolutions || config.testData.validResolutions;
+  const pollTimeout = config.freshness.pollInterval * 1000 + config.timeouts.test;
+  const measured = { history: [], pairs: null };
+
+  afterAll(() => {
+    if (measured.history.length === 0 && !measured.pairs) {
+      return;
+    }
+    const report = buildLagReport(measured.history, measured.pairs);
+    const file = writeLagReport(report);
+    logger.info('Lag report', { file, stalled: report.stalled, summary: formatLagReport(report).split('\n') });
+  });
+
+  describe('Indexer lag', () => {
+
+    resolutions.forEach((resolution, index) => {
+      const id = String(index + 1).padStart(3, '0');
+
+      createTestCase(`TC${id}: Should serve a ${symbol} ${resolution} bar no older than ${formatLag(lagBudget(resolution))}`, async () => {
+        const lag = await measureHistoryLag(symbol, resolution);
+        measured.history.push(lag);
+
+        expect(lag.errors).toEqual([]);
+        expect(lag.lag).toBeGreaterThanOrEqual(0);
+      });
+    });
+
+    createTestCase(`TC${String(resolutions.length + 1).padStart(3, '0')}: Should move pair reserves within ${formatLag(config.freshness.pollInterval)}`, async () => {
+      measured.pairs = await pollPairs();
+
+      expect(checkPairActivity(measured.pairs).errors).toEqual([]);
+    }, pollTimeout);
+  });
+
+  describe('Stalled indexer', () => {
+
+    mock.createMockCase('TC101: Should flag history bars older than the budget', async () => {
+      mock.setScenario('stale', { lag: 7200 });
+      const lag = await measureHistoryLag(symbol, '60');
+
+      expect(lag.isValid).toBe(false);
+      expect(lag.lag).toBeGreaterThan(7200);
+      expect(lag.errors).toEqual([expect.stringMatching(/^60: newest bar \S+ is 2h( \d+[ms])? old, budget 1h 5m$/)]);
+    });
+
+    mock.createMockCase('TC102: Should flag pairs whose reserves stopped moving', async () => {
+      mock.setScenario('stale');
+      const poll = await pollPairs(1);
+
+      expect(poll.changed).toEqual([]);
+      expect(checkPairActivity(poll, 1).errors).toEqual([`pairs: 0 of ${poll.unchanged.length} changed reserves in 1s, expected at least 1`]);
+    }, 1000 + config.timeouts.test);
+
+    mock.createMockCase('TC103: Should flag a resolution without bars in the polled window', async () => {
+      mock.setScenario('stale', { lag: 2 * 86400 });
+      const lag = await measureHistoryLag(symbol, '60');
+
+      expect(lag.lag).toBeNull();
+      expect(lag.errors).toEqual(['60: no bars in the last 10h']);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { makeRequest, validateSchema, createTestCase, useMockServer } = require('../../utils/utils');
+const config = require('../../config/config');
+
+describe('Auth API Tests', () => {
+  const endpoint = config.endpoints.auth;
+  const { member, viewer } = config.testData.accounts;
+  const mock = useMockServer();
+  const session = (account) => ({ type: 'session', username: account.username, password: account.password });
+  const apiKey = (account) => ({ type: 'apiKey', header: 'X-API-Key', key: account.apiKey });
+
+  const login = (credentials) => makeRequest(endpoint, { method: 'POST', data: credentials, auth: false });
+
+  describe(`POST ${endpoint}`, () => {
+
+    createTestCase('TC001: Should issue tokens for valid credentials', async () => {
+      const response = await login({ username: member.username, password: member.password });
+      const validation = validateSchema(response.data, config.schemas.authTokens);
+
+      expect(response.status).toBe(200);
+      expect(validation.errors).toEqual([]);
+    });
+
+    createTestCase('TC002: Should reject a wrong password with 401', async () => {
+      const response = await login({ username: member.username, password: 'wrong-password' });
+
+      expect(response.status).toBe(401);
+      expect(response.data.error).toBe('Invalid credentials');
+      expect(response.data).not.toHaveProperty('accessToken');
+    });
+
+    createTestCase('TC003: Should reject missing credentials with 400', async () => {
+      const response = await login({ username: member.username });
+
+      expect(response.status).toBe(400);
+      expect(response.data).toHaveProperty('error');
+    });
+  });
+
+  describe(`GET ${endpoint}`, () => {
+
+    createTestCase('TC004: Should challenge a request without credentials', async () => {
+      const response = await makeRequest(endpoint, { auth: false });
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toMatch(/^Bearer/);
+    });
+
+    createTestCase('TC005: Should reject an unknown bearer token', async () => {
+      const response = await makeRequest(endpoint, { auth: { type: 'bearer', token: 'at_forged' } });
+
+      expect(response.status).toBe(401);
+      expect(response.data.error).toBe('Invalid token');
+    });
+
+    createTestCase('TC006: Should reject a malformed Authorization header', async () => {
+      const response = await makeRequest(endpoint, { auth: false, headers: { Authorization: 'Token abc' } });
+
+      expect(response.status).toBe(401);
+      expect(response.data.error).toBe('Malformed Authorization header');
+    });
+
+    mock.createMockCase('TC007: Should reject an expired token', async () => {
+      const { data } = await login({ username: member.username, password: member.password });
+      mock.expireTokens();
+      const response = await makeRequest(endpoint, { auth: { type: 'bearer', token: data.accessToken } });
+
+      expect(response.status).toBe(401);
+      expect(response.data.error).toBe('Token expired');
+    });
+
+    createTestCase('TC008: Should identify the caller from a bearer token', async () => {
+      const { data } = await login({ username: member.username, password: member.password });
+      const response = await makeRequest(endpoint, { auth: { type: 'bearer', token: data.accessToken } });
+
+      expect(response.status).toBe(200);
+      expect(response.data.user.username).toBe(member.username);
+    });
+
+    createTestCase('TC009: Should identify the caller from an API key', async () => {
+      const response = await makeRequest(endpoint, { auth: apiKey(viewer) });
+      const invalid = await makeRequest(endpoint, { auth: { ...apiKey(viewer), key: 'tk_unknown' } });
+
+      expect(response.status).toBe(200);
+      expect(response.data.user.username).toBe(viewer.username);
+      expect(invalid.status).toBe(401);
+    });
+  });
+
+  describe(`Protected route ${config.endpoints.watchlist}`, () => {
+
+    createTestCase('TC010: Should reject an anonymous call with 401', async () => {
+      const response = await makeRequest(config.endpoints.watchlist, { auth: false });
+
+      expect(response.status).toBe(401);
+      expect(response.data).not.toHaveProperty('tokens');
+    });
+
+    createTestCase('TC011: Should serve an authenticated call', async () => {
+      const response = await makeRequest(config.endpoints.watchlist, { auth: session(member) });
+
+      expect(response.status).toBe(200);
+      expect(response.data.tokens.length).toBeGreaterThan(0);
+      response.data.tokens.forEach(token => {
+        expect(validateSchema(token, config.schemas.token).errors).toEqual([]);
+      });
+    });
+
+    createTestCase('TC012: Should answer 403, not 401, when the caller lacks the scope', async () => {
+      const response = await makeRequest(config.endpoints.watchlist, { auth: apiKey(viewer) });
+
+      expect(response.status).toBe(403);
+      expect(response.data.error).toContain('scope');
+    });
+  });
+
+  describe('Sessions', () => {
+
+    const logins = () => mock.requests.filter(request => request.method === 'POST' && request.path === endpoint);
+    const refreshes = () => mock.requests.filter(request => request.path === `${endpoint}/refresh`);
+
+    mock.createMockCase('TC013: Should log in once and reuse the session', async () => {
+      await makeRequest(endpoint, { auth: session(member) });
+      await makeRequest(config.endpoints.watchlist, { auth: session(member) });
+
+      expect(logins()).toHaveLength(1);
+      const authorizations = mock.requests
+        .filter(request => request.method === 'GET')
+        .map(request => request.headers.authorization);
+      expect(authorizations[0]).toMatch(/^Bearer at_/);
+      expect(authorizations[1]).toBe(authorizations[0]);
+    });
+
+    mock.createMockCase('TC014: Should refresh an expired session automatically', async () => {
+      await makeRequest(endpoint, { auth: session(member) });
+      mock.expireTokens();
+      const response = await makeRequest(endpoint, { auth: session(member) });
+
+      expect(response.status).toBe(200);
+      expect(refreshes()).toHaveLength(1);
+      expect(logins()).toHaveLength(1);
+    });
+
+    mock.createMockCase('TC015: Should refresh ahead of expiry within the refresh margin', async () => {
+      const early = { ...session(member), refreshMargin: 3600 * 1000 };
+      await makeRequest(endpoint, { auth: early });
+      const response = await makeRequest(endpoint, { auth: early });
+
+      expect(response.status).toBe(200);
+      expect(refreshes()).toHaveLength(1);
+    });
+
+    mock.createMockCase('TC016: Should log in again when the refresh token is rejected', async () => {
+      await makeRequest(endpoint, { auth: session(member) });
+      mock.expireTokens({ refresh: true });
+      const response = await makeRequest(endpoint, { auth: session(member) });
+
+      expect(response.status).toBe(200);
+      expect(logins()).toHaveLength(2);
+    });
+
+    createTestCase('TC017: Should fail loudly when the session cannot log in', async () => {
+      const username = `${member.username}-unknown`;
+      const response = await makeRequest(endpoint, { auth: { type: 'session', username, password: 'wrong-password' } });
+
+      expect(response.status).toBe(0);
+      expect(response.error).toMatchObject({ kind: 'auth_error', code: null });
+      expect(response.error.message).toMatch(`Session login failed for ${username}: `);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const { makeRequest, validateSchema, createTestCase, useMockServer } = require('../../utils/utils');
+const { longestBar } = require('../../utils/history');
+const config = require('../../config/config');
+
+describe('Config API Tests', () => {
+  const endpoint = config.endpoints.config;
+  const schema = config.schemas.udfConfig;
+  const mock = useMockServer();
+
+  describe(`GET ${endpoint}`, () => {
+
+    createTestCase('TC001: Should return the UDF configuration with valid schema', async () => {
+      const response = await makeRequest(endpoint);
+      const validation = validateSchema(response.data, schema);
+      
+      expect(response.status).toBe(200);
+      expect(validation.errors).toEqual([]);
+    });
+
+    createTestCase('TC002: Should advertise each resolution once', async () => {
+      const response = await makeRequest(endpoint);
+      const resolutions = response.data.supported_resolutions;
+      
+      expect(resolutions.length).toBeGreaterThan(0);
+      expect(new Set(resolutions).size).toBe(resolutions.length);
+    });
+
+    createTestCase('TC003: Should advertise only resolutions the suite can size', async () => {
+      const response = await makeRequest(endpoint);
+      const unknown = response.data.supported_resolutions.filter(resolution => longestBar(resolution) === null);
+      
+      expect(unknown).toEqual([]);
+    });
+
+    createTestCase('TC004: Should advertise every resolution the test data relies on', async () => {
+      const response = await makeRequest(endpoint);
+      const advertised = response.data.supported_resolutions;
+      const expected = [config.testData.validResolution, ...config.testData.validResolutions];
+      
+      expect(expected.filter(resolution => !advertised.includes(resolution))).toEqual([]);
+    });
+
+    createTestCase('TC005: Should list exchanges and symbol types when present', async () => {
+      const response = await makeRequest(endpoint);
+      
+      ['exchanges', 'symbols_types'].forEach(key => {
+        if (response.data[key] !== undefined) {
+          expect(response.data[key].length).toBeGreaterThan(0);
+        }
+      });
+    });
+  });
+
+  describe('Error Handling Tests', () => {
+
+    mock.createMockCase('TC006: Should return proper error response', async () => {
+      mock.setScenario('error');
+      const response = await makeRequest(endpoint);
+      
+      expect(response.status).toBe(500);
+      expect(response.error.kind).toBe('http_error');
+    });
+
+    createTestCase('TC007: Should reject unsupported methods', async () => {
+      const response = await makeRequest(endpoint, { method: 'POST' });
+      
+      expect(response.status).toBe(405);
+      expect(response.headers.allow).toBe('GET');
+    });
+
+    mock.createMockCase('TC008: Should detect a truncated body', async () => {
+      mock.setScenario('malformed');
+      const response = await makeRequest(endpoint);
+      
+      expect(response.error.kind).toBe('invalid_json');
+    });
+  });
+});
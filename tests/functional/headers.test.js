@@ -0,0 +1,122 @@
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const { historyEndpoint } = require('../../utils/history');
+const {
+  headerExpectations,
+  parseCacheControl,
+  checkPreflight,
+  checkCors,
+  checkCaching,
+  checkNotModified,
+  checkCompression,
+  checkSecurityHeaders,
+  sendPreflight,
+  revalidate,
+  fetchEncoded
+} = require('../../utils/headers');
+const config = require('../../config/config');
+
+describe('Header Conformance Tests', () => {
+  useMockServer();
+  const { member } = config.testData.accounts;
+  const session = { type: 'session', username: member.username, password: member.password };
+
+  const targets = {
+    tokens: { endpoint: () => config.endpoints.tokens },
+    tokenPairs: { endpoint: () => config.endpoints.tokenPairs },
+    tokenPair: { endpoint: () => `${config.endpoints.tokenPairs}/${config.testData.validPairId}` },
+    history: {
+      endpoint: () => historyEndpoint({
+        symbol: config.testData.validSymbol,
+        resolution: config.testData.validResolution,
+        ...config.testData.validTimeRange
+      })
+    },
+    config: { endpoint: () => config.endpoints.config },
+    watchlist: { endpoint: () => config.endpoints.watchlist, options: { auth: session } },
+    auth: { endpoint: () => config.endpoints.auth, options: { auth: session } }
+  };
+
+  Object.entries(targets).forEach(([name, target], index) => {
+    const expected = headerExpectations(name);
+    const options = target.options || {};
+    const id = (n) => `TC${String(index * 10 + n).padStart(3, '0')}`;
+    const fetch = (headers = {}) => makeRequest(target.endpoint(), { ...options, headers });
+
+    describe(`${name} (${target.endpoint().split('?')[0]})`, () => {
+
+      createTestCase(`${id(1)}: Should answer a CORS preflight from ${config.headers.origin}`, async () => {
+        const response = await sendPreflight(target.endpoint(), expected.cors);
+
+        expect(checkPreflight(response, expected.cors).errors).toEqual([]);
+      });
+
+      createTestCase(`${id(2)}: Should send CORS headers on cross-origin responses`, async () => {
+        const response = await fetch({ Origin: config.headers.origin });
+
+        expect(response.status).toBe(200);
+        expect(checkCors(response, expected.cors).errors).toEqual([]);
+      });
+
+      createTestCase(`${id(3)}: Should send the configured Cache-Control${expected.conditional ? ', ETag and Last-Modified' : ''}`, async () => {
+        const response = await fetch();
+
+        expect(checkCaching(response, expected).errors).toEqual([]);
+      });
+
+      if (expected.conditional) {
+        createTestCase(`${id(4)}: Should answer conditional requests with 304 Not Modified`, async () => {
+          const response = await fetch();
+          const byTag = await revalidate(target.endpoint(), response, 'If-None-Match', options);
+          const byDate = await revalidate(target.endpoint(), response, 'If-Modified-Since', options);
+          const stale = await makeRequest(target.endpoint(), { ...options, headers: { 'If-None-Match': '"stale"' } });
+
+          expect(checkNotModified(byTag, 'If-None-Match', response.headers.etag).errors).toEqual([]);
+          expect(checkNotModified(byDate, 'If-Modified-Since', response.headers.etag).errors).toEqual([]);
+          expect(stale.status).toBe(200);
+          expect(stale.data).toEqual(response.data);
+        });
+      } else {
+        createTestCase(`${id(4)}: Should not offer validators on uncacheable responses`, async () => {
+          const response = await fetch();
+
+          expect(response.headers.etag).toBeUndefined();
+          expect(parseCacheControl(response.headers['cache-control'])['no-store']).toBe(true);
+        });
+      }
+
+      const compression = expected.compression.length > 0
+        ? `Should compress with ${expected.compression.join(' and ')} when asked`
+        : 'Should serve an identity body when asked';
+      createTestCase(`${id(5)}: ${compression}`, async () => {
+        const results = await Promise.all(expected.compression.map(async encoding => (
+          checkCompression(await fetchEncoded(target.endpoint(), encoding, options), encoding).errors
+        )));
+        const identity = await fetchEncoded(target.endpoint(), 'identity', options);
+
+        expect(results.flat()).toEqual([]);
+        expect(identity.headers['content-encoding']).toBeUndefined();
+        expect(JSON.parse(identity.data.toString('utf8'))).toBeDefined();
+      });
+
+      createTestCase(`${id(6)}: Should send security headers`, async () => {
+        const response = await fetch();
+
+        expect(checkSecurityHeaders(response, expected.security).errors).toEqual([]);
+      });
+    });
+  });
+
+  describe('Error responses', () => {
+
+    createTestCase('TC101: Should keep security and CORS headers on 404 and never cache them', async () => {
+      const expected = headerExpectations('tokens');
+      const response = await makeRequest(`${config.endpoints.tokenPairs}/0x0`, { headers: { Origin: config.headers.origin } });
+
+      expect(response.status).toBe(404);
+      expect(checkSecurityHeaders(response, expected.security).errors).toEqual([]);
+      expect(checkCors(response, expected.cors).errors).toEqual([]);
+      expect(parseCacheControl(response.headers['cache-control'])).toEqual({ 'no-store': true });
+      expect(response.headers.etag).toBeUndefined();
+    });
+  });
+});
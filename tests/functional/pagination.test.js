@@ -0,0 +1,178 @@
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const { listEndpoint, checkSorted, fetchAllPages, checkPages } = require('../../utils/pagination');
+const config = require('../../config/config');
+
+const LISTS = [
+  {
+    name: 'tokens',
+    endpoint: config.endpoints.tokens,
+    key: 'tokens',
+    sort: 'symbol',
+    numericSort: 'totalLiquidity',
+    search: 'tdrop',
+    matches: (token) => token.symbol === 'TDROP'
+  },
+  {
+    name: 'token pairs',
+    endpoint: config.endpoints.tokenPairs,
+    key: 'pairs',
+    sort: 'id',
+    numericSort: 'reserveUSD',
+    search: 'tdrop',
+    matches: (pair) => [pair.token0.symbol, pair.token1.symbol].includes('TDROP')
+  }
+];
+
+describe('Pagination Tests', () => {
+  useMockServer();
+
+  LISTS.forEach(list => {
+    const fetchList = async (params) => makeRequest(listEndpoint(list.endpoint, params));
+
+    describe(`GET ${list.endpoint}`, () => {
+      let reference;
+
+      beforeAll(async () => {
+        const response = await fetchList();
+        reference = response.data[list.key];
+      });
+
+      describe('Paging', () => {
+
+        createTestCase(`TC001: Should return at most limit ${list.name} with pagination metadata`, async () => {
+          const response = await fetchList({ limit: 1 });
+
+          expect(response.status).toBe(200);
+          expect(response.data[list.key]).toHaveLength(1);
+          expect(response.data.pagination).toMatchObject({ total: reference.length, limit: 1, offset: 0 });
+          expect(response.data.pagination.nextCursor).toEqual(expect.any(String));
+        });
+
+        createTestCase(`TC002: Should walk every ${list.name} page by offset without duplicates or gaps`, async () => {
+          const limit = config.pagination.pageSize;
+          const result = await fetchAllPages(list.endpoint, { key: list.key, limit });
+          const validation = checkPages(result, { limit, expected: reference });
+
+          expect(validation.errors).toEqual([]);
+          expect(result.pages.length).toBe(Math.ceil(reference.length / limit));
+        });
+
+        createTestCase(`TC003: Should walk every ${list.name} page by cursor without duplicates or gaps`, async () => {
+          const result = await fetchAllPages(list.endpoint, { key: list.key, mode: 'cursor', limit: 3 });
+          const validation = checkPages(result, { limit: 3, expected: reference });
+
+          expect(validation.errors).toEqual([]);
+          expect(result.pages[result.pages.length - 1].nextCursor).toBeNull();
+        });
+
+        createTestCase(`TC004: Should keep a stable order across sorted ${list.name} pages`, async () => {
+          const params = { sort: list.numericSort, order: 'desc' };
+          const sorted = (await fetchList(params)).data[list.key];
+          const result = await fetchAllPages(list.endpoint, { key: list.key, limit: 1, params });
+
+          expect(checkPages(result, { limit: 1, expected: sorted }).errors).toEqual([]);
+        });
+      });
+
+      describe('Sorting and search', () => {
+
+        createTestCase(`TC005: Should sort ${list.name} by ${list.sort} in both directions`, async () => {
+          const ascending = (await fetchList({ sort: list.sort, order: 'asc' })).data[list.key];
+          const descending = (await fetchList({ sort: list.sort, order: 'desc' })).data[list.key];
+
+          expect(checkSorted(ascending, list.sort, 'asc').errors).toEqual([]);
+          expect(checkSorted(descending, list.sort, 'desc').errors).toEqual([]);
+          expect(descending.map(item => item.id)).toEqual(ascending.map(item => item.id).reverse());
+        });
+
+        createTestCase(`TC006: Should sort ${list.name} by ${list.numericSort} numerically`, async () => {
+          const items = (await fetchList({ sort: list.numericSort })).data[list.key];
+          const validation = checkSorted(items, list.numericSort, 'asc');
+
+          expect(validation.errors).toEqual([]);
+          expect(items).toHaveLength(reference.length);
+        });
+
+        createTestCase(`TC007: Should search ${list.name} by symbol case-insensitively`, async () => {
+          const response = await fetchList({ search: list.search.toUpperCase() });
+          const items = response.data[list.key];
+
+          expect(items.length).toBeGreaterThan(0);
+          expect(items.map(item => item.id)).toEqual(reference.filter(list.matches).map(item => item.id));
+          expect(response.data.pagination.total).toBe(items.length);
+        });
+
+        createTestCase(`TC008: Should search ${list.name} by token address`, async () => {
+          const items = (await fetchList({ search: config.testData.validTokenId })).data[list.key];
+
+          expect(items.length).toBeGreaterThan(0);
+          items.forEach(item => {
+            expect(JSON.stringify(item)).toContain(config.testData.validTokenId);
+          });
+        });
+
+        createTestCase(`TC009: Should return an empty page when no ${list.name} match`, async () => {
+          const response = await fetchList({ search: 'no-such-token' });
+
+          expect(response.status).toBe(200);
+          expect(response.data[list.key]).toEqual([]);
+          expect(response.data.pagination.total).toBe(0);
+        });
+
+        createTestCase(`TC010: Should reject an unknown ${list.name} sort field`, async () => {
+          const response = await fetchList({ sort: 'unknown' });
+
+          expect(response.status).toBe(400);
+          expect(response.data.error).toContain('sort');
+        });
+      });
+
+      describe('Bounds', () => {
+
+        createTestCase(`TC011: Should reject a zero ${list.name} limit`, async () => {
+          const response = await fetchList({ limit: 0 });
+
+          expect(response.status).toBe(400);
+          expect(response.data.error).toContain('limit');
+        });
+
+        createTestCase(`TC012: Should reject a negative ${list.name} limit`, async () => {
+          const response = await fetchList({ limit: -1 });
+
+          expect(response.status).toBe(400);
+          expect(response.data.error).toContain('limit');
+        });
+
+        createTestCase(`TC013: Should clamp a huge ${list.name} limit`, async () => {
+          const response = await fetchList({ limit: 1e9 });
+
+          expect(response.status).toBe(200);
+          expect(response.data.pagination.limit).toBe(config.pagination.maxLimit);
+          expect(response.data[list.key]).toHaveLength(Math.min(reference.length, config.pagination.maxLimit));
+        });
+
+        createTestCase(`TC014: Should return an empty page past the last ${list.name}`, async () => {
+          const response = await fetchList({ limit: 1, offset: reference.length });
+
+          expect(response.status).toBe(200);
+          expect(response.data[list.key]).toEqual([]);
+          expect(response.data.pagination.nextCursor).toBeNull();
+        });
+
+        createTestCase(`TC015: Should reject a negative ${list.name} offset`, async () => {
+          const response = await fetchList({ offset: -1 });
+
+          expect(response.status).toBe(400);
+          expect(response.data.error).toContain('offset');
+        });
+
+        createTestCase(`TC016: Should reject a tampered ${list.name} cursor`, async () => {
+          const response = await fetchList({ limit: 1, cursor: 'not-a-cursor' });
+
+          expect(response.status).toBe(400);
+          expect(response.data.error).toContain('cursor');
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const config = require('../../config/config');
+
+describe('Request Policy Tests', () => {
+  const endpoint = config.endpoints.tokens;
+  const mock = useMockServer();
+  const fast = { baseDelay: 10, maxDelay: 50 };
+
+  describe('Retries', () => {
+
+    mock.createMockCase('TC001: Should retry 503 responses until the API recovers', async () => {
+      mock.setScenario('flaky', { failures: 2 });
+      const response = await makeRequest(endpoint, { retry: fast });
+      
+      expect(response.status).toBe(200);
+      expect(response.retry.count).toBe(2);
+      expect(response.retry.attempts.map(attempt => attempt.status)).toEqual([503, 503]);
+      expect(mock.requests).toHaveLength(3);
+    });
+
+    mock.createMockCase('TC002: Should give up after the configured number of retries', async () => {
+      mock.setScenario('flaky', { failures: 5, status: 502 });
+      const response = await makeRequest(endpoint, { retry: { ...fast, retries: 1 } });
+      
+      expect(response.status).toBe(502);
+      expect(response.retry.count).toBe(1);
+      expect(mock.requests).toHaveLength(2);
+    });
+
+    mock.createMockCase('TC003: Should wait for Retry-After before retrying', async () => {
+      mock.setScenario('flaky', { failures: 1, retryAfter: 1 });
+      const response = await makeRequest(endpoint, { retry: { ...fast, maxDelay: 2000 } });
+      
+      expect(response.status).toBe(200);
+      expect(response.retry.attempts[0].delay).toBe(1000);
+    });
+
+    mock.createMockCase('TC004: Should retry dropped connections', async () => {
+      mock.setScenario('down');
+      const response = await makeRequest(endpoint, { retry: fast });
+      
+      expect(response.status).toBe(0);
+      expect(response.error.kind).toBe('aborted');
+      expect(response.retry.attempts.map(attempt => attempt.code)).toEqual(['ECONNRESET', 'ECONNRESET']);
+      expect(mock.requests).toHaveLength(3);
+    });
+
+    mock.createMockCase('TC005: Should not retry non-idempotent methods', async () => {
+      mock.setScenario('flaky', { failures: 1 });
+      const response = await makeRequest(endpoint, {
+        method: 'POST',
+        data: { test: 'data' },
+        retry: fast,
+        contract: false
+      });
+      
+      expect(response.status).toBe(503);
+      expect(response.retry.count).toBe(0);
+    });
+
+    mock.createMockCase('TC006: Should not retry 500 errors', async () => {
+      mock.setScenario('error');
+      const response = await makeRequest(endpoint, { retry: fast });
+      
+      expect(response.status).toBe(500);
+      expect(response.retry.count).toBe(0);
+      expect(mock.requests).toHaveLength(1);
+    });
+
+    mock.createMockCase('TC007: Should skip retries when retry is false', async () => {
+      mock.setScenario('flaky', { failures: 1 });
+      const response = await makeRequest(endpoint, { retry: false });
+      
+      expect(response.status).toBe(503);
+      expect(response.retry.count).toBe(0);
+    });
+  });
+
+  describe('Circuit Breaker', () => {
+
+    mock.createMockCase('TC008: Should short-circuit an endpoint once it is clearly down', async () => {
+      mock.setScenario('down');
+      for (let i = 0; i < config.circuitBreaker.threshold; i++) {
+        await makeRequest(endpoint, { retry: false });
+      }
+      const sent = mock.requests.length;
+      
+      const response = await makeRequest(endpoint, { retry: false });
+      
+      expect(response.status).toBe(0);
+      expect(response.code).toBe('ECIRCUITOPEN');
+      expect(response.error.kind).toBe('circuit_open');
+      expect(mock.requests).toHaveLength(sent);
+    });
+
+    mock.createMockCase('TC009: Should keep other endpoints available while one circuit is open', async () => {
+      mock.setScenario('down');
+      for (let i = 0; i < config.circuitBreaker.threshold; i++) {
+        await makeRequest(endpoint, { retry: false });
+      }
+      mock.setScenario('healthy');
+      
+      const response = await makeRequest(config.endpoints.tokenPairs);
+      
+      expect(response.status).toBe(200);
+    });
+
+    mock.createMockCase('TC010: Should let a trial request through after the reset timeout', async () => {
+      const resetTimeout = config.circuitBreaker.resetTimeout;
+      config.circuitBreaker.resetTimeout = 50;
+      try {
+        mock.setScenario('down');
+        for (let i = 0; i < config.circuitBreaker.threshold; i++) {
+          await makeRequest(endpoint, { retry: false });
+        }
+        mock.setScenario('healthy');
+        await new Promise(resolve => setTimeout(resolve, 60));
+        
+        const response = await makeRequest(endpoint);
+        
+        expect(response.status).toBe(200);
+      } finally {
+        config.circuitBreaker.resetTimeout = resetTimeout;
+      }
+    });
+  });
+
+  describe('Error Classification', () => {
+
+    createTestCase('TC011: Should classify a refused connection', async () => {
+      const baseURL = config.baseURL;
+      config.baseURL = 'http://127.0.0.1:1';
+      try {
+        const response = await makeRequest(endpoint, { retry: false });
+        
+        expect(response.status).toBe(0);
+        expect(response.error).toEqual(expect.objectContaining({
+          kind: 'connection_refused',
+          code: 'ECONNREFUSED'
+        }));
+      } finally {
+        config.baseURL = baseURL;
+      }
+    });
+
+    createTestCase('TC012: Should classify HTTP error statuses', async () => {
+      const response = await makeRequest(`${config.endpoints.tokenPairs}/invalid-pair-id`);
+      
+      expect(response.status).toBe(404);
+      expect(response.error.kind).toBe('http_error');
+      expect(response.error.code).toBe('ERR_BAD_REQUEST');
+    });
+
+    createTestCase('TC013: Should leave error empty on success', async () => {
+      const response = await makeRequest(endpoint);
+      
+      expect(response.status).toBe(200);
+      expect(response.error).toBeNull();
+    });
+  });
+
+  describe('Circuit Breaker Keys', () => {
+    const pairs = ['0x1-0x2', '0x3-0x4', '0x5-0x6', '0x7-0x8'].map(id => `${config.endpoints.tokenPairs}/${id}`);
+
+    mock.createMockCase('TC014: Should share one breaker across IDs and queries of an endpoint', async () => {
+      mock.setScenario('down');
+      for (let i = 0; i < config.circuitBreaker.threshold; i++) {
+        await makeRequest(pairs[i % 3], { retry: false });
+      }
+      mock.setScenario('healthy');
+
+      const detail = await makeRequest(pairs[3], { retry: false });
+      const list = await makeRequest(`${config.endpoints.tokenPairs}?limit=5`, { retry: false });
+
+      [detail, list].forEach(response => expect(response.error).toEqual(expect.objectContaining({
+        kind: 'circuit_open',
+        message: 'Circuit open for GET tokenPairs'
+      })));
+      expect((await makeRequest(config.endpoints.tokens)).status).toBe(200);
+    });
+
+    mock.createMockCase('TC015: Should key breakers the same way without a spec', async () => {
+      const spec = config.openapi.spec;
+      config.openapi.spec = null;
+      try {
+        mock.setScenario('down');
+        for (let i = 0; i < config.circuitBreaker.threshold; i++) {
+          await makeRequest(pairs[i % 3], { retry: false });
+        }
+        mock.setScenario('healthy');
+
+        const response = await makeRequest(`${config.endpoints.tokenPairs}?limit=5`, { retry: false });
+
+        expect(response.error.message).toBe('Circuit open for GET tokenPairs');
+        expect((await makeRequest(config.endpoints.tokens)).status).toBe(200);
+      } finally {
+        config.openapi.spec = spec;
+      }
+    });
+  });
+});
@@ -1,9 +1,12 @@
-const { makeRequest, validateArraySchema, createTestCase, measurePerformance } = require('../../utils/utils');
+const { logger, makeRequest, validateArraySchema, createTestCase, useMockServer } = require('../../utils/utils');
+const { benchmark, checkBudget, budgetFor, benchmarkTimeout } = require('../../utils/benchmark');
+const { checkAmounts } = require('../../utils/decimal');
 const config = require('../../config/config');
 
 describe('Token Pairs API Tests', () => {
   const endpoint = config.endpoints.tokenPairs;
   const schema = config.schemas.tokenPair;
+  const mock = useMockServer();
 
   describe('GET /api/token-pairs', () => {
     
@@ -25,7 +28,7 @@ describe('Token Pairs API Tests', () => {
         expect(response.data).toHaveProperty('success');
         expect(response.data.success).toBe('ok');
         
-        const validation = validateArraySchema(response.data.pairs, schema);
+        const validation = validateArraySchema(response.data.pairs, schema, 'pairs');
         expect(validation.isValid).toBe(true);
         if (!validation.isValid) {
           console.error('Schema validation errors:', validation.errors);
@@ -33,21 +36,20 @@ describe('Token Pairs API Tests', () => {
       }
     });
 
-    createTestCase('TC002: Should return proper error response for broken API', async () => {
+    mock.createMockCase('TC002: Should return proper error response for broken API', async () => {
+      mock.setScenario('error');
       const response = await makeRequest(endpoint);
       
       // Test that we get a proper error response
       expect(response).toBeDefined();
-      expect(response.status).toBeDefined();
-      
-      if (response.status === 500) {
-        expect(response.data).toBe('Server Error');
-      } else if (response.status === 0) {
-        expect(response.data).toHaveProperty('error');
-      }
+      expect(response.status).toBe(500);
+      expect(response.data).toBe('Server Error');
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.error.kind).toBe('http_error');
     });
 
-    createTestCase('TC003: Should handle timeout scenarios', async () => {
+    mock.createMockCase('TC003: Should handle timeout scenarios', async () => {
+      mock.setScenario('slow');
       const response = await makeRequest(endpoint, {
         timeout: 1 // Very short timeout to test timeout handling
       });
@@ -55,6 +57,7 @@ describe('Token Pairs API Tests', () => {
       expect(response).toBeDefined();
       expect(response.status).toBe(0);
       expect(response.data).toHaveProperty('error');
+      expect(response.error.kind).toBe('timeout');
     });
 
     createTestCase('TC004: Should test API availability', async () => {
@@ -64,8 +67,8 @@ describe('Token Pairs API Tests', () => {
       expect(response).toBeDefined();
       expect(response.status).toBeDefined();
       
-      // Log the actual response for debugging
-      console.log('Token Pairs API Response:', {
+      // Log the actual response for debugging (LOG_LEVEL=trace)
+      logger.trace('Token Pairs API response', {
         status: response.status,
         data: response.data,
         headers: response.headers
@@ -109,31 +112,27 @@ describe('Token Pairs API Tests', () => {
       }
     });
 
-    createTestCase('TC007: Should test performance under error conditions', async () => {
-      const performance = await measurePerformance(
-        () => makeRequest(endpoint),
-        6000 // 6 seconds max for broken API
-      );
+    mock.createMockCase('TC007: Should test performance under error conditions', async () => {
+      mock.setScenario('error');
+      const { stats, responses } = await benchmark(() => makeRequest(endpoint));
+      const budget = checkBudget(stats, budgetFor('tokenPairs'));
       
-      // Should complete within timeout, even if API is broken
-      expect(performance.isWithinLimit).toBe(true);
-      expect(performance.response).toBeDefined();
-    });
+      // Should stay within the latency budget, even if API is broken
+      expect(budget.breaches).toEqual([]);
+      responses.forEach(response => {
+        expect(response.status).toBe(500);
+      });
+    }, benchmarkTimeout('tokenPairs'));
 
-    createTestCase('TC008: Should handle concurrent requests to broken API', async () => {
+    mock.createMockCase('TC008: Should handle concurrent requests to broken API', async () => {
+      mock.setScenario('error');
       const requests = Array(3).fill().map(() => makeRequest(endpoint));
       
       const responses = await Promise.all(requests);
       
       responses.forEach(response => {
-        expect(response).toBeDefined();
-        expect(response.status).toBeDefined();
-        
-        if (response.status === 500) {
-          expect(response.data).toBe('Server Error');
-        } else if (response.status === 0) {
-          expect(response.data).toHaveProperty('error');
-        }
+        expect(response.status).toBe(500);
+        expect(response.data).toBe('Server Error');
       });
     });
   });
@@ -168,9 +167,8 @@ describe('Token Pairs API Tests', () => {
       const invalidPairId = '0x1234567890123456789012345678901234567890-0x0987654321098765432109876543210987654321';
       const response = await makeRequest(`${endpoint}/${invalidPairId}`);
       
-      if (response.status === 200) {
+      if (response.status === 404) {
         // API is working but pair not found
-        expect(response.status).toBe(404);
         expect(response.data).toHaveProperty('error');
       } else {
         // API is broken
@@ -194,14 +192,16 @@ describe('Token Pairs API Tests', () => {
 
   describe('Error Handling Tests', () => {
     
-    createTestCase('TC012: Should handle network timeouts gracefully', async () => {
+    mock.createMockCase('TC012: Should handle network timeouts gracefully', async () => {
+      mock.setScenario('slow');
       const response = await makeRequest(endpoint, {
         timeout: 1 // Very short timeout
       });
       
       expect(response.status).toBe(0);
       expect(response.data).toHaveProperty('error');
-      expect(response.data.error).toBe('No response received');
+      expect(response.error.kind).toBe('timeout');
+      expect(response.error.code).toBe('ECONNABORTED');
     });
 
     createTestCase('TC013: Should return proper content type when available', async () => {
@@ -223,6 +223,16 @@ describe('Token Pairs API Tests', () => {
       // API might return 404 or 405 for POST requests
       expect([404, 405]).toContain(response.status);
     });
+
+    mock.createMockCase('TC018: Should surface malformed JSON bodies as raw text', async () => {
+      mock.setScenario('malformed');
+      const response = await makeRequest(endpoint);
+      
+      expect(response.status).toBe(200);
+      expect(typeof response.data).toBe('string');
+      expect(() => JSON.parse(response.data)).toThrow();
+      expect(response.error.kind).toBe('invalid_json');
+    });
   });
 
   describe('Data Validation Tests', () => {
@@ -231,18 +241,10 @@ describe('Token Pairs API Tests', () => {
       const response = await makeRequest(endpoint);
       
       if (response.status === 200 && response.data.pairs.length > 0) {
-        response.data.pairs.forEach(pair => {
-          // Check if numeric fields are valid numbers
-          expect(parseFloat(pair.reserve0)).not.toBeNaN();
-          expect(parseFloat(pair.reserve1)).not.toBeNaN();
-          
-          if (pair.totalSupply) {
-            expect(parseFloat(pair.totalSupply)).not.toBeNaN();
-          }
-          
-          if (pair.reserveUSD) {
-            expect(parseFloat(pair.reserveUSD)).not.toBeNaN();
-          }
+        response.data.pairs.forEach((pair, index) => {
+          // Reserves must be canonical decimals within each token's
+          // precision; totalSupply and reserveUSD are checked when present
+          expect(checkAmounts(pair, config.amounts.tokenPair, `pairs[${index}]`).errors).toEqual([]);
           
           // Check if string fields are not empty
           expect(pair.id.trim()).not.toBe('');
@@ -1,9 +1,12 @@
-const { makeRequest, validateArraySchema, createTestCase, measurePerformance } = require('../../utils/utils');
+const { logger, makeRequest, validateArraySchema, createTestCase, useMockServer } = require('../../utils/utils');
+const { benchmark, checkBudget, budgetFor, benchmarkTimeout } = require('../../utils/benchmark');
+const { checkAmounts } = require('../../utils/decimal');
 const config = require('../../config/config');
 
 describe('Tokens API Tests', () => {
   const endpoint = config.endpoints.tokens;
   const schema = config.schemas.token;
+  const mock = useMockServer();
 
   describe('GET /api/tokens', () => {
     
@@ -25,7 +28,7 @@ describe('Tokens API Tests', () => {
         expect(response.data).toHaveProperty('success');
         expect(response.data.success).toBe('ok');
         
-        const validation = validateArraySchema(response.data.tokens, schema);
+        const validation = validateArraySchema(response.data.tokens, schema, 'tokens');
         expect(validation.isValid).toBe(true);
         if (!validation.isValid) {
           console.error('Schema validation errors:', validation.errors);
@@ -33,21 +36,20 @@ describe('Tokens API Tests', () => {
       }
     });
 
-    createTestCase('TC002: Should return proper error response for broken API', async () => {
+    mock.createMockCase('TC002: Should return proper error response for broken API', async () => {
+      mock.setScenario('error');
       const response = await makeRequest(endpoint);
       
       // Test that we get a proper error response
       expect(response).toBeDefined();
-      expect(response.status).toBeDefined();
-      
-      if (response.status === 500) {
-        expect(response.data).toBe('Server Error');
-      } else if (response.status === 0) {
-        expect(response.data).toHaveProperty('error');
-      }
+      expect(response.status).toBe(500);
+      expect(response.data).toBe('Server Error');
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.error.kind).toBe('http_error');
     });
 
-    createTestCase('TC003: Should handle timeout scenarios', async () => {
+    mock.createMockCase('TC003: Should handle timeout scenarios', async () => {
+      mock.setScenario('slow');
       const response = await makeRequest(endpoint, {
         timeout: 1 // Very short timeout to test timeout handling
       });
@@ -55,6 +57,7 @@ describe('Tokens API Tests', () => {
       expect(response).toBeDefined();
       expect(response.status).toBe(0);
       expect(response.data).toHaveProperty('error');
+      expect(response.error.kind).toBe('timeout');
     });
 
     createTestCase('TC004: Should test API availability', async () => {
@@ -64,8 +67,8 @@ describe('Tokens API Tests', () => {
       expect(response).toBeDefined();
       expect(response.status).toBeDefined();
       
-      // Log the actual response for debugging
-      console.log('API Response:', {
+      // Log the actual response for debugging (LOG_LEVEL=trace)
+      logger.trace('API response', {
         status: response.status,
         data: response.data,
         headers: response.headers
@@ -109,45 +112,43 @@ describe('Tokens API Tests', () => {
       }
     });
 
-    createTestCase('TC007: Should test performance under error conditions', async () => {
-      const performance = await measurePerformance(
-        () => makeRequest(endpoint),
-        6000 // 6 seconds max for broken API
-      );
-      
-      // Should complete within timeout, even if API is broken
-      expect(performance.isWithinLimit).toBe(true);
-      expect(performance.response).toBeDefined();
-    });
+    mock.createMockCase('TC007: Should test performance under error conditions', async () => {
+      mock.setScenario('error');
+      const { stats, responses } = await benchmark(() => makeRequest(endpoint));
+      const budget = checkBudget(stats, budgetFor('tokens'));
+      
+      // Should stay within the latency budget, even if API is broken
+      expect(budget.breaches).toEqual([]);
+      responses.forEach(response => {
+        expect(response.status).toBe(500);
+      });
+    }, benchmarkTimeout('tokens'));
 
-    createTestCase('TC008: Should handle concurrent requests to broken API', async () => {
+    mock.createMockCase('TC008: Should handle concurrent requests to broken API', async () => {
+      mock.setScenario('error');
       const requests = Array(3).fill().map(() => makeRequest(endpoint));
       
       const responses = await Promise.all(requests);
       
       responses.forEach(response => {
-        expect(response).toBeDefined();
-        expect(response.status).toBeDefined();
-        
-        if (response.status === 500) {
-          expect(response.data).toBe('Server Error');
-        } else if (response.status === 0) {
-          expect(response.data).toHaveProperty('error');
-        }
+        expect(response.status).toBe(500);
+        expect(response.data).toBe('Server Error');
       });
     });
   });
 
   describe('Error Handling Tests', () => {
     
-    createTestCase('TC009: Should handle network timeouts gracefully', async () => {
+    mock.createMockCase('TC009: Should handle network timeouts gracefully', async () => {
+      mock.setScenario('slow');
       const response = await makeRequest(endpoint, {
         timeout: 1 // Very short timeout
       });
       
       expect(response.status).toBe(0);
       expect(response.data).toHaveProperty('error');
-      expect(response.data.error).toBe('No response received');
+      expect(response.error.kind).toBe('timeout');
+      expect(response.error.code).toBe('ECONNABORTED');
     });
 
     createTestCase('TC010: Should return proper content type when available', async () => {
@@ -169,6 +170,16 @@ describe('Tokens API Tests', () => {
       // API might return 404 or 405 for POST requests
       expect([404, 405]).toContain(response.status);
     });
+
+    mock.createMockCase('TC014: Should surface malformed JSON bodies as raw text', async () => {
+      mock.setScenario('malformed');
+      const response = await makeRequest(endpoint);
+      
+      expect(response.status).toBe(200);
+      expect(typeof response.data).toBe('string');
+      expect(() => JSON.parse(response.data)).toThrow();
+      expect(response.error.kind).toBe('invalid_json');
+    });
   });
 
   describe('Data Validation Tests', () => {
@@ -177,11 +188,9 @@ describe('Tokens API Tests', () => {
       const response = await makeRequest(endpoint);
       
       if (response.status === 200 && response.data.tokens.length > 0) {
-        response.data.tokens.forEach(token => {
-          // Check if numeric fields are valid numbers
-          expect(parseFloat(token.derivedETH)).not.toBeNaN();
-          expect(parseFloat(token.tradeVolume)).not.toBeNaN();
-          expect(parseFloat(token.totalLiquidity)).not.toBeNaN();
+        response.data.tokens.forEach((token, index) => {
+          // Amounts must be canonical decimals within the token's precision
+          expect(checkAmounts(token, config.amounts.token, `tokens[${index}]`).errors).toEqual([]);
           
           // Check if string fields are not empty
           expect(token.name.trim()).not.toBe('');
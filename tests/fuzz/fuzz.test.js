@@ -0,0 +1,101 @@
+const { createTestCase, useMockServer } = require('../../utils/utils');
+const {
+  CASSETTE_SEED,
+  createRandom,
+  encodeValue,
+  fuzzTargets,
+  generateCase,
+  checkCase,
+  fuzzTarget,
+  loadRegressions,
+  saveRegression
+} = require('../../utils/fuzz');
+const config = require('../../config/config');
+
+describe('Fuzz Tests', () => {
+  useMockServer();
+  const targets = fuzzTargets();
+  const regressions = loadRegressions();
+  const fuzzTimeout = (config.fuzz.runs + config.fuzz.maxShrinks) * config.fuzz.timeout;
+
+  describe('Generator', () => {
+
+    createTestCase('TC001: Should generate the same cases from the same seed', async () => {
+      const cases = (seed) => {
+        const random = createRandom(seed);
+        return Array.from({ length: 20 }, () => generateCase(random, targets.history));
+      };
+
+      expect(cases(42)).toEqual(cases(42));
+      expect(cases(42)).not.toEqual(cases(43));
+    });
+
+    createTestCase('TC002: Should change at most two parameters of the baseline', async () => {
+      const random = createRandom(7);
+      const baseline = targets.history.baseline();
+
+      for (let i = 0; i < 50; i += 1) {
+        const params = generateCase(random, targets.history);
+        const changed = Object.keys(params).filter(name => params[name] !== baseline[name]);
+        expect(changed.length).toBeLessThanOrEqual(2);
+      }
+    });
+
+    createTestCase('TC003: Should shrink a failing case to a minimal reproducer', async () => {
+      // Stand-in for a server that breaks on any quote in symbol
+      const check = async (params) => (params.symbol.includes('\'') ? 'status 500' : null);
+      const result = await fuzzTarget(targets.history, { seed: 1, runs: 500, check });
+
+      expect(result.failure).not.toBeNull();
+      expect(result.failure.params).toEqual({ ...targets.history.baseline(), symbol: '\'' });
+      expect(result.failure.original.symbol.length).toBeGreaterThan(1);
+      expect(result.failure.endpoint).toContain('symbol=\'');
+    });
+
+    createTestCase('TC004: Should keep percent escapes so invalid encodings reach the server', async () => {
+      expect(encodeValue('%E0%A4%A')).toBe('%E0%A4%25A');
+      expect(encodeValue('../a b')).toBe('..%2Fa%20b');
+    });
+
+    createTestCase('TC005: Should use a fixed seed while cassettes record or replay', async () => {
+      const check = async () => null;
+      const mode = config.cassettes.mode;
+      try {
+        config.cassettes.mode = 'replay';
+        expect((await fuzzTarget(targets.history, { seed: null, runs: 1, check })).seed).toBe(CASSETTE_SEED);
+        expect((await fuzzTarget(targets.history, { seed: 5, runs: 1, check })).seed).toBe(5);
+      } finally {
+        config.cassettes.mode = mode;
+      }
+    });
+  });
+
+  Object.entries(targets).forEach(([name, target], index) => {
+    const id = (offset) => `TC${String(101 + index * 2 + offset).padStart(3, '0')}`;
+
+    describe(`${name} inputs`, () => {
+
+      createTestCase(`${id(0)}: Should pass every saved ${name} regression case`, async () => {
+        const cases = regressions[name] || [];
+        const failures = [];
+        for (const entry of cases) {
+          const reason = await checkCase(target, entry.params);
+          if (reason) {
+            failures.push({ params: entry.params, reason });
+          }
+        }
+
+        expect(failures).toEqual([]);
+      }, fuzzTimeout);
+
+      createTestCase(`${id(1)}: Should never answer generated ${name} inputs with 5xx or hang`, async () => {
+        const result = await fuzzTarget(target);
+        if (result.failure && config.fuzz.saveRegressions) {
+          saveRegression(name, result.failure, result.seed);
+        }
+
+        expect(result.failure && { seed: result.seed, ...result.failure }).toBeNull();
+      }, fuzzTimeout);
+    });
+  });
+});
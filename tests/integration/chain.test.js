@@ -0,0 +1,111 @@
+const { makeRequest, createTestCase, useMockServer, mockServerEnabled } = require('../../utils/utils');
+const {
+  SELECTORS,
+  createRpcClient,
+  readPair,
+  checkOnChain,
+  samplePairs,
+  verifyPairs,
+  useRpcNode
+} = require('../../utils/chain');
+const config = require('../../config/config');
+
+// Runs against the bundled stand-in node under the mock server, or against
+// config.chain.rpcUrl when one is configured
+const describeChain = mockServerEnabled() || config.chain.rpcUrl ? describe : describe.skip;
+
+/**
+ * Fetch the pair the suite is anchored on
+ * @returns {Promise<object>} - Pair from the detail endpoint
+ */
+const fetchValidPair = async () => {
+  const response = await makeRequest(`${config.endpoints.tokenPairs}/${config.testData.validPairId}`);
+  expect(response.status).toBe(200);
+  return response.data.pair;
+};
+
+describeChain('On-chain Cross-check Tests', () => {
+  useMockServer();
+  const node = useRpcNode();
+  const client = () => createRpcClient(config.chain.rpcUrl);
+
+  describe('API against chain', () => {
+
+    createTestCase(`TC001: Should talk to chain ${config.chain.chainId}`, async () => {
+      const chainId = await client().request('eth_chainId');
+
+      expect(Number(chainId)).toBe(config.chain.chainId);
+    });
+
+    createTestCase('TC002: Should report the reserves, supply and tokens of the valid pair as on chain', async () => {
+      const pair = await fetchValidPair();
+      const validation = await verifyPairs([pair]);
+
+      expect(validation.errors).toEqual([]);
+      expect(validation.results[0].onChain).not.toBeNull();
+    });
+
+    createTestCase(`TC003: Should report ${config.chain.sampleSize} sampled pairs as on chain`, async () => {
+      const response = await makeRequest(config.endpoints.tokenPairs);
+      const sample = samplePairs(response.data.pairs, config.chain.sampleSize, [config.testData.validPairId]);
+      const validation = await verifyPairs(sample);
+
+      expect(sample.length).toBe(Math.min(config.chain.sampleSize, response.data.pairs.length - 1));
+      expect(validation.errors).toEqual([]);
+    });
+  });
+
+  describe('Mismatches', () => {
+    // Only the stand-in node can be moved away from what the API reports
+    const createNodeCase = node.enabled ? createTestCase : (name, fn) => test.skip(name, fn);
+
+    createNodeCase('TC004: Should flag reserves and supply that differ from the chain', async () => {
+      const pair = await fetchValidPair();
+      // USDC sorts before WTFUEL, so the contract holds WTFUEL as token1
+      node.setPair(pair.id, { reserve1: 1700000500000000000000000n, totalSupply: 410000000000000000000000n });
+      const validation = await verifyPairs([pair]);
+
+      expect(validation.errors).toEqual([
+        'WTFUEL-USDC reserve0: API 1650000.5, chain 1700000.5',
+        'WTFUEL-USDC totalSupply: API 406201.95, chain 410000'
+      ]);
+    });
+
+    createNodeCase('TC005: Should accept amounts within the configured tolerance', async () => {
+      const pair = await fetchValidPair();
+      node.setPair(pair.id, { reserve1: 1650001000000000000000000n });
+
+      expect((await verifyPairs([pair], { ...config.chain, tolerance: 0.001 })).errors).toEqual([]);
+      expect((await verifyPairs([pair], { ...config.chain, tolerance: 0 })).errors)
+        .toEqual(['WTFUEL-USDC reserve0: API 1650000.5, chain 1650001']);
+    });
+
+    createNodeCase('TC006: Should flag a pair the factory does not know', async () => {
+      const pair = await fetchValidPair();
+      const unknown = { ...pair, token1: { ...pair.token1, id: `0x${'1'.repeat(40)}`, symbol: 'NONE' } };
+
+      expect((await verifyPairs([unknown])).errors).toEqual([
+        `WTFUEL-NONE: the factory has no pair for ${pair.token0.id} and 0x${'1'.repeat(40)}`
+      ]);
+    });
+  });
+
+  describe('Contracts', () => {
+
+    createTestCase('TC007: Should match tokens by id when the contract orders them differently', async () => {
+      const response = await makeRequest(config.endpoints.tokenPairs);
+      const pair = response.data.pairs.find(item => item.token0.id.toLowerCase() > item.token1.id.toLowerCase());
+      const onChain = await readPair(client(), config.chain.factory, pair.token0.id, pair.token1.id);
+
+      expect(onChain.token0.id).toBe(pair.token1.id.toLowerCase());
+      expect(checkOnChain(pair, onChain, 0).errors).toEqual([]);
+    });
+
+    createTestCase('TC008: Should surface JSON-RPC errors', async () => {
+      await expect(client().request('eth_getBalance', [config.testData.validTokenId, 'latest']))
+        .rejects.toThrow('eth_getBalance failed: Method eth_getBalance not found (-32601)');
+      await expect(client().call(config.testData.validTokenId, SELECTORS.getReserves))
+        .rejects.toThrow('eth_call failed: execution reverted (3)');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const { loadSpec, resolveSpecPath, listOperations } = require('../../utils/openapi');
+const config = require('../../config/config');
+
+/**
+ * Build a concrete request path from the examples documented on an operation
+ * @param {object} operation - Operation from listOperations
+ * @returns {string} - Endpoint with path and query parameters filled in
+ */
+const exampleEndpoint = (operation) => {
+  let endpoint = operation.path;
+  const query = {};
+  operation.parameters.forEach(param => {
+    if (param.in === 'path') {
+      endpoint = endpoint.replace(`{${param.name}}`, encodeURIComponent(param.example));
+    } else if (param.in === 'query' && param.example !== undefined) {
+      query[param.name] = param.example;
+    }
+  });
+  const search = new URLSearchParams(query).toString();
+  return search ? `${endpoint}?${search}` : endpoint;
+};
+
+const describeContract = config.openapi.spec ? describe : describe.skip;
+
+describeContract('OpenAPI Contract Tests', () => {
+  const spec = config.openapi.spec ? loadSpec(resolveSpecPath(config.openapi.spec)) : { paths: {} };
+  const operations = listOperations(spec).filter(operation => operation.method === 'GET');
+  const mock = useMockServer();
+
+  describe('Documented operations', () => {
+
+    operations.forEach((operation, index) => {
+      const id = String(index + 1).padStart(3, '0');
+
+      createTestCase(`TC${id}: ${operation.key} should match its documented 200 response`, async () => {
+        const auth = operation.security.length > 0
+          ? { type: 'session', ...config.testData.accounts.member }
+          : undefined;
+        const response = await makeRequest(exampleEndpoint(operation), { auth });
+
+        expect(response.status).toBe(200);
+        expect(response.contract.operation).toBe(operation.key);
+        expect(response.contract.errors).toEqual([]);
+      });
+    });
+  });
+
+  describe('Error responses', () => {
+
+    mock.createMockCase('TC101: Should accept the documented 500 error page', async () => {
+      mock.setScenario('error');
+      const response = await makeRequest(config.endpoints.tokens);
+
+      expect(response.status).toBe(500);
+      expect(response.contract.isValid).toBe(true);
+    });
+
+    mock.createMockCase('TC102: Should flag malformed bodies as contract violations', async () => {
+      mock.setScenario('malformed');
+      const response = await makeRequest(config.endpoints.tokens);
+
+      expect(response.contract.isValid).toBe(false);
+      expect(response.contract.errors[0]).toMatch(/expected object, got string/);
+    });
+
+    createTestCase('TC103: Should report requests the spec does not document', async () => {
+      const response = await makeRequest(config.endpoints.tokens, {
+        method: 'POST',
+        data: { test: 'data' }
+      });
+
+      expect(response.contract.operation).toBeNull();
+      expect(response.contract.isValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const { historyEndpoint } = require('../../utils/history');
+const { formatDiffs, createGolden } = require('../../utils/golden');
+const config = require('../../config/config');
+
+describe('Golden Response Tests', () => {
+  useMockServer();
+  const golden = createGolden({ ...config.golden, environment: config.environment });
+
+  describe('Responses match their golden files', () => {
+    const requests = {
+      tokens: () => config.endpoints.tokens,
+      'token pairs': () => config.endpoints.tokenPairs,
+      'token pair detail': () => `${config.endpoints.tokenPairs}/${config.testData.validPairId}`,
+      history: () => historyEndpoint({
+        symbol: config.testData.validSymbol,
+        resolution: config.testData.validResolution,
+        ...config.testData.validTimeRange
+      }),
+      'unknown pair': () => `${config.endpoints.tokenPairs}/0x0000000000000000000000000000000000000000`,
+      'UDF config': () => config.endpoints.config
+    };
+
+    Object.entries(requests).forEach(([name, endpoint], index) => {
+      const id = String(index + 1).padStart(3, '0');
+
+      createTestCase(`TC${id}: Should return the golden ${name} response`, async () => {
+        const response = await makeRequest(endpoint());
+        const result = golden.check('GET', endpoint(), response);
+
+        expect(formatDiffs(result.diffs)).toBe('');
+        expect(['created', 'matched', 'updated']).toContain(result.status);
+      });
+    });
+  });
+});
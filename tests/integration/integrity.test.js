@@ -0,0 +1,86 @@
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const { historyEndpoint, longestBar } = require('../../utils/history');
+const {
+  checkPairReferences,
+  checkLiquidity,
+  checkReserveValue,
+  derivedPrice,
+  checkPriceAgreement
+} = require('../../utils/integrity');
+const config = require('../../config/config');
+
+/**
+ * Fetch the token and pair lists the checks compare
+ * @returns {Promise<object>} - tokens and pairs
+ */
+const fetchLists = async () => {
+  const [tokensResponse, pairsResponse] = await Promise.all([
+    makeRequest(config.endpoints.tokens),
+    makeRequest(config.endpoints.tokenPairs)
+  ]);
+  expect(tokensResponse.status).toBe(200);
+  expect(pairsResponse.status).toBe(200);
+  return {
+    tokens: tokensResponse.data.tokens,
+    pairs: pairsResponse.data.pairs
+  };
+};
+
+describe('Referential Integrity Tests', () => {
+  useMockServer();
+
+  describe('Tokens and pairs', () => {
+
+    createTestCase('TC001: Should reference only listed tokens from every pair', async () => {
+      const { tokens, pairs } = await fetchLists();
+      const validation = checkPairReferences(tokens, pairs);
+
+      expect(pairs.length).toBeGreaterThan(0);
+      expect(validation.errors).toEqual([]);
+    });
+
+    createTestCase('TC002: Should build every pair id from its token ids', async () => {
+      const { pairs } = await fetchLists();
+
+      pairs.forEach(pair => {
+        expect(pair.id).toBe(`${pair.token0.id}-${pair.token1.id}`);
+      });
+    });
+
+    createTestCase('TC003: Should match token liquidity to reserves across pairs', async () => {
+      const { tokens, pairs } = await fetchLists();
+      const validation = checkLiquidity(tokens, pairs, config.integrity.liquidityTolerance);
+
+      expect(validation.errors).toEqual([]);
+      expect(validation.comparisons).toHaveLength(tokens.length);
+    });
+
+    createTestCase('TC004: Should value every pair\'s reserves at its reserveUSD', async () => {
+      const { tokens, pairs } = await fetchLists();
+      const validation = checkReserveValue(tokens, pairs, config.testData.quoteTokenId, config.integrity.reserveValueTolerance);
+
+      expect(validation.errors).toEqual([]);
+      expect(validation.comparisons).toHaveLength(pairs.filter(pair => pair.reserveUSD !== undefined).length);
+    });
+  });
+
+  describe('Tokens and history', () => {
+
+    createTestCase(`TC005: Should agree on the ${config.testData.validSymbol} price with the latest history bar`, async () => {
+      const { tokens } = await fetchLists();
+      const resolution = config.testData.validResolution;
+      const to = Math.floor(Date.now() / 1000);
+      const response = await makeRequest(historyEndpoint({
+        symbol: config.testData.validSymbol,
+        resolution,
+        from: to - 3 * longestBar(resolution),
+        to
+      }));
+      const price = derivedPrice(tokens, config.testData.validTokenId, config.testData.quoteTokenId);
+      const validation = checkPriceAgreement(response.data, price, config.integrity.priceTolerance);
+
+      expect(response.status).toBe(200);
+      expect(validation.errors).toEqual([]);
+    });
+  });
+});
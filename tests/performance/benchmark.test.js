@@ -0,0 +1,75 @@
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const { benchmark, checkBudget, budgetFor, benchmarkTimeout } = require('../../utils/benchmark');
+const { historyEndpoint } = require('../../utils/history');
+const config = require('../../config/config');
+
+describe('Latency Budget Tests', () => {
+  const mock = useMockServer();
+
+  const targets = {
+    tokens: () => config.endpoints.tokens,
+    tokenPairs: () => config.endpoints.tokenPairs,
+    history: () => historyEndpoint({
+      symbol: config.testData.validSymbol,
+      resolution: config.testData.validResolution,
+      ...config.testData.validTimeRange
+    })
+  };
+
+  describe('Per-endpoint budgets', () => {
+
+    Object.entries(targets).forEach(([name, endpoint], index) => {
+      const id = String(index + 1).padStart(3, '0');
+
+      createTestCase(`TC${id}: GET ${name} should stay within its latency budget`, async () => {
+        const { stats, responses } = await benchmark(() => makeRequest(endpoint()));
+        const budget = checkBudget(stats, budgetFor(name));
+        
+        expect(stats.count).toBe(config.performance.iterations);
+        expect(budget.breaches).toEqual([]);
+        responses.forEach(response => {
+          expect(response.status).toBe(200);
+        });
+      }, benchmarkTimeout(name));
+    });
+  });
+
+  describe('Statistics', () => {
+
+    mock.createMockCase('TC004: Should report the spread of iterations', async () => {
+      mock.setScenario('slow', { delay: 20 });
+      const { stats, durations } = await benchmark(() => makeRequest(config.endpoints.tokens), {
+        warmup: 1,
+        iterations: 5
+      });
+      
+      expect(durations).toHaveLength(5);
+      expect(stats.min).toBeGreaterThanOrEqual(20);
+      expect(stats.min).toBeLessThanOrEqual(stats.median);
+      expect(stats.median).toBeLessThanOrEqual(stats.p95);
+      expect(stats.p95).toBeLessThanOrEqual(stats.p99);
+      expect(stats.stddev).toBeGreaterThanOrEqual(0);
+    });
+
+    mock.createMockCase('TC005: Should flag statistics over budget', async () => {
+      mock.setScenario('slow', { delay: 50 });
+      const { stats } = await benchmark(() => makeRequest(config.endpoints.tokens), {
+        warmup: 0,
+        iterations: 3
+      });
+      const budget = checkBudget(stats, { median: 10, max: 10000 });
+      
+      expect(budget.isWithinBudget).toBe(false);
+      expect(budget.breaches).toHaveLength(1);
+      expect(budget.breaches[0]).toMatch(/^median \d+\.\dms > 10ms$/);
+    });
+
+    createTestCase('TC006: Should allow every call up to the budget max within the test timeout', async () => {
+      const { warmup, iterations } = config.performance;
+
+      expect(benchmarkTimeout('history')).toBe((warmup + iterations) * budgetFor('history').max);
+      expect(benchmarkTimeout('tokens', { warmup: 0, iterations: 1 })).toBe(config.timeouts.test);
+      expect(() => benchmarkTimeout('unknown')).toThrow('No latency budget configured for endpoint "unknown"');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const path = require('path');
+const { createTestCase, useMockServer, logger } = require('../../utils/utils');
+const { historyEndpoint } = require('../../utils/history');
+const { runLoad, checkSlo } = require('../../utils/load');
+const { readExchanges } = require('../../utils/contract');
+const config = require('../../config/config');
+
+describe('Load Tests', () => {
+  const mock = useMockServer();
+  const testTimeout = config.load.duration + config.timeouts.test;
+
+  const targets = {
+    tokens: () => config.endpoints.tokens,
+    tokenPairs: () => config.endpoints.tokenPairs,
+    history: () => historyEndpoint({
+      symbol: config.testData.validSymbol,
+      resolution: config.testData.validResolution,
+      ...config.testData.validTimeRange
+    })
+  };
+
+  describe('Closed-loop load within SLO', () => {
+
+    Object.entries(targets).forEach(([name, endpoint], index) => {
+      const id = String(index + 1).padStart(3, '0');
+
+      createTestCase(`TC${id}: GET ${name} should meet its SLO under ${config.load.concurrency} concurrent clients`, async () => {
+        const summary = await runLoad({ endpoint: endpoint() });
+        const slo = checkSlo(summary, config.slo[name]);
+        
+        logger.info('Load run', {
+          endpoint: name,
+          requests: summary.requests,
+          throughput: Number(summary.throughput.toFixed(1)),
+          latency: { p50: summary.latency.p50, p90: summary.latency.p90, p99: summary.latency.p99 }
+        });
+        expect(slo.breaches).toEqual([]);
+      }, testTimeout);
+    });
+  });
+
+  describe('Open-loop arrival rate', () => {
+
+    createTestCase('TC004: Should hold a fixed arrival rate', async () => {
+      const summary = await runLoad({
+        endpoint: config.endpoints.tokens,
+        rate: 20,
+        duration: 1000
+      });
+      
+      expect(summary.requests + summary.dropped).toBeGreaterThanOrEqual(19);
+      expect(summary.requests + summary.dropped).toBeLessThanOrEqual(21);
+      expect(summary.errorRate).toBe(0);
+    }, testTimeout);
+  });
+
+  describe('SLO regressions', () => {
+
+    mock.createMockCase('TC005: Should report latency breaches against a slow backend', async () => {
+      mock.setScenario('slow', { delay: 100 });
+      const summary = await runLoad({ endpoint: config.endpoints.tokens, duration: 500 });
+      const slo = checkSlo(summary, { p50: 50, p99: 80 });
+      
+      expect(slo.isValid).toBe(false);
+      expect(slo.breaches[0]).toMatch(/^p50 \d+\.\dms > 50ms$/);
+    }, testTimeout);
+
+    mock.createMockCase('TC006: Should report error-rate breaches against a failing backend', async () => {
+      mock.setScenario('error');
+      const summary = await runLoad({ endpoint: config.endpoints.tokens, duration: 300 });
+      const slo = checkSlo(summary, config.slo.tokens);
+      
+      expect(summary.errorRate).toBe(1);
+      expect(summary.errorsByKind).toHaveProperty('http_error');
+      expect(slo.breaches).toContain('error rate 100.00% > 1.00%');
+    }, testTimeout);
+  });
+
+  describe('Contract coverage', () => {
+
+    createTestCase('TC007: Should not record load samples in the contract coverage log', async () => {
+      const endpoint = '/api/load-probe';
+      const coverage = path.resolve(__dirname, '../..', config.openapi.coverageFile);
+      const summary = await runLoad({ endpoint, rate: 20, duration: 200 });
+
+      expect(summary.requests).toBeGreaterThan(0);
+      expect(readExchanges(coverage).filter(entry => entry.path === endpoint)).toEqual([]);
+    }, testTimeout);
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const { requestKey, cassetteFile, recordedAt, createCassettes } = require('../../utils/cassette');
+const config = require('../../config/config');
+
+describe('Cassette Tests', () => {
+  const mock = useMockServer();
+  let dir;
+  let file;
+
+  const cassettes = (mode) => createCassettes({ mode, dir, scrub: ['from', 'to'], redact: config.logging.redact, locate: () => file });
+
+  const fakeSend = (responses) => {
+    const send = jest.fn(async () => responses[send.mock.calls.length - 1]);
+    return send;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+    file = path.join(dir, 'test.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('Keys', () => {
+
+    createTestCase('TC001: Should sort the query and scrub volatile parameters', async () => {
+      const key = requestKey('get', '/api/history?to=200&symbol=TFUEL&from=100&resolution=1D', ['from', 'to']);
+
+      expect(key).toBe('GET /api/history?from=<scrubbed>&resolution=1D&symbol=TFUEL&to=<scrubbed>');
+      expect(requestKey('GET', '/api/tokens')).toBe('GET /api/tokens');
+    });
+
+    createTestCase('TC002: Should store one cassette per test', async () => {
+      const location = cassetteFile('/cassettes', path.join('tests', 'functional', 'tokens.test.js'),
+        'Tokens API Tests GET /api/tokens TC001: Should return list of tokens');
+
+      expect(location).toBe(path.join('/cassettes', 'tests', 'functional', 'tokens',
+        'tokens-api-tests-get-api-tokens-tc001-should-return-list-of-tokens.json'));
+    });
+  });
+
+  describe('Modes', () => {
+
+    createTestCase('TC003: Should record live responses to the cassette', async () => {
+      const send = fakeSend([{ status: 200, headers: {}, data: { tokens: [] }, error: null }]);
+      const response = await cassettes('record').intercept('GET', '/api/tokens', send);
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+      expect(response.status).toBe(200);
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(saved.interactions).toHaveLength(1);
+      expect(saved.interactions[0].key).toBe('GET /api/tokens');
+      expect(saved.interactions[0].response.data).toEqual({ tokens: [] });
+    });
+
+    createTestCase('TC004: Should replay repeated requests in recorded order', async () => {
+      const recorder = cassettes('record');
+      const live = fakeSend([{ status: 503, headers: {}, data: 'busy' }, { status: 200, headers: {}, data: { ok: 1 } }]);
+      await recorder.intercept('GET', '/api/tokens', live);
+      await recorder.intercept('GET', '/api/tokens', live);
+
+      const player = cassettes('replay');
+      const send = fakeSend([]);
+      const first = await player.intercept('GET', '/api/tokens', send);
+      const second = await player.intercept('GET', '/api/tokens', send);
+
+      expect(send).not.toHaveBeenCalled();
+      expect([first.status, second.status]).toEqual([503, 200]);
+      expect(second.replayed).toBe(true);
+    });
+
+    createTestCase('TC005: Should match history requests whatever their time range', async () => {
+      await cassettes('record').intercept('GET', '/api/history?symbol=TFUEL&from=1&to=2',
+        fakeSend([{ status: 200, headers: {}, data: { s: 'ok' } }]));
+      const response = await cassettes('replay').intercept('GET', '/api/history?symbol=TFUEL&from=50&to=60', fakeSend([]));
+
+      expect(response.data).toEqual({ s: 'ok' });
+    });
+
+    createTestCase('TC006: Should fail loudly on an unmatched request in replay mode', async () => {
+      await cassettes('record').intercept('GET', '/api/tokens', fakeSend([{ status: 200, headers: {}, data: {} }]));
+      const player = cassettes('replay');
+
+      await expect(player.intercept('GET', '/api/token-pairs', fakeSend([])))
+        .rejects.toThrow('Cassette miss: GET /api/token-pairs (call 1) is not recorded in test.json');
+      await player.intercept('GET', '/api/tokens', fakeSend([]));
+      await expect(player.intercept('GET', '/api/tokens', fakeSend([])))
+        .rejects.toThrow('Cassette miss: GET /api/tokens (call 2)');
+    });
+
+    createTestCase('TC007: Should only send missing requests in record-missing mode', async () => {
+      await cassettes('record').intercept('GET', '/api/tokens', fakeSend([{ status: 200, headers: {}, data: 'tokens' }]));
+      const layer = cassettes('record-missing');
+      const send = fakeSend([{ status: 200, headers: {}, data: 'pairs' }]);
+      const tokens = await layer.intercept('GET', '/api/tokens', send);
+      const pairs = await layer.intercept('GET', '/api/token-pairs', send);
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+      expect(tokens.data).toBe('tokens');
+      expect(pairs.data).toBe('pairs');
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(saved.interactions.map(interaction => interaction.key)).toEqual(['GET /api/tokens', 'GET /api/token-pairs']);
+    });
+
+    createTestCase('TC008: Should leave requests alone in passthrough mode', async () => {
+      const send = fakeSend([{ status: 200, headers: {}, data: {} }]);
+      await cassettes('passthrough').intercept('GET', '/api/tokens', send);
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(fs.existsSync(file)).toBe(false);
+    });
+  });
+
+  describe('Round trip', () => {
+
+    mock.createMockCase('TC009: Should replay a recorded API response offline', async () => {
+      await cassettes('record').intercept('GET', config.endpoints.tokens, () => makeRequest(config.endpoints.tokens));
+      mock.setScenario('down');
+      const response = await cassettes('replay').intercept('GET', config.endpoints.tokens, fakeSend([]));
+
+      expect(response.status).toBe(200);
+      expect(response.replayed).toBe(true);
+      expect(response.error).toBeNull();
+      expect(response.data.tokens.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Recording', () => {
+
+    createTestCase('TC010: Should mask tokens in saved cassettes but not in the live response', async () => {
+      const tokens = { accessToken: 'at_live', refreshToken: 'rt_live', tokenType: 'Bearer', expiresIn: 900 };
+      const live = await cassettes('record').intercept('POST', config.endpoints.auth,
+        fakeSend([{ status: 200, headers: { 'set-cookie': 'sid=1' }, data: tokens }]));
+      const saved = fs.readFileSync(file, 'utf8');
+      const replayed = await cassettes('replay').intercept('POST', config.endpoints.auth, fakeSend([]));
+
+      expect(live.data).toEqual(tokens);
+      expect(saved).not.toContain('at_live');
+      expect(saved).not.toContain('rt_live');
+      expect(replayed.data).toEqual({ ...tokens, accessToken: '[REDACTED]', refreshToken: '[REDACTED]' });
+      expect(replayed.headers['set-cookie']).toBe('[REDACTED]');
+    });
+
+    createTestCase('TC011: Should keep the time a cassette was first recorded', async () => {
+      const started = Date.now();
+      await cassettes('record').intercept('GET', '/api/tokens', fakeSend([{ status: 200, headers: {}, data: {} }]));
+      const first = JSON.parse(fs.readFileSync(file, 'utf8')).recordedAt;
+      await cassettes('record-missing').intercept('GET', '/api/token-pairs', fakeSend([{ status: 200, headers: {}, data: {} }]));
+
+      expect(Date.parse(first)).toBeGreaterThanOrEqual(started);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).recordedAt).toBe(first);
+    });
+
+    createTestCase('TC012: Should find the record time of the running test', async () => {
+      const relative = path.relative(path.resolve(__dirname, '../..'), dir);
+      const { testPath, currentTestName } = expect.getState();
+      const own = cassetteFile(dir, path.relative(path.resolve(__dirname, '../..'), testPath), currentTestName);
+
+      expect(recordedAt(relative)).toBeNull();
+      fs.mkdirSync(path.dirname(own), { recursive: true });
+      fs.writeFileSync(own, JSON.stringify({ version: 1, recordedAt: '2024-01-01T12:00:00.000Z', interactions: [] }));
+      expect(recordedAt(relative)).toBe(Date.UTC(2024, 0, 1, 12));
+    });
+  });
+});
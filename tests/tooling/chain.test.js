@@ -0,0 +1,31 @@
+const { createTestCase } = require('../../utils/utils');
+const { SELECTORS, encodeCall, decodeAddress, decodeString, samplePairs } = require('../../utils/chain');
+
+describe('On-chain Helper Tests', () => {
+
+  createTestCase('TC001: Should encode address arguments and decode ABI words', async () => {
+    const a = `0x${'A'.repeat(40)}`;
+
+    expect(encodeCall(SELECTORS.getPair, a, `0x${'b'.repeat(40)}`))
+      .toBe(`0xe6a43905${'0'.repeat(24)}${'a'.repeat(40)}${'0'.repeat(24)}${'b'.repeat(40)}`);
+    expect(decodeAddress(`0x${'0'.repeat(24)}${'a'.repeat(40)}`)).toBe(`0x${'a'.repeat(40)}`);
+    expect(() => decodeAddress('0x')).toThrow('ABI result "0x" has no word 0');
+  });
+
+  createTestCase('TC002: Should decode string and bytes32 symbols', async () => {
+    const word = (value) => value.toString(16).padStart(64, '0');
+    const text = Buffer.from('WTFUEL').toString('hex');
+
+    expect(decodeString(`0x${word(32)}${word(6)}${text.padEnd(64, '0')}`)).toBe('WTFUEL');
+    expect(decodeString(`0x${Buffer.from('MKR').toString('hex').padEnd(64, '0')}`)).toBe('MKR');
+    expect(() => decodeString(`0x${word(32)}${word(40)}${text.padEnd(64, '0')}`)).toThrow('is not a string');
+  });
+
+  createTestCase('TC003: Should sample pairs evenly and leave out excluded ones', async () => {
+    const pairs = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(id => ({ id }));
+
+    expect(samplePairs(pairs, 3, ['A']).map(pair => pair.id)).toEqual(['b', 'd', 'f']);
+    expect(samplePairs(pairs, 10).map(pair => pair.id)).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+    expect(samplePairs(pairs, 0)).toEqual([]);
+  });
+});
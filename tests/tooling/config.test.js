@@ -0,0 +1,269 @@
+const { createTestCase } = require('../../utils/utils');
+const { loadConfig, mergeConfig, resolveEnvironment, validateConfig, listEnvironments } = require('../../config/loader');
+const { LOG_LEVELS } = require('../../utils/logger');
+const { AUTH_TYPES } = require('../../utils/auth');
+const { GOLDEN_MODES } = require('../../utils/golden');
+const { CASSETTE_MODES } = require('../../utils/cassette');
+
+const STAGING = {
+  STAGING_API_URL: 'https://staging.example.test',
+  STAGING_API_TOKEN: 'st_token',
+  STAGING_TOKEN_ID: `0x${'a'.repeat(40)}`,
+  STAGING_QUOTE_TOKEN_ID: `0x${'b'.repeat(40)}`,
+  STAGING_PAIR_ID: undefined
+};
+
+/**
+ * Load a profile with some environment variables set or unset, from a
+ * fresh module registry so the profile reads them again
+ * @param {string} environment - Profile name
+ * @param {object} env - Variables to set; undefined unsets one
+ * @returns {object} - Config from loadConfig
+ */
+const loadWith = (environment, env) => {
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  const apply = (values) => Object.entries(values).forEach(([name, value]) => {
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  });
+  apply(env);
+  try {
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = require('../../config/loader').loadConfig(environment);
+    });
+    return loaded;
+  } finally {
+    apply(saved);
+  }
+};
+
+// Overrides of a valid config and the errors each must produce, per section
+const INVALID = {
+  baseURL: [
+    [{ baseURL: undefined }, ['baseURL is required']],
+    [{ baseURL: 'ftp://example.test' }, ['baseURL must be an http(s) URL, got "ftp://example.test"']]
+  ],
+  mockServer: [
+    [{ mockServer: 'yes' }, ['mockServer must be a boolean']]
+  ],
+  endpoints: [
+    [{ endpoints: null }, ['endpoints is required']],
+    [{ endpoints: { tokens: 'api/tokens' } }, ['endpoints.tokens must be a path starting with "/"']]
+  ],
+  timeouts: [
+    [{ timeouts: { request: 0 } }, ['timeouts.request must be a positive integer']],
+    [{ timeouts: { test: 1.5 } }, ['timeouts.test must be a positive integer']],
+    [{ timeouts: { request: 5000, test: 5000 } }, ['timeouts.test must be greater than timeouts.request']]
+  ],
+  retry: [
+    [{ retry: { retries: -1 } }, ['retry.retries must be a non-negative integer']],
+    [{ retry: { statuses: '503' } }, ['retry.statuses must be an array']],
+    [{ retry: { errorCodes: null } }, ['retry.errorCodes must be an array']],
+    [{ retry: { baseDelay: -1 } }, ['retry.baseDelay must be a non-negative number']],
+    [{ retry: { maxDelay: '1s' } }, ['retry.maxDelay must be a non-negative number']],
+    [{ retry: { factor: 0.5 } }, ['retry.factor must be a number >= 1']],
+    [{ retry: { jitter: 2 } }, ['retry.jitter must be between 0 and 1']]
+  ],
+  circuitBreaker: [
+    [{ circuitBreaker: { enabled: 'yes' } }, ['circuitBreaker.enabled must be a boolean']],
+    [{ circuitBreaker: { threshold: 0 } }, ['circuitBreaker.threshold must be a positive integer']],
+    [{ circuitBreaker: { resetTimeout: 0 } }, ['circuitBreaker.resetTimeout must be a positive integer']],
+    [{ circuitBreaker: { failureStatuses: null } }, ['circuitBreaker.failureStatuses must be an array']]
+  ],
+  performance: [
+    [{ performance: { warmup: -1 } }, ['performance.warmup must be a non-negative integer']],
+    [{ performance: { iterations: 0 } }, ['performance.iterations must be a positive integer']],
+    [{ performance: { budgets: { history: { median: 0 } } } }, ['performance.budgets.history.median must be a positive number']]
+  ],
+  load: [
+    [{ load: { duration: 0 } }, ['load.duration must be a positive integer']],
+    [{ load: { concurrency: 0 } }, ['load.concurrency must be a positive integer']],
+    [{ load: { rate: 0 } }, ['load.rate must be a positive number or null']]
+  ],
+  slo: [
+    [{ slo: { tokens: { p90: 0 } } }, ['slo.tokens.p90 must be a positive number']],
+    [{ slo: { tokens: { errorRate: 2 } } }, ['slo.tokens.errorRate must be between 0 and 1']]
+  ],
+  auth: [
+    [{ auth: { type: 'magic' } }, [`auth.type must be one of ${AUTH_TYPES.join(', ')}`]],
+    [{ auth: { type: 'bearer' } }, ['auth.token is required for bearer auth']],
+    [{ auth: { type: 'apiKey', header: 'X-API-Key' } }, ['auth.header and auth.key are required for apiKey auth']],
+    [{ auth: { type: 'session', username: 'tester' } }, ['auth.username and auth.password are required for session auth']]
+  ],
+  testData: [
+    [{ testData: { validTokenId: 'WTFUEL' } }, ['testData.validTokenId must be a 0x address']],
+    [{ testData: { quoteTokenId: undefined } }, ['testData.quoteTokenId must be a 0x address']],
+    [{ testData: { validPairId: `0x${'a'.repeat(40)}` } }, ['testData.validPairId must be two 0x addresses joined by "-"']],
+    [{ testData: { validSymbol: ' ' } }, ['testData.validSymbol is required']],
+    [{ testData: { validResolution: '' } }, ['testData.validResolution is required']],
+    [{ testData: { accounts: { member: { password: '' } } } }, ['testData.accounts.member.password is required']],
+    [{ testData: { validResolutions: [] } }, ['testData.validResolutions must be a non-empty array']],
+    [{ testData: { validTimeRange: { from: 2, to: 1 } } }, ['testData.validTimeRange must have integer from < to']]
+  ],
+  schemas: [
+    [{ schemas: null }, ['schemas is required']]
+  ],
+  openapi: [
+    [{ openapi: { spec: 5 } }, ['openapi.spec must be a file path or null']],
+    [{ openapi: { coverageFile: '' } }, ['openapi.coverageFile is required']]
+  ],
+  integrity: [
+    [{ integrity: { priceTolerance: 2 } }, ['integrity.priceTolerance must be between 0 and 1']]
+  ],
+  chain: [
+    [{ chain: { rpcUrl: 'localhost:8545', factory: `0x${'f'.repeat(40)}` } }, ['chain.rpcUrl must be an http(s) URL or null, got "localhost:8545"']],
+    [{ chain: { factory: 'factory' } }, ['chain.factory must be a 0x address or null']],
+    [{ chain: { rpcUrl: 'http://localhost:8545', factory: null } }, ['chain.factory is required when chain.rpcUrl is set']],
+    [{ chain: { chainId: 0 } }, ['chain.chainId must be a positive integer']],
+    [{ chain: { tolerance: 2 } }, ['chain.tolerance must be between 0 and 1']]
+  ],
+  freshness: [
+    [{ freshness: { resolutions: [] } }, ['freshness.resolutions must be a non-empty array or null']],
+    [{ freshness: { tolerance: { default: undefined } } },
+      ['freshness.tolerance.default is required', 'freshness.tolerance.default must be a non-negative number of seconds']],
+    [{ freshness: { tolerance: { 1: -1 } } }, ['freshness.tolerance.1 must be a non-negative number of seconds']],
+    [{ freshness: { windowBars: 0 } }, ['freshness.windowBars must be a positive integer']],
+    [{ freshness: { minChangedPairs: -1 } }, ['freshness.minChangedPairs must be a non-negative integer']],
+    [{ freshness: { reportFile: '' } }, ['freshness.reportFile is required']]
+  ],
+  runs: [
+    [{ runs: { keep: 0 } }, ['runs.keep must be a positive integer']],
+    [{ runs: { dir: '' } }, ['runs.dir is required']]
+  ],
+  monitor: [
+    [{ monitor: { suites: [] } }, ['monitor.suites must be a non-empty array']],
+    [{ monitor: { runsKeep: 0 } }, ['monitor.runsKeep must be a positive integer']],
+    [{ monitor: { runsDir: '' } }, ['monitor.runsDir is required']],
+    [{ monitor: { webhook: 'hooks.example.test' } }, ['monitor.webhook must be an http(s) URL or null, got "hooks.example.test"']]
+  ],
+  amounts: [
+    [{ amounts: { token: { derivedETH: -1 } } }, ['amounts.token.derivedETH must be a number of decimals or the field holding them']]
+  ],
+  pagination: [
+    [{ pagination: { pageSize: 0 } }, ['pagination.pageSize must be a positive integer']]
+  ],
+  fuzz: [
+    [{ fuzz: { runs: 0 } }, ['fuzz.runs must be a positive integer']],
+    [{ fuzz: { seed: 1.5 } }, ['fuzz.seed must be an integer or null, got "1.5"']],
+    [{ fuzz: { regressionsFile: '' } }, ['fuzz.regressionsFile is required']],
+    [{ fuzz: { saveRegressions: 'on' } }, ['fuzz.saveRegressions must be a boolean']]
+  ],
+  logging: [
+    [{ logging: { level: 'loud' } }, [`logging.level must be one of ${LOG_LEVELS.join(', ')}, got "loud"`]],
+    [{ logging: { file: '' } }, ['logging.file must be a path or null']],
+    [{ logging: { redact: 'password' } }, ['logging.redact must be an array']]
+  ],
+  reporting: [
+    [{ reporting: { dir: '' } }, ['reporting.dir is required']],
+    [{ reporting: { maxBodyLength: 0 } }, ['reporting.maxBodyLength must be a positive integer']]
+  ],
+  headers: [
+    [{ headers: { origin: 'explorer' } }, ['headers.origin must be an http(s) origin, got "explorer"']],
+    [{ headers: { expectations: null } }, ['headers.expectations.default is required']],
+    [{ headers: { expectations: { config: { cacheControl: { maxAge: [300, 1] } } } } },
+      ['headers.expectations.config.cacheControl.maxAge must be [min, max] or null']],
+    [{ headers: { expectations: { auth: { compression: 'gzip' } } } }, ['headers.expectations.auth.compression must be an array']]
+  ],
+  golden: [
+    [{ golden: { mode: 'fix' } }, [`golden.mode must be one of ${GOLDEN_MODES.join(', ')}, got "fix"`]],
+    [{ golden: { failOnMissing: 'on' } }, ['golden.failOnMissing must be a boolean']],
+    [{ golden: { dir: '' } }, ['golden.dir is required']],
+    [{ golden: { mask: null } }, ['golden.mask must be an array']],
+    [{ golden: { tolerance: { reserve0: -1 } } }, ['golden.tolerance.reserve0 must be a non-negative number']]
+  ],
+  cassettes: [
+    [{ cassettes: { mode: 'tape' } }, [`cassettes.mode must be one of ${CASSETTE_MODES.join(', ')}, got "tape"`]],
+    [{ cassettes: { dir: '' } }, ['cassettes.dir is required']],
+    [{ cassettes: { scrub: null } }, ['cassettes.scrub must be an array']]
+  ]
+};
+
+describe('Config Loader Tests', () => {
+
+  describe('Environments', () => {
+
+    createTestCase('TC001: Should pick the environment from --api-env, then API_ENV, then local', async () => {
+      expect(resolveEnvironment(['node', 'jest', '--api-env', 'staging'], { API_ENV: 'production' })).toBe('staging');
+      expect(resolveEnvironment(['node', 'jest', '--api-env=production'], {})).toBe('production');
+      expect(resolveEnvironment(['node', 'jest'], { API_ENV: 'production' })).toBe('production');
+      expect(resolveEnvironment(['node', 'jest'], {})).toBe('local');
+    });
+
+    createTestCase('TC002: Should reject an unknown API_ENV', async () => {
+      const environment = resolveEnvironment(['node', 'jest'], { API_ENV: 'qa' });
+
+      expect(() => loadConfig(environment))
+        .toThrow(`Unknown environment "qa". Available: ${listEnvironments().join(', ')}`);
+    });
+
+    createTestCase('TC003: Should reject a profile that misses its settings', async () => {
+      const unset = Object.fromEntries(Object.keys(STAGING).map(name => [name, undefined]));
+
+      expect(() => loadWith('staging', unset)).toThrow([
+        'Invalid configuration for environment "staging":',
+        '  - baseURL is required',
+        '  - auth.token is required for bearer auth',
+        '  - testData.validTokenId must be a 0x address',
+        '  - testData.quoteTokenId must be a 0x address',
+        '  - testData.validPairId must be two 0x addresses joined by "-"'
+      ].join('\n'));
+    });
+
+    createTestCase('TC004: Should take staging and production test data from the environment', async () => {
+      const staging = loadWith('staging', STAGING);
+      const production = loadWith('production', {
+        PRODUCTION_API_URL: 'https://explorer.example.test',
+        PRODUCTION_TOKEN_ID: STAGING.STAGING_TOKEN_ID,
+        PRODUCTION_QUOTE_TOKEN_ID: STAGING.STAGING_QUOTE_TOKEN_ID,
+        PRODUCTION_PAIR_ID: `${STAGING.STAGING_QUOTE_TOKEN_ID}-${STAGING.STAGING_TOKEN_ID}`
+      });
+
+      expect(staging.testData).toMatchObject({
+        validTokenId: STAGING.STAGING_TOKEN_ID,
+        quoteTokenId: STAGING.STAGING_QUOTE_TOKEN_ID,
+        validPairId: `${STAGING.STAGING_TOKEN_ID}-${STAGING.STAGING_QUOTE_TOKEN_ID}`
+      });
+      expect(production.testData.validPairId).toBe(`${STAGING.STAGING_QUOTE_TOKEN_ID}-${STAGING.STAGING_TOKEN_ID}`);
+      expect(production.timeouts).toEqual({ request: 8000, test: 15000 });
+    });
+  });
+
+  describe('Validation', () => {
+    const valid = loadConfig('local');
+
+    createTestCase('TC005: Should accept the local profile', async () => {
+      expect(validateConfig(valid)).toEqual({ isValid: true, errors: [] });
+      expect(mergeConfig({ a: { b: 1, c: [1] } }, { a: { c: [] } })).toEqual({ a: { b: 1, c: [] } });
+    });
+
+    Object.entries(INVALID).forEach(([section, cases], index) => {
+      createTestCase(`TC${String(6 + index).padStart(3, '0')}: Should report every invalid ${section} setting`, async () => {
+        cases.forEach(([override, errors]) => {
+          expect({ override, ...validateConfig(mergeConfig(valid, override)) }).toEqual({ override, isValid: false, errors });
+        });
+      });
+    });
+  });
+
+  describe('Overrides', () => {
+
+    createTestCase('TC032: Should take the chain ID from CHAIN_ID', async () => {
+      expect(loadWith('local', { CHAIN_ID: undefined }).chain.chainId).toBe(361);
+      expect(loadWith('local', { CHAIN_ID: '365' }).chain.chainId).toBe(365);
+    });
+
+    createTestCase('TC033: Should fail missing golden files under CI unless overridden', async () => {
+      const failOnMissing = (env) => loadWith('local', { GOLDEN_FAIL_MISSING: undefined, ...env }).golden.failOnMissing;
+
+      expect(failOnMissing({ CI: '1' })).toBe(true);
+      expect(failOnMissing({ CI: 'false' })).toBe(false);
+      expect(failOnMissing({ CI: undefined })).toBe(false);
+      expect(failOnMissing({ CI: '1', GOLDEN_FAIL_MISSING: 'off' })).toBe(false);
+      expect(failOnMissing({ CI: undefined, GOLDEN_FAIL_MISSING: 'on' })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const { createTestCase } = require('../../utils/utils');
+const { buildDriftReport, formatDriftReport } = require('../../utils/contract');
+
+describe('Contract Drift Tests', () => {
+  const spec = {
+    paths: {
+      '/api/tokens': { get: { responses: {} } },
+      '/api/token-pairs': { get: { responses: {} } }
+    }
+  };
+
+  describe('Drift report', () => {
+
+    createTestCase('TC001: Should leave requests answered 405 out of the drift report', async () => {
+      const report = buildDriftReport(spec, [
+        { method: 'GET', path: '/api/tokens', operation: 'GET /api/tokens', status: 200 },
+        { method: 'POST', path: '/api/tokens', operation: null, status: 405 },
+        { method: 'DELETE', path: '/api/tokens', operation: null, status: 404 }
+      ]);
+
+      expect(report).toEqual({ operations: 2, unexercised: ['GET /api/token-pairs'], undocumented: ['DELETE /api/tokens'] });
+      expect(formatDriftReport(report).split('\n')).toEqual([
+        'Contract coverage: 1/2 operations exercised',
+        '  Not exercised by any test:',
+        '    GET /api/token-pairs',
+        '  Requested but not in the spec:',
+        '    DELETE /api/tokens'
+      ]);
+    });
+  });
+});
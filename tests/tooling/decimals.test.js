@@ -0,0 +1,130 @@
+const { createTestCase, validateSchema } = require('../../utils/utils');
+const {
+  parseDecimal,
+  compareDecimals,
+  addDecimals,
+  subtractDecimals,
+  multiplyDecimals,
+  withinTolerance,
+  checkDecimal,
+  checkAmounts
+} = require('../../utils/decimal');
+const { checkSorted } = require('../../utils/pagination');
+const config = require('../../config/config');
+
+describe('Decimal Amount Tests', () => {
+
+  describe('Format', () => {
+
+    createTestCase('TC001: Should accept canonical non-negative decimal strings', async () => {
+      ['0', '1', '16.5', '100000.030303', '0.000000000000000001', '905511230.5', '123456789012345678901234567890'].forEach(value => {
+        expect(checkDecimal(value, 18).errors).toEqual([]);
+      });
+    });
+
+    createTestCase('TC002: Should reject scientific notation, non-finite and negative values', async () => {
+      expect(checkDecimal('1e400').errors).toEqual(['"1e400" uses scientific notation']);
+      expect(checkDecimal('2.5E-7').errors).toEqual(['"2.5E-7" uses scientific notation']);
+      expect(checkDecimal('Infinity').errors).toEqual(['"Infinity" is not a decimal']);
+      expect(checkDecimal('NaN').errors).toEqual(['"NaN" is not a decimal']);
+      expect(checkDecimal('0x10').errors).toEqual(['"0x10" is not a decimal']);
+      expect(checkDecimal('-1.5').errors).toEqual(['"-1.5" is negative']);
+      expect(checkDecimal(1.5).errors).toEqual(['expected a decimal string, got number']);
+      expect(checkDecimal(null).errors).toEqual(['expected a decimal string, got null']);
+    });
+
+    createTestCase('TC003: Should reject non-canonical spellings and name the canonical one', async () => {
+      expect(checkDecimal('01.5').errors).toEqual(['"01.5" is not canonical, expected "1.5"']);
+      expect(checkDecimal('1.50').errors).toEqual(['"1.50" is not canonical, expected "1.5"']);
+      expect(checkDecimal('+2').errors).toEqual(['"+2" is not canonical, expected "2"']);
+      expect(checkDecimal('-0').errors).toEqual(['"-0" is not canonical, expected "0"']);
+      ['1.', '.5', ' 1', '1 000', ''].forEach(value => {
+        expect(checkDecimal(value).errors).toEqual([`${JSON.stringify(value)} is not a decimal`]);
+      });
+    });
+
+    createTestCase('TC004: Should cap decimals at the precision of each token', async () => {
+      const pair = {
+        token0: { decimals: 18 },
+        token1: { decimals: 6 },
+        reserve0: '1.000000000000000001',
+        reserve1: '1.0000001',
+        totalSupply: '1e3'
+      };
+
+      expect(checkAmounts(pair, config.amounts.tokenPair, 'pairs[0]').errors).toEqual([
+        'pairs[0].reserve1: "1.0000001" has 7 decimals, at most 6 allowed',
+        'pairs[0].totalSupply: "1e3" uses scientific notation'
+      ]);
+      expect(checkAmounts({ tradeVolume: '1.5', totalLiquidity: '1.25' }, config.amounts.token).errors).toEqual([]);
+      expect(checkAmounts({ decimals: 1, tradeVolume: '1.5', totalLiquidity: '1.25' }, config.amounts.token).errors)
+        .toEqual(['totalLiquidity: "1.25" has 2 decimals, at most 1 allowed']);
+    });
+
+    createTestCase('TC005: Should reject exponents and negatives in response schemas', async () => {
+      const token = {
+        id: config.testData.validTokenId,
+        name: 'Wrapped TFUEL',
+        symbol: 'WTFUEL',
+        derivedETH: '1e400',
+        tradeVolume: '-1',
+        totalLiquidity: 'Infinity'
+      };
+
+      expect(validateSchema(token, config.schemas.token).errors).toEqual([
+        'derivedETH: expected decimal',
+        'tradeVolume: expected decimal',
+        'totalLiquidity: expected decimal'
+      ]);
+    });
+  });
+
+  describe('Arithmetic', () => {
+
+    createTestCase('TC006: Should add, subtract and multiply without rounding', async () => {
+      expect(addDecimals('0.1', '0.2')).toBe('0.3');
+      expect(addDecimals('1650000.5', '500000', '500000')).toBe('2650000.5');
+      expect(addDecimals('0.999999999999999999', '0.000000000000000001')).toBe('1');
+      expect(subtractDecimals('1', '1.000000000000000001')).toBe('-0.000000000000000001');
+      expect(multiplyDecimals('100000.030303', '16.5')).toBe('1650000.4999995');
+      expect(multiplyDecimals('0.000000000000000001', '0.000000000000000001')).toBe('0.000000000000000000000000000000000001');
+    });
+
+    createTestCase('TC007: Should compare values that floats cannot tell apart', async () => {
+      expect(Number('1.000000000000000001')).toBe(Number('1'));
+      expect(compareDecimals('1.000000000000000001', '1')).toBe(1);
+      expect(compareDecimals('9007199254740993', '9007199254740992')).toBe(1);
+      expect(compareDecimals('2.50', '2.5')).toBe(0);
+      expect(compareDecimals('-3', '2')).toBe(-1);
+      expect(() => compareDecimals('1e3', '1')).toThrow('Not a plain decimal: "1e3"');
+      expect(parseDecimal('12.340')).toEqual({ units: 12340n, scale: 3 });
+    });
+
+    createTestCase('TC008: Should apply relative tolerances exactly', async () => {
+      expect(withinTolerance('101', '100', 0.01)).toBe(true);
+      expect(withinTolerance('101.000000000000000001', '100', 0.01)).toBe(false);
+      expect(withinTolerance('99', '100', '0.01')).toBe(true);
+      expect(withinTolerance('0.30000000000000004', '0.3', 0)).toBe(false);
+      expect(withinTolerance('0', '0', 0)).toBe(true);
+      expect(withinTolerance('0.000000000000000001', '0', 0.5)).toBe(false);
+    });
+
+    createTestCase('TC009: Should sort amounts by exact value', async () => {
+      const items = [{ reserveUSD: '9007199254740993' }, { reserveUSD: '9007199254740992' }];
+
+      expect(checkSorted(items, 'reserveUSD', 'desc').errors).toEqual([]);
+      expect(checkSorted(items, 'reserveUSD', 'asc').errors)
+        .toEqual(['[1].reserveUSD: 9007199254740992 out of asc order after 9007199254740993']);
+    });
+
+    createTestCase('TC010: Should read small and large numbers without exponent notation', async () => {
+      expect(parseDecimal(1e-7)).toEqual({ units: 1n, scale: 7 });
+      expect(parseDecimal(-2.5e-8)).toEqual({ units: -25n, scale: 9 });
+      expect(parseDecimal(1.5e21)).toEqual({ units: 1500000000000000000000n, scale: 0 });
+      expect(withinTolerance('1', '1', 1e-7)).toBe(true);
+      expect(withinTolerance('1.0000001', '1', 1e-7)).toBe(true);
+      expect(withinTolerance('1.0000002', '1', 1e-7)).toBe(false);
+      expect(parseDecimal('1e-7')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// Shared fixtures for the tooling tests: a Jest result with one passing
+// and one failing test, traced requests for it, and factories for the run
+// records that jest/reporter.js and scripts/monitor.js keep
+
+const filePath = `${process.cwd()}/tests/functional/tokens.test.js`;
+
+const results = {
+  startTime: Date.UTC(2024, 0, 1, 12),
+  testResults: [{
+    testFilePath: filePath,
+    perfStats: { start: 0, end: 1200 },
+    testResults: [
+      { ancestorTitles: ['Tokens'], title: 'TC001: ok', fullName: 'Tokens TC001: ok', status: 'passed', duration: 12, failureMessages: [] },
+      { ancestorTitles: ['Tokens'], title: 'TC002: broken', fullName: 'Tokens TC002: broken', status: 'failed', duration: 30, failureMessages: ['Expected: 200'] }
+    ]
+  }]
+};
+
+/**
+ * A traced request as utils/trace.js records it
+ * @param {string} endpoint - Request path, with or without a query
+ * @param {number} latency - Latency in ms
+ * @param {number} status - Response status, 0 when nothing came back
+ * @returns {object} - Exchange
+ */
+const exchange = (endpoint, latency, status = 200) => ({
+  method: 'GET',
+  url: `http://localhost${endpoint}`,
+  endpoint,
+  status,
+  latency
+});
+
+/**
+ * Traces for the tests in results, keyed like readTraces
+ * @param {object[]} passed - Exchanges of the passing test
+ * @param {object[]} failed - Exchanges of the failing test
+ * @returns {Map} - Traces by test
+ */
+const tracesOf = (passed, failed = []) => new Map([
+  [`${filePath}::Tokens TC001: ok`, { exchanges: passed, validations: [] }],
+  [`${filePath}::Tokens TC002: broken`, { exchanges: failed, validations: [] }]
+]);
+
+const traces = tracesOf(
+  [exchange('/api/tokens', 10), exchange('/api/tokens?limit=5', 30)],
+  [exchange('/api/token-pairs/0x1-0x2', 7000), exchange('/elsewhere', 5)]
+);
+
+/**
+ * A monitor run as summarizeRun returns it
+ * @param {number} index - Minute of the run, for startedAt
+ * @param {object} outcome - failed tests and latency breaches of the run
+ * @returns {object} - Run
+ */
+const run = (index, { failed = 0, breaches = [] } = {}) => ({
+  startedAt: new Date(Date.UTC(2024, 0, 1, 12, index)).toISOString(),
+  duration: 1000,
+  tests: 10,
+  passed: 10 - failed,
+  failed,
+  failures: Array.from({ length: failed }, (_, i) => `TC00${i + 1}`),
+  latency: {},
+  breaches
+});
+
+/**
+ * A run record as buildRunRecord returns it
+ * @param {number} index - Minute of the run, for its id
+ * @param {object} statuses - Status per test id
+ * @param {object} latency - Latencies per endpoint key
+ * @param {object} run - environment and test files of the run
+ * @returns {object} - Record
+ */
+const record = (index, statuses, latency = {}, { environment = 'local', files = ['tests/functional/tokens.test.js'] } = {}) => {
+  const startedAt = new Date(Date.UTC(2024, 0, 1, 12, index)).toISOString();
+  const tests = Object.entries(statuses).map(([id, status]) => ({ id, status, duration: 10, requests: [] }));
+  Object.entries(latency).forEach(([endpoint, values]) => {
+    tests[0].requests.push(...values.map(value => ({ endpoint, status: 200, latency: value })));
+  });
+  const count = (status) => tests.filter(test => test.status === status).length;
+  return {
+    id: startedAt.replace(/[:.]/g, '-'),
+    startedAt,
+    environment,
+    files,
+    duration: 1000,
+    summary: { tests: tests.length, passed: count('passed'), failed: count('failed'), skipped: count('pending') },
+    tests
+  };
+};
+
+module.exports = {
+  filePath,
+  results,
+  exchange,
+  tracesOf,
+  traces,
+  run,
+  record
+};
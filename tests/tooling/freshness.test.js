@@ -0,0 +1,69 @@
+const { createTestCase } = require('../../utils/utils');
+const {
+  formatLag,
+  lagBudget,
+  checkHistoryLag,
+  comparePolls,
+  checkPairActivity,
+  buildLagReport,
+  formatLagReport
+} = require('../../utils/freshness');
+const config = require('../../config/config');
+
+describe('Freshness Report Tests', () => {
+  const symbol = config.testData.validSymbol;
+
+  describe('Report', () => {
+    const now = Date.UTC(2024, 0, 1, 12);
+    const at = (secondsAgo) => Math.floor(now / 1000) - secondsAgo;
+
+    createTestCase('TC001: Should budget one bar plus the tolerance of each resolution', async () => {
+      const tolerance = { default: 300, '1D': 3600 };
+
+      expect(lagBudget('60', tolerance)).toBe(3900);
+      expect(lagBudget('1D', tolerance)).toBe(90000);
+      expect(formatLag(90000)).toBe('1d 1h');
+      expect(formatLag(0)).toBe('0s');
+    });
+
+    createTestCase('TC002: Should measure the lag of the newest bar', async () => {
+      const budget = 3900;
+
+      expect(checkHistoryLag({ s: 'ok', t: [at(7200), at(3600)] }, '60', at(0), budget, 36000))
+        .toEqual({ isValid: true, errors: [], newest: at(3600), lag: 3600, budget });
+      expect(checkHistoryLag({ s: 'ok', t: [at(4000)] }, '60', at(0), budget, 36000).errors)
+        .toEqual(['60: newest bar 2024-01-01T10:53:20.000Z is 1h 6m old, budget 1h 5m']);
+      expect(checkHistoryLag({ s: 'no_data', t: [] }, '60', at(0), budget, 36000).errors)
+        .toEqual(['60: no bars in the last 10h']);
+    });
+
+    createTestCase('TC003: Should tell changed from unchanged pairs across polls', async () => {
+      const pair = (id, reserve0) => ({ id, reserve0, reserve1: '1' });
+      const poll = comparePolls([pair('a', '1'), pair('b', '1'), pair('c', '1')], [pair('a', '2'), pair('b', '1'), pair('d', '1')]);
+
+      expect(poll).toEqual({ changed: ['a'], unchanged: ['b'] });
+      expect(checkPairActivity({ ...poll, interval: 60 }, 2).errors)
+        .toEqual(['pairs: 1 of 2 changed reserves in 1m, expected at least 2']);
+    });
+
+    createTestCase('TC004: Should report the indexer as stalled when any check fails', async () => {
+      const history = [
+        { symbol, resolution: '60', ...checkHistoryLag({ t: [at(60)] }, '60', at(0), 3900, 36000) },
+        { symbol, resolution: '1D', ...checkHistoryLag({ t: [at(200000)] }, '1D', at(0), 90000, 864000) }
+      ];
+      const pairs = { interval: 60, changed: ['a'], unchanged: ['b'] };
+      const report = buildLagReport(history, pairs, now);
+
+      expect(report.stalled).toBe(true);
+      expect(report.history.map(entry => entry.fresh)).toEqual([true, false]);
+      expect(report.pairs).toEqual({ interval: 60, changed: 1, total: 2, fresh: true });
+      expect(buildLagReport(history.slice(0, 1), pairs, now).stalled).toBe(false);
+      expect(formatLagReport(report).split('\n')).toEqual([
+        `Indexer STALLED at 2024-01-01T12:00:00.000Z (${config.environment})`,
+        `  ok    ${symbol} 60: lag 1m (budget 1h 5m)`,
+        `  STALE ${symbol} 1D: lag 2d 7h (budget 1d 1h)`,
+        '  ok    pairs: 1 of 2 changed reserves in 1m'
+      ]);
+    });
+  });
+});
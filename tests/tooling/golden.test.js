@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestCase } = require('../../utils/utils');
+const { normalize, diffValues, formatDiffs, createGolden } = require('../../utils/golden');
+const config = require('../../config/config');
+
+describe('Golden File Tests', () => {
+
+  describe('Normalization and diff', () => {
+    const rules = { mask: ['t', 'updatedAt'], tolerance: { reserveUSD: 0.05, 'pairs[].price': 0.01 } };
+
+    createTestCase('TC001: Should mask volatile fields by name, keeping their type', async () => {
+      const body = { updatedAt: 1700000000, s: 'ok', t: [1, 2, 3], nested: { updatedAt: '2024-01-01', b: 1, a: 2 } };
+
+      expect(normalize(body, rules)).toEqual({
+        nested: { a: 2, b: 1, updatedAt: '<masked string>' },
+        s: 'ok',
+        t: '<masked array>',
+        updatedAt: '<masked number>'
+      });
+      expect(Object.keys(normalize(body, rules).nested)).toEqual(['a', 'b', 'updatedAt']);
+    });
+
+    createTestCase('TC002: Should report added, removed and type-changed fields by JSON path', async () => {
+      const expected = normalize({ pairs: [{ id: 'a', decimals: 18, logo: 'x' }], updatedAt: 1 }, rules);
+      const actual = normalize({ pairs: [{ id: 'a', decimals: '18', fee: 0.3 }, { id: 'b' }], updatedAt: 'now' }, rules);
+      const diffs = diffValues(expected, actual, rules);
+
+      expect(diffs.map(({ path: at, change }) => [at, change])).toEqual([
+        ['pairs[0].decimals', 'type'],
+        ['pairs[0].fee', 'added'],
+        ['pairs[0].logo', 'removed'],
+        ['pairs[1]', 'added'],
+        ['updatedAt', 'type']
+      ]);
+      expect(formatDiffs(diffs)).toContain('~ pairs[0].decimals: number -> string');
+      expect(formatDiffs(diffs)).toContain('- pairs[0].logo: "x"');
+    });
+
+    createTestCase('TC003: Should compare numbers within the configured tolerance', async () => {
+      const expected = { reserveUSD: '1000', pairs: [{ price: 2 }], name: 'WTFUEL' };
+
+      expect(diffValues(expected, { reserveUSD: '1040', pairs: [{ price: 2.01 }], name: 'WTFUEL' }, rules)).toEqual([]);
+      expect(diffValues(expected, { reserveUSD: '1100', pairs: [{ price: 2.1 }], name: 'wTFUEL' }, rules)
+        .map(diff => diff.path)).toEqual(['name', 'pairs[0].price', 'reserveUSD']);
+    });
+  });
+
+  describe('Review', () => {
+    let dir;
+    const response = (data) => ({ status: 200, data });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'golden-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    createTestCase('TC004: Should hold a changed response for review until it is accepted', async () => {
+      const store = createGolden({ ...config.golden, dir, mode: 'compare', failOnMissing: false });
+      const created = store.check('GET', '/api/tokens', response({ tokens: [{ symbol: 'WTFUEL' }] }));
+      const changed = store.check('GET', '/api/tokens', response({ tokens: [{ symbol: 'WTFUEL', logo: 'x' }] }));
+
+      expect(created.status).toBe('created');
+      expect(changed.status).toBe('changed');
+      expect(store.pending().map(entry => entry.name)).toEqual(['get-api-tokens']);
+      expect(store.pending()[0].diffs).toEqual([{ path: 'tokens[0].logo', change: 'added', actual: 'x' }]);
+
+      expect(store.accept()).toEqual(['get-api-tokens']);
+      expect(store.pending()).toEqual([]);
+      expect(store.check('GET', '/api/tokens', response({ tokens: [{ symbol: 'WTFUEL', logo: 'x' }] })).status).toBe('matched');
+    });
+
+    createTestCase('TC005: Should discard a rejected response and keep the golden file', async () => {
+      const store = createGolden({ ...config.golden, dir, mode: 'compare', failOnMissing: false });
+      store.check('GET', '/api/config', response({ supports_search: true }));
+      store.check('GET', '/api/config', response({ supports_search: false }));
+
+      expect(store.reject(['get-api-config'])).toEqual(['get-api-config']);
+      expect(store.check('GET', '/api/config', response({ supports_search: true })).status).toBe('matched');
+    });
+
+    createTestCase('TC006: Should overwrite golden files in update mode', async () => {
+      const store = createGolden({ ...config.golden, dir, mode: 'update' });
+      store.check('GET', '/api/config', response({ supports_search: true }));
+      const updated = store.check('GET', '/api/config', response({ supports_search: false }));
+
+      expect(updated.status).toBe('updated');
+      expect(store.pending()).toEqual([]);
+      expect(JSON.parse(fs.readFileSync(updated.file, 'utf8')).body).toEqual({ supports_search: false });
+    });
+
+    createTestCase('TC007: Should ignore scrubbed query parameters when naming golden files', async () => {
+      const store = createGolden({ ...config.golden, dir, failOnMissing: false });
+
+      expect(store.fileFor('GET /api/history?from=<scrubbed>&symbol=TFUEL'))
+        .toBe(path.join(dir, 'get-api-history-from-scrubbed-symbol-tfuel.json'));
+      expect(store.check('GET', '/api/history?symbol=TFUEL&from=1', response({ s: 'ok' })).file)
+        .toBe(store.check('GET', '/api/history?from=2&symbol=TFUEL', response({ s: 'ok' })).file);
+    });
+
+    createTestCase('TC008: Should fail a missing golden file under CI instead of writing it', async () => {
+      const store = createGolden({ ...config.golden, dir, mode: 'compare', failOnMissing: true });
+      const missing = store.check('GET', '/api/tokens', response({ tokens: [] }));
+
+      expect(missing.status).toBe('missing');
+      expect(fs.existsSync(missing.file)).toBe(false);
+      expect(createGolden({ ...config.golden, dir, mode: 'update', failOnMissing: true })
+        .check('GET', '/api/tokens', response({ tokens: [] })).status).toBe('created');
+    });
+  });
+});
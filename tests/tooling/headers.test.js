@@ -0,0 +1,65 @@
+const { createTestCase } = require('../../utils/utils');
+const {
+  headerExpectations,
+  checkPreflight,
+  checkCaching,
+  checkNotModified,
+  checkSecurityHeaders
+} = require('../../utils/headers');
+const config = require('../../config/config');
+
+describe('Header Check Tests', () => {
+
+  describe('Checks', () => {
+    const expected = headerExpectations('tokens');
+    const response = (headers, extra = {}) => ({ status: 200, headers, data: '', ...extra });
+
+    createTestCase('TC001: Should merge endpoint expectations over the defaults', async () => {
+      expect(headerExpectations('config').cacheControl).toEqual({ directives: ['public'], maxAge: [60, 86400] });
+      expect(headerExpectations('auth').cors.methods).toEqual(['GET', 'POST']);
+      expect(headerExpectations('auth').cors.maxAge).toBe(600);
+      expect(headerExpectations('unknown')).toEqual(headerExpectations('tokens'));
+    });
+
+    createTestCase('TC002: Should report every missing or wrong header', async () => {
+      const preflight = checkPreflight(response({
+        'access-control-allow-origin': 'https://other.example',
+        'access-control-allow-methods': 'POST',
+        'access-control-max-age': '5'
+      }), expected.cors);
+      const caching = checkCaching(response({ 'cache-control': 'no-cache, max-age=86400', etag: 'abc' }), expected);
+      const security = checkSecurityHeaders(response({ 'x-frame-options': 'SAMEORIGIN' }), expected.security);
+
+      expect(preflight.errors).toEqual([
+        `access-control-allow-origin: expected "*" or "${config.headers.origin}", got "https://other.example"`,
+        'access-control-allow-methods: missing GET',
+        'access-control-allow-headers: missing Authorization',
+        'access-control-allow-headers: missing Content-Type',
+        'access-control-max-age: expected at least 600, got "5"'
+      ]);
+      expect(caching.errors).toEqual([
+        'cache-control: missing public in "no-cache, max-age=86400"',
+        'cache-control: max-age should be within 1..300, got "86400"',
+        'etag: expected a quoted entity tag, got "abc"',
+        'last-modified: expected a past HTTP date, got undefined'
+      ]);
+      expect(security.errors).toEqual([
+        'x-content-type-options: missing',
+        'x-frame-options: expected "DENY", got "SAMEORIGIN"',
+        'referrer-policy: missing',
+        'content-security-policy: missing',
+        'strict-transport-security: missing'
+      ]);
+    });
+
+    createTestCase('TC003: Should reject a revalidation that resends the body', async () => {
+      const validation = checkNotModified(response({ etag: '"b"' }, { data: '{}' }), 'If-None-Match', '"a"');
+
+      expect(validation.errors).toEqual([
+        'If-None-Match: expected 304, got 200',
+        'If-None-Match: 304 must not carry a body',
+        'If-None-Match: etag changed from "a" to "b"'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const { createTestCase } = require('../../utils/utils');
+const { checkPairReferences, checkLiquidity, checkReserveValue, checkPriceAgreement } = require('../../utils/integrity');
+
+describe('Integrity Check Tests', () => {
+
+  describe('Checks', () => {
+    const token = (id, symbol, totalLiquidity) => ({ id, symbol, totalLiquidity, derivedETH: '1' });
+    const a = '0x' + 'a'.repeat(40);
+    const b = '0x' + 'b'.repeat(40);
+    const c = '0x' + 'c'.repeat(40);
+
+    createTestCase('TC001: Should flag dangling references and mismatched pair ids', async () => {
+      const validation = checkPairReferences([token(a, 'A'), token(b, 'B')], [
+        { id: `${b}-${a}`, token0: { id: a, symbol: 'A' }, token1: { id: b, symbol: 'X' } },
+        { id: `${a}-${c}`, token0: { id: a, symbol: 'A' }, token1: { id: c, symbol: 'C' } }
+      ]);
+
+      expect(validation.errors).toEqual([
+        'pairs[0].token1.symbol: X differs from token list value B',
+        `pairs[0].id: ${b}-${a} is not ${a}-${b}`,
+        `pairs[1].token1.id: ${c} is not in the token list`
+      ]);
+    });
+
+    createTestCase('TC002: Should flag liquidity outside the tolerance', async () => {
+      const pairs = [{ token0: { id: a }, token1: { id: b }, reserve0: '100', reserve1: '50' }];
+      const validation = checkLiquidity([token(a, 'A', '100.5'), token(b, 'B', '60')], pairs, 0.01);
+
+      expect(validation.errors).toEqual(['B: totalLiquidity 60 vs reserves 50 (16.67% > 1.00%)']);
+    });
+
+    createTestCase('TC003: Should flag a history close far from the derived price', async () => {
+      const validation = checkPriceAgreement({ c: [1, 2] }, 1, 0.1);
+
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors).toEqual(['latest close 2 vs derived price 1 (100.00% > 10.00%)']);
+      expect(checkPriceAgreement({ c: [] }, 1, 0.1).errors).toEqual(['history has no bars to compare']);
+    });
+
+    createTestCase('TC004: Should compare 18-decimal amounts exactly', async () => {
+      const pairs = [
+        { token0: { id: a }, token1: { id: b }, reserve0: '0.1', reserve1: '123456789012345678.123456789012345678' },
+        { token0: { id: a }, token1: { id: b }, reserve0: '0.2', reserve1: '0.000000000000000001' }
+      ];
+      const exact = checkLiquidity([token(a, 'A', '0.3'), token(b, 'B', '123456789012345678.123456789012345679')], pairs, 0);
+      const offByOneWei = checkLiquidity([token(a, 'A', '0.3'), token(b, 'B', '123456789012345678.12345678901234568')], pairs, 0);
+
+      expect(exact.errors).toEqual([]);
+      expect(exact.comparisons.map(comparison => comparison.reserves)).toEqual(['0.3', '123456789012345678.123456789012345679']);
+      expect(offByOneWei.isValid).toBe(false);
+      expect(offByOneWei.errors[0]).toMatch(/^B: totalLiquidity 123456789012345678\.12345678901234568 vs reserves 123456789012345678\.123456789012345679/);
+    });
+
+    createTestCase('TC005: Should flag a reserveUSD that does not match the reserves', async () => {
+      const usd = token(c, 'USD', '0');
+      const tokens = [{ ...token(a, 'A'), derivedETH: '2' }, { ...token(b, 'B'), derivedETH: '0.5' }, { ...usd, derivedETH: '4' }];
+      const pair = (reserveUSD) => ({
+        id: `${a}-${b}`, token0: { id: a, symbol: 'A' }, token1: { id: b, symbol: 'B' }, reserve0: '10', reserve1: '40', reserveUSD
+      });
+
+      expect(checkReserveValue(tokens, [pair('10')], c, 0).errors).toEqual([]);
+      expect(checkReserveValue(tokens, [pair('9.995')], c, 0.001).errors).toEqual([]);
+      expect(checkReserveValue(tokens, [pair('9.9')], c, 0.001).errors)
+        .toEqual(['A-B: reserveUSD 9.9 is worth 39.6 derivedETH, reserves 40 (1.01% > 0.10%)']);
+      expect(checkReserveValue(tokens, [pair('10')], '0x' + 'd'.repeat(40), 0).isValid).toBe(false);
+    });
+
+    createTestCase('TC006: Should flag references without a token id', async () => {
+      const validation = checkPairReferences([token(a, 'A'), { symbol: 'B' }], [
+        { id: `${a}-${b}`, token0: { id: a, symbol: 'A' }, token1: { symbol: 'B' } },
+        { id: `${a}-${b}`, token0: null, token1: { id: 1 } }
+      ]);
+
+      expect(validation.errors).toEqual([
+        'pairs[0].token1.id: missing',
+        'pairs[1].token0.id: missing',
+        'pairs[1].token1.id: missing'
+      ]);
+    });
+
+    createTestCase('TC007: Should report malformed amounts instead of throwing', async () => {
+      const pair = { id: `${a}-${b}`, token0: { id: a, symbol: 'A' }, token1: { id: b, symbol: 'B' }, reserve0: '10', reserve1: 'n/a', reserveUSD: '1e3' };
+      const tokens = [token(a, 'A', '10'), token(b, 'B', '0'), token(c, 'USD', '0')];
+
+      expect(checkLiquidity(tokens, [pair], 0.01).errors).toEqual(['pairs[0].reserve1: "n/a" is not a decimal']);
+      expect(checkReserveValue(tokens, [pair], c, 0.01).errors).toEqual([
+        'A-B: reserve1 "n/a" is not a decimal',
+        'A-B: reserveUSD "1e3" is not a decimal'
+      ]);
+      expect(checkLiquidity(tokens, [pair], 1e-7).comparisons[0].reserves).toBe('10');
+    });
+  });
+});
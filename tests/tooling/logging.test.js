@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makeRequest, createTestCase, useMockServer } = require('../../utils/utils');
+const { createLogger, redact, correlationId } = require('../../utils/logger');
+const { readExchanges } = require('../../utils/contract');
+const config = require('../../config/config');
+
+describe('Logging Tests', () => {
+  const mock = useMockServer();
+  const original = { ...config.logging };
+  let file;
+
+  const useLogFile = (level) => {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'api-log-')), 'test.log');
+    Object.assign(config.logging, { level, file });
+  };
+
+  afterEach(() => {
+    Object.assign(config.logging, original);
+    if (file) {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+      file = null;
+    }
+  });
+
+  describe('Levels', () => {
+
+    createTestCase('TC001: Should print only entries at or below the configured level', async () => {
+      useLogFile('info');
+      const logger = createLogger(config.logging);
+      logger.error('broken');
+      logger.info('retrying');
+      logger.debug('request sent');
+      logger.trace('body');
+
+      expect(readExchanges(file).map(entry => entry.level)).toEqual(['error', 'info']);
+      expect(logger.enabled('debug')).toBe(false);
+    });
+
+    createTestCase('TC002: Should print nothing when silent', async () => {
+      useLogFile('silent');
+      const logger = createLogger(config.logging);
+      logger.error('broken');
+
+      expect(fs.existsSync(file)).toBe(false);
+    });
+
+    createTestCase('TC003: Should write JSON lines with the test name and correlation ID', async () => {
+      useLogFile('debug');
+      const logger = createLogger(config.logging);
+      logger.debug('first', { status: 200 });
+      logger.debug('second');
+      const [first, second] = readExchanges(file);
+
+      expect(first).toMatchObject({ level: 'debug', message: 'first', status: 200, test: expect.getState().currentTestName });
+      expect(new Date(first.time).toISOString()).toBe(first.time);
+      expect(first.correlationId).toMatch(/^[0-9a-f]{12}$/);
+      expect(second.correlationId).toBe(first.correlationId);
+    });
+
+    let previousId;
+    createTestCase('TC004: Should give every test its own correlation ID', async () => {
+      previousId = correlationId();
+      expect(previousId).toEqual(expect.any(String));
+    });
+
+    createTestCase('TC005: Should not reuse the correlation ID of an earlier test', async () => {
+      expect(correlationId()).not.toBe(previousId);
+      expect(correlationId()).toBe(correlationId());
+    });
+  });
+
+  describe('Redaction', () => {
+
+    createTestCase('TC006: Should mask credential properties at any depth', async () => {
+      const entry = redact({
+        headers: { Authorization: 'Bearer at_secret', 'X-API-Key': 'tk_secret', Accept: 'application/json' },
+        body: { username: 'tester', password: 'hunter2', tokens: [{ accessToken: 'at_secret' }] }
+      }, config.logging.redact);
+
+      expect(entry).toEqual({
+        headers: { Authorization: '[REDACTED]', 'X-API-Key': '[REDACTED]', Accept: 'application/json' },
+        body: { username: 'tester', password: '[REDACTED]', tokens: [{ accessToken: '[REDACTED]' }] }
+      });
+    });
+
+    createTestCase('TC007: Should mask credentials inside strings and survive cycles', async () => {
+      const cyclic = { message: 'sent Authorization: Bearer at_secret, retrying' };
+      cyclic.self = cyclic;
+
+      expect(redact(cyclic)).toEqual({ message: 'sent Authorization: Bearer [REDACTED], retrying', self: '[Circular]' });
+    });
+  });
+
+  describe('makeRequest', () => {
+
+    createTestCase('TC008: Should log requests at debug level without leaking credentials', async () => {
+      useLogFile('trace');
+      const { member } = config.testData.accounts;
+      await makeRequest(config.endpoints.auth, { auth: { type: 'session', username: member.username, password: member.password } });
+      const entries = readExchanges(file);
+      const text = fs.readFileSync(file, 'utf8');
+
+      expect(entries.filter(entry => entry.message === 'Response received').map(entry => entry.status)).toEqual([200, 200]);
+      expect(new Set(entries.map(entry => entry.correlationId)).size).toBe(1);
+      expect(text).not.toContain(member.password);
+      expect(text).not.toMatch(/at_[0-9a-f]/);
+      expect(text).not.toMatch(/rt_[0-9a-f]/);
+    });
+
+    mock.createMockCase('TC009: Should stay quiet at the default level when requests fail', async () => {
+      useLogFile('error');
+      mock.setScenario('error');
+      await makeRequest(config.endpoints.tokens);
+
+      expect(fs.existsSync(file)).toBe(false);
+    });
+
+    mock.createMockCase('TC010: Should log contract mismatches on error responses below error level', async () => {
+      useLogFile('error');
+      mock.setScenario('flaky', { failures: 2, status: 503 });
+      const response = await makeRequest(config.endpoints.tokens, { retry: false });
+
+      expect(response.contract.errors).toEqual(['status 503 is not documented for GET /api/tokens']);
+      expect(fs.existsSync(file)).toBe(false);
+
+      config.logging.level = 'info';
+      await makeRequest(config.endpoints.tokens, { retry: false });
+
+      expect(readExchanges(file).filter(entry => entry.message === 'Contract violation'))
+        .toEqual([expect.objectContaining({ level: 'info', status: 503, operation: 'GET /api/tokens' })]);
+    });
+
+    mock.createMockCase('TC011: Should log contract mismatches as errors unless a test provoked them', async () => {
+      useLogFile('error');
+      mock.setScenario('malformed');
+      const provoked = await makeRequest(config.endpoints.tokens);
+
+      expect(provoked.contract.isValid).toBe(false);
+      expect(fs.existsSync(file)).toBe(false);
+
+      const spec = config.openapi.spec;
+      const document = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../..', spec), 'utf8'));
+      document.components.schemas.tokenList.required.push('cursor');
+      config.openapi.spec = path.join(path.dirname(file), 'openapi.json');
+      fs.writeFileSync(config.openapi.spec, JSON.stringify(document));
+      mock.setScenario('healthy');
+      try {
+        await makeRequest(config.endpoints.tokens);
+      } finally {
+        config.openapi.spec = spec;
+      }
+
+      expect(readExchanges(file).map(entry => [entry.level, entry.message, entry.errors]))
+        .toEqual([['error', 'Contract violation', ['cursor: missing required field']]]);
+    });
+  });
+});
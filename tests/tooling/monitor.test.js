@@ -0,0 +1,165 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createTestCase, endpointName } = require('../../utils/utils');
+const { buildReport } = require('../../utils/report');
+const {
+  summarizeRun,
+  failedRun,
+  loadHistory,
+  saveHistory,
+  recordRun,
+  evaluateAlerts,
+  sendAlert,
+  formatRun
+} = require('../../utils/monitor');
+const config = require('../../config/config');
+const { results, traces, run } = require('./fixtures');
+
+/**
+ * Feed runs through the history one at a time, like successive monitor runs
+ * @param {object[]} runs - Runs in order
+ * @returns {object[]} - Event types raised after each run
+ */
+const replay = (runs) => {
+  let history = loadHistory('test-results/monitor-none.json');
+  return runs.map(entry => {
+    history = recordRun(history, entry);
+    const { alerts, events } = evaluateAlerts(history, { alertAfter: 2, recoverAfter: 2 });
+    history = { ...history, alerts };
+    return events.map(event => event.type);
+  });
+};
+
+describe('Monitor Tests', () => {
+
+  describe('Runs', () => {
+
+    createTestCase('TC001: Should map request paths to configured endpoints', async () => {
+      expect(endpointName('/api/tokens?limit=5')).toBe('tokens');
+      expect(endpointName('/api/token-pairs/0x1-0x2')).toBe('tokenPairs');
+      expect(endpointName('/api/tokens-extra')).toBeNull();
+      expect(endpointName('/elsewhere')).toBeNull();
+    });
+
+    createTestCase('TC002: Should summarize tests, latency and budget breaches of a run', async () => {
+      const summary = summarizeRun(buildReport(results, traces), { tokens: { median: 100 }, tokenPairs: { max: 6000 } });
+
+      expect(summary).toMatchObject({ startedAt: '2024-01-01T12:00:00.000Z', tests: 2, passed: 1, failed: 1 });
+      expect(summary.failures).toEqual(['tests/functional/tokens.test.js › Tokens › TC002: broken']);
+      expect(summary.latency).toEqual({
+        tokenPairs: { count: 1, median: 7000, p95: 7000, max: 7000 },
+        tokens: { count: 2, median: 20, p95: 30, max: 30 }
+      });
+      expect(summary.breaches).toEqual(['tokenPairs: max 7000.0ms > 6000ms']);
+      expect(formatRun(summary)).toBe('2024-01-01T12:00:00.000Z 1/2 passed, latency over budget (tokenPairs: max 7000.0ms > 6000ms)');
+    });
+
+    createTestCase('TC003: Should count a run without a report as failed', async () => {
+      const entry = failedRun('2024-01-01T12:00:00.000Z', 'Jest exited with code 1 without a report');
+
+      expect(entry).toMatchObject({ tests: 0, failed: 1, failures: ['Jest exited with code 1 without a report'], breaches: [] });
+      expect(formatRun(entry)).toBe('2024-01-01T12:00:00.000Z 0/0 passed, latency ok');
+    });
+
+    createTestCase('TC004: Should keep a rolling history on disk', async () => {
+      const file = 'test-results/monitor-history.test.json';
+      let history = loadHistory(file);
+      [0, 1, 2].forEach(index => {
+        history = recordRun(history, run(index), 2);
+      });
+      const target = saveHistory(history, file);
+
+      try {
+        expect(loadHistory(file).runs.map(entry => entry.startedAt)).toEqual([run(1).startedAt, run(2).startedAt]);
+        expect(loadHistory(file).alerts).toEqual({ tests: { status: 'ok', since: null }, latency: { status: 'ok', since: null } });
+      } finally {
+        fs.rmSync(target, { force: true });
+      }
+      expect(target).toBe(path.resolve(__dirname, '../..', file));
+    });
+  });
+
+  describe('Alerts', () => {
+
+    createTestCase('TC005: Should not alert on a single failed run', async () => {
+      expect(replay([run(0), run(1, { failed: 1 }), run(2), run(3)])).toEqual([[], [], [], []]);
+    });
+
+    createTestCase('TC006: Should alert once after consecutive failures and recover after consecutive passes', async () => {
+      expect(replay([run(0, { failed: 1 }), run(1, { failed: 2 }), run(2, { failed: 2 }), run(3), run(4, { failed: 1 }), run(5), run(6)]))
+        .toEqual([[], ['failure'], [], [], [], [], ['recovery']]);
+
+      const history = recordRun(recordRun(loadHistory('test-results/monitor-none.json'), run(0, { failed: 1 })), run(1, { failed: 3 }));
+      expect(evaluateAlerts(history, { alertAfter: 2, recoverAfter: 2 }).events[0].text).toBe('tests failing for 2 runs: TC001 and 2 more');
+    });
+
+    createTestCase('TC007: Should alert on latency budget breaches separately from failures', async () => {
+      const slow = { breaches: ['history: p95 4500.0ms > 4000ms'] };
+      let history = loadHistory('test-results/monitor-none.json');
+      history = recordRun(recordRun(history, run(0, slow)), run(1, { ...slow, failed: 1 }));
+      const { alerts, events } = evaluateAlerts(history, { alertAfter: 2, recoverAfter: 2 });
+
+      expect(events).toEqual([{
+        type: 'latency',
+        condition: 'latency',
+        since: run(0).startedAt,
+        runs: 2,
+        text: 'latency over budget for 2 runs: history: p95 4500.0ms > 4000ms',
+        failures: ['TC001'],
+        breaches: slow.breaches
+      }]);
+      expect(alerts).toEqual({ tests: { status: 'ok', since: null }, latency: { status: 'alerting', since: run(0).startedAt } });
+    });
+  });
+
+  describe('Webhook', () => {
+    let server;
+    let received;
+    let status;
+    let url;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+          received.push(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+          res.writeHead(status);
+          res.end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    beforeEach(() => {
+      received = [];
+      status = 200;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    createTestCase('TC008: Should post alert events to the webhook', async () => {
+      const event = { type: 'failure', condition: 'tests', since: run(0).startedAt, runs: 2, text: 'tests failing for 2 runs: TC001', failures: ['TC001'], breaches: [] };
+
+      expect(await sendAlert(url, event)).toBe(true);
+      expect(received).toEqual([{
+        ...event,
+        environment: config.environment,
+        text: `[${config.environment}] failure: tests failing for 2 runs: TC001`
+      }]);
+    });
+
+    createTestCase('TC009: Should report a webhook that refuses the alert without throwing', async () => {
+      status = 500;
+      const event = { type: 'recovery', condition: 'tests', text: 'tests passing again for 2 runs' };
+
+      expect(await sendAlert(url, event)).toBe(false);
+      expect(received).toHaveLength(1);
+      expect(await sendAlert('http://127.0.0.1:1/hook', event, { webhookTimeout: 1000 })).toBe(false);
+    });
+  });
+});
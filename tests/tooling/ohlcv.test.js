@@ -0,0 +1,82 @@
+const { createTestCase } = require('../../utils/utils');
+const { longestBar, resolutionSeconds, validateOhlcv } = require('../../utils/history');
+
+describe('OHLCV Validation Tests', () => {
+
+  describe('OHLCV Rules', () => {
+    const day = 86400;
+    // Three aligned daily bars that pass every rule
+    const series = (overrides = {}) => ({
+      s: 'ok',
+      t: [day, 2 * day, 3 * day],
+      o: [1, 1, 1],
+      h: [2, 2, 2],
+      l: [0.5, 0.5, 0.5],
+      c: [1.5, 1.5, 1.5],
+      v: [10, 10, 10],
+      ...overrides
+    });
+    const found = (data, options) => validateOhlcv(data, options).violations
+      .map(violation => [violation.rule, violation.index]);
+
+    const cases = [
+      ['invalid_series', series({ o: null }), {}, [['invalid_series', null]]],
+      ['length_mismatch', series({ v: [10, 10] }), {}, [['length_mismatch', null]]],
+      ['invalid_value', series({ c: [1.5, 'x', 1.5] }), {}, [['invalid_value', 1]]],
+      ['high_below_low', series({ h: [2, 0.4, 2] }), {},
+        [['high_below_low', 1], ['open_out_of_range', 1], ['close_out_of_range', 1]]],
+      ['open_out_of_range', series({ o: [1, 3, 1] }), {}, [['open_out_of_range', 1]]],
+      ['close_out_of_range', series({ c: [1.5, 1.5, 0.1] }), {}, [['close_out_of_range', 2]]],
+      ['non_monotonic_time', series({ t: [day, day, 3 * day] }), {}, [['non_monotonic_time', 1]]],
+      ['time_out_of_range', series({ t: [day, 2 * day, 9 * day] }), { from: day, to: 3 * day }, [['time_out_of_range', 2]]],
+      ['misaligned_time', series({ t: [day, 2 * day + 1, 3 * day] }), { resolution: '1D', gaps: false },
+        [['misaligned_time', 1]]],
+      ['missing_bars', series({ t: [day, 2 * day, 5 * day] }), { resolution: '1D' }, [['missing_bars', 2]]]
+    ];
+
+    cases.forEach(([rule, data, options, expected], index) => {
+      createTestCase(`TC${String(1 + index).padStart(3, '0')}: Should report ${rule}`, async () => {
+        expect(found(data, options)).toEqual(expected);
+        expect(validateOhlcv(series(), options).violations).toEqual([]);
+      });
+    });
+
+    createTestCase('TC011: Should check every timestamp, not only up to the shortest series', async () => {
+      const data = series({ t: [day, 2 * day, 3 * day, 90] });
+
+      expect(found(data, { from: day, to: 4 * day, resolution: '1D' })).toEqual([
+        ...['o', 'h', 'l', 'c', 'v'].map(() => ['length_mismatch', null]),
+        ['time_out_of_range', 3],
+        ['misaligned_time', 3],
+        ['non_monotonic_time', 3]
+      ]);
+      expect(found(series({ t: [day, 2 * day, 3 * day, 'x'] }))).toEqual([
+        ...['o', 'h', 'l', 'c', 'v'].map(() => ['length_mismatch', null]),
+        ['invalid_value', 3]
+      ]);
+    });
+
+    createTestCase('TC012: Should compare with the last valid timestamp after an invalid one', async () => {
+      const gap = validateOhlcv(series({ t: [day, null, 5 * day] }), { resolution: '1D' }).violations;
+
+      expect(gap.map(violation => [violation.rule, violation.index])).toEqual([['invalid_value', 1], ['missing_bars', 2]]);
+      expect(gap[1]).toMatchObject({ missing: 3, after: day, before: 5 * day });
+      expect(found(series({ t: [2 * day, 'x', day] }))).toEqual([['invalid_value', 1], ['non_monotonic_time', 2]]);
+    });
+
+    createTestCase('TC013: Should size any UDF resolution from its string', async () => {
+      expect(['30', '15S', '3D', '2W'].map(resolutionSeconds)).toEqual([1800, 15, 3 * day, 14 * day]);
+      expect(resolutionSeconds('1M')).toBeNull();
+      expect(longestBar('1M')).toBe(31 * day);
+      expect(['0', '1Y', 'D', ''].map(longestBar)).toEqual([null, null, null, null]);
+      expect(found(series({ t: [1800, 3600, 9000] }), { resolution: '30' })).toEqual([['missing_bars', 2]]);
+    });
+
+    createTestCase('TC014: Should skip alignment and gap checks for month resolutions', async () => {
+      const months = series({ t: [31 * day, 59 * day + 1, 120 * day] });
+
+      expect(found(months, { resolution: '1M' })).toEqual([]);
+      expect(found(months, { resolution: '1D' })).toEqual([['misaligned_time', 1], ['missing_bars', 1], ['missing_bars', 2]]);
+    });
+  });
+});
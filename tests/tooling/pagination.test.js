@@ -0,0 +1,25 @@
+const { createTestCase } = require('../../utils/utils');
+const { checkPages } = require('../../utils/pagination');
+
+describe('Pagination Check Tests', () => {
+
+  describe('Pager checks', () => {
+
+    createTestCase('TC001: Should report duplicates, gaps and a shifting total', async () => {
+      const result = {
+        items: [{ id: 'a' }, { id: 'b' }, { id: 'b' }],
+        pages: [{ offset: 0, count: 2, total: 4 }, { offset: 2, count: 1, total: 5 }],
+        errors: []
+      };
+      const validation = checkPages(result, { limit: 2, expected: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] });
+
+      expect(validation.isValid).toBe(false);
+      expect(validation.errors).toEqual([
+        '[2]: duplicate id b',
+        'total changed between pages: 4, 5',
+        'missing id c',
+        '[2]: order differs from the reference listing (b vs c)'
+      ]);
+    });
+  });
+});
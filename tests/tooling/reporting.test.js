@@ -0,0 +1,120 @@
+const { makeRequest, validateSchema, createTestCase, useMockServer } = require('../../utils/utils');
+const { truncateBody, redactBody, readTraces } = require('../../utils/trace');
+const { buildReport, renderJunit, renderHtml } = require('../../utils/report');
+const config = require('../../config/config');
+const { filePath, results, exchange } = require('./fixtures');
+
+// The shared run with markup and a colour code in the failing test and a
+// skipped test added, so the renderers have something to escape and skip
+const [ok, broken] = results.testResults[0].testResults;
+const marked = {
+  ...results,
+  testResults: [{
+    ...results.testResults[0],
+    testResults: [
+      ok,
+      {
+        ...broken,
+        title: 'TC002: <broken>',
+        fullName: 'Tokens TC002: <broken>',
+        failureMessages: [`\u001b[31mexpect(received).toBe(expected)\u001b[39m\n\n${broken.failureMessages[0]}`]
+      },
+      { ...ok, title: 'TC003: later', fullName: 'Tokens TC003: later', status: 'pending', duration: 0 }
+    ]
+  }]
+};
+
+const failed = { ...exchange('/api/tokens', 4.2, 500), errorKind: 'http_error', responseBody: 'Server Error' };
+const traces = new Map([
+  [`${filePath}::Tokens TC001: ok`, { exchanges: [exchange('/api/tokens', 4.2)], validations: [] }],
+  [`${filePath}::Tokens TC002: <broken>`, {
+    exchanges: [failed, exchange('/api/token-pairs', 4.2)],
+    validations: [{ source: 'schema', target: 'tokens', errors: ['tokens[0].id: expected address'] }]
+  }]
+]);
+
+describe('Reporting Tests', () => {
+  useMockServer();
+
+  describe('Report', () => {
+
+    createTestCase('TC001: Should summarise tests and endpoints', async () => {
+      const report = buildReport(marked, traces);
+
+      expect(report.summary).toMatchObject({ tests: 3, passed: 1, failed: 1, skipped: 1 });
+      expect(report.endpoints).toEqual([
+        { key: 'GET /api/token-pairs', tests: 1, passed: 0, failed: 1, requests: 1, errors: 0 },
+        { key: 'GET /api/tokens', tests: 2, passed: 1, failed: 1, requests: 2, errors: 1 }
+      ]);
+      expect(report.files[0].path).toBe('tests/functional/tokens.test.js');
+      expect(report.files[0].tests[1].failures[0]).not.toContain('\u001b');
+    });
+
+    createTestCase('TC002: Should render escaped JUnit XML with traces', async () => {
+      const xml = renderJunit(buildReport(marked, traces));
+
+      expect(xml).toContain('<testsuites name="theta-chain-api-test-suite" tests="3" failures="1" skipped="1"');
+      expect(xml).toContain('name="TC002: &lt;broken&gt;"');
+      expect(xml).toContain('<failure message="expect(received).toBe(expected)">');
+      expect(xml).toContain('<skipped/>');
+      expect(xml).toContain('GET http://localhost/api/tokens -&gt; 500 (4.2ms, http_error)');
+      expect(xml).toContain('schema tokens: tokens[0].id: expected address');
+    });
+
+    createTestCase('TC003: Should render a self-contained HTML page', async () => {
+      const html = renderHtml(buildReport(marked, traces));
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).not.toMatch(/<(script|link)\b[^>]*(src|href)=/);
+      expect(html).toContain('<td>GET /api/tokens</td><td>2</td>');
+      expect(html).toContain('TC002: &lt;broken&gt;');
+      expect(html).toContain('tokens[0].id: expected address');
+    });
+  });
+
+  describe('Traces', () => {
+
+    createTestCase('TC004: Should cut long bodies', async () => {
+      expect(truncateBody('x'.repeat(10), 4)).toBe('xxxx… (6 more chars)');
+      expect(truncateBody({ a: 1 })).toBe('{"a":1}');
+      expect(truncateBody('')).toBeNull();
+    });
+
+    createTestCase('TC005: Should trace the exchanges and validation errors of the running test', async () => {
+      const response = await makeRequest(config.endpoints.tokens);
+      validateSchema(response.data, { type: 'object', required: ['missing'] });
+      const trace = readTraces().get(`${expect.getState().testPath}::${expect.getState().currentTestName}`);
+
+      expect(trace.exchanges).toHaveLength(1);
+      expect(trace.exchanges[0]).toMatchObject({ method: 'GET', endpoint: config.endpoints.tokens, status: 200 });
+      expect(trace.exchanges[0].latency).toBeGreaterThan(0);
+      expect(trace.validations[0].errors).toEqual(['missing: missing required field']);
+    });
+
+    createTestCase('TC006: Should keep passwords and tokens out of traces and reports', async () => {
+      const { username, password } = config.testData.accounts.member;
+      const response = await makeRequest(config.endpoints.auth, { method: 'POST', data: { username, password }, auth: false });
+      const testPath = expect.getState().testPath;
+      const fullName = expect.getState().currentTestName;
+      const traced = readTraces();
+      const report = buildReport({
+        startTime: Date.now(),
+        testResults: [{
+          testFilePath: testPath,
+          testResults: [{ ancestorTitles: [], title: fullName, fullName, status: 'passed', duration: 1, failureMessages: [] }]
+        }]
+      }, traced);
+      // Tokens replayed from a cassette are already masked
+      const secrets = [password, response.data.accessToken, response.data.refreshToken]
+        .filter(secret => secret !== '[REDACTED]');
+
+      expect(response.status).toBe(200);
+      expect(traced.get(`${testPath}::${fullName}`).exchanges[0].requestBody).toBe(`{"username":"${username}","password":"[REDACTED]"}`);
+      [JSON.stringify([...traced.values()]), renderJunit(report), renderHtml(report)].forEach(output => {
+        secrets.forEach(secret => expect(output).not.toContain(secret));
+      });
+      expect(redactBody('{"user":"a","Password": "x\\"y","token":"ab')).toBe('{"user":"a","Password": "[REDACTED]","token":"[REDACTED]"');
+      expect(redactBody('{"token":"abc"}')).toBe('{"token":"[REDACTED]"}');
+    });
+  });
+});
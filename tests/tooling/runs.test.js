@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { createTestCase } = require('../../utils/utils');
+const { buildReport } = require('../../utils/report');
+const {
+  buildRunRecord,
+  listRuns,
+  saveRun,
+  loadRun,
+  isComparable,
+  comparableRuns,
+  compareRuns,
+  formatComparison,
+  buildTrend,
+  renderTrend
+} = require('../../utils/runs');
+const config = require('../../config/config');
+const { results, exchange, tracesOf, record } = require('./fixtures');
+
+describe('Run History Tests', () => {
+
+  describe('Records', () => {
+    const dir = 'test-results/runs.test';
+
+    afterEach(() => {
+      fs.rmSync(path.resolve(__dirname, '../..', dir), { recursive: true, force: true });
+    });
+
+    createTestCase('TC001: Should record per-test results and per-request latency and status', async () => {
+      const traces = tracesOf([exchange('/api/tokens?limit=5', 4.26), exchange('/api/tokens', 5001, 0)]);
+
+      expect(buildRunRecord(buildReport(results, traces))).toEqual({
+        id: '2024-01-01T12-00-00-000Z',
+        startedAt: '2024-01-01T12:00:00.000Z',
+        environment: config.environment,
+        files: ['tests/functional/tokens.test.js'],
+        duration: expect.any(Number),
+        summary: { tests: 2, passed: 1, failed: 1, skipped: 0 },
+        tests: [{
+          id: 'tests/functional/tokens.test.js › Tokens › TC001: ok',
+          status: 'passed',
+          duration: 12,
+          requests: [
+            { endpoint: 'GET /api/tokens', status: 200, latency: 4.3 },
+            { endpoint: 'GET /api/tokens', status: 0, latency: 5001 }
+          ]
+        }, {
+          id: 'tests/functional/tokens.test.js › Tokens › TC002: broken',
+          status: 'failed',
+          duration: 30,
+          requests: []
+        }]
+      });
+    });
+
+    createTestCase('TC002: Should keep the latest runs and load them by id or offset', async () => {
+      [0, 1, 2].forEach(index => saveRun(record(index, { a: 'passed' }), dir, 2));
+
+      expect(listRuns(dir)).toEqual([record(1, {}).id, record(2, {}).id]);
+      expect(loadRun('0', dir).id).toBe(record(2, {}).id);
+      expect(loadRun('1', dir).id).toBe(record(1, {}).id);
+      expect(loadRun(record(1, {}).id, dir).tests).toEqual(record(1, { a: 'passed' }).tests);
+      expect(() => loadRun('2', dir)).toThrow(`No recorded run "2" in ${dir} (2 runs)`);
+      expect(listRuns('test-results/runs.none')).toEqual([]);
+    });
+
+    createTestCase('TC003: Should only pair runs of the same environment and test files', async () => {
+      const partial = { files: ['tests/fuzz/fuzz.test.js'] };
+      const staging = { environment: 'staging' };
+      [record(0, {}), record(1, {}, {}, partial), record(2, {}), record(3, {}, {}, staging), record(4, {}, {}, partial)]
+        .forEach(entry => saveRun(entry, dir));
+
+      expect(isComparable(record(0, {}), record(2, {}))).toBe(true);
+      expect(isComparable(record(0, {}), record(3, {}, {}, staging))).toBe(false);
+      expect(isComparable(record(0, {}), record(1, {}, {}, partial))).toBe(false);
+      expect(comparableRuns(record(5, {}), 3, dir).map(entry => entry.id)).toEqual([record(0, {}).id, record(2, {}).id, record(5, {}).id]);
+      expect(comparableRuns(record(5, {}), 2, dir).map(entry => entry.id)).toEqual([record(2, {}).id, record(5, {}).id]);
+      expect(comparableRuns(record(4, {}, {}, partial), 5, dir).map(entry => entry.id)).toEqual([record(1, {}).id, record(4, {}).id]);
+      expect(comparableRuns(record(0, {}), 5, dir)).toEqual([record(0, {})]);
+    });
+  });
+
+  describe('Comparison', () => {
+    const base = record(0, { a: 'passed', b: 'failed', c: 'failed', d: 'passed', gone: 'passed' },
+      { 'GET /api/history': [100, 120, 140], 'GET /api/tokens': [50] });
+    const head = record(1, { a: 'failed', b: 'passed', c: 'failed', d: 'pending', added: 'passed' },
+      { 'GET /api/history': [150, 180, 210], 'GET /api/token-pairs': [30] });
+
+    createTestCase('TC004: Should find newly failing and fixed tests and latency deltas', async () => {
+      const comparison = compareRuns(base, head);
+
+      expect(comparison).toMatchObject({ newlyFailing: ['a'], fixed: ['b'], stillFailing: ['c'], onlyInBase: 1, onlyInHead: 1 });
+      expect(comparison.endpoints).toEqual([
+        { key: 'GET /api/history', base: { requests: 3, errors: 0, median: 120, p95: 140 }, head: { requests: 3, errors: 0, median: 180, p95: 210 }, median: 60, p95: 70 },
+        { key: 'GET /api/token-pairs', base: null, head: { requests: 1, errors: 0, median: 30, p95: 30 }, median: null, p95: null },
+        { key: 'GET /api/tokens', base: { requests: 1, errors: 0, median: 50, p95: 50 }, head: null, median: null, p95: null }
+      ]);
+    });
+
+    createTestCase('TC005: Should render a comparison as text', async () => {
+      expect(formatComparison(compareRuns(base, head)).split('\n')).toEqual([
+        `Base ${base.id}: 3/5 passed`,
+        `Head ${head.id}: 2/5 passed`,
+        '',
+        'Newly failing (1)',
+        '  a',
+        '',
+        'Fixed (1)',
+        '  b',
+        '',
+        'Still failing (1)',
+        '  c',
+        '',
+        'Not compared: 1 tests only in base, 1 only in head',
+        '',
+        'Endpoints (median, p95)',
+        '  GET /api/history',
+        '    median 120.0ms -> 180.0ms (+60.0ms +50%)',
+        '    p95    140.0ms -> 210.0ms (+70.0ms +50%)',
+        '  GET /api/token-pairs',
+        '    median - -> 30.0ms',
+        '    p95    - -> 30.0ms',
+        '  GET /api/tokens',
+        '    median 50.0ms -> -',
+        '    p95    50.0ms -> -'
+      ]);
+    });
+  });
+
+  describe('Trend', () => {
+    const records = [
+      record(0, { steady: 'passed', flaky: 'passed', broken: 'failed' }, { 'GET /api/history': [100] }),
+      record(1, { steady: 'passed', flaky: 'failed', broken: 'failed' }, { 'GET /api/tokens': [40] }),
+      record(2, { steady: 'passed', flaky: 'passed' }, { 'GET /api/history': [300] })
+    ];
+
+    createTestCase('TC006: Should chart latency per run and rank tests by flips', async () => {
+      const trend = buildTrend(records);
+
+      expect(trend.runs.map(run => run.failed)).toEqual([1, 2, 0]);
+      expect(trend.endpoints).toEqual([
+        { key: 'GET /api/history', median: [100, null, 300], p95: [100, null, 300] },
+        { key: 'GET /api/tokens', median: [null, 40, null], p95: [null, 40, null] }
+      ]);
+      expect(trend.tests).toEqual([
+        { id: 'flaky', statuses: ['passed', 'failed', 'passed'], failures: 1, flips: 2 },
+        { id: 'broken', statuses: ['failed', 'failed', null], failures: 2, flips: 0 }
+      ]);
+    });
+
+    createTestCase('TC007: Should render the trend as a static page', async () => {
+      const html = renderTrend(buildTrend([...records, record(3, { '<script>': 'failed' })]));
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<h1>Theta Chain API Test Trend</h1>');
+      expect(html).toContain('<p>4 runs · 2024-01-01T12:00:00.000Z to 2024-01-01T12:03:00.000Z</p>');
+      expect(html).toContain('<td>GET /api/history</td><td><svg');
+      expect(html).toContain('&lt;script&gt;');
+      expect(html).not.toContain('<script>');
+      expect(renderTrend(buildTrend(records.slice(2)))).toContain('No test failed in these runs.');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const { createTestCase } = require('../../utils/utils');
+const { validate, typeName } = require('../../utils/schema');
+
+const ADDRESS = `0x${'a'.repeat(40)}`;
+
+const pair = {
+  type: 'object',
+  required: ['id', 'token0'],
+  properties: {
+    id: { type: 'string', format: 'pairId' },
+    token0: {
+      type: 'object',
+      required: ['id', 'symbol'],
+      properties: {
+        id: { type: 'string', format: 'address' },
+        symbol: { type: 'string', minLength: 1 }
+      },
+      additionalProperties: false
+    },
+    reserves: { type: 'array', items: { type: 'number', minimum: 0 } }
+  }
+};
+
+describe('Schema Engine Tests', () => {
+
+  describe('Types', () => {
+
+    createTestCase('TC001: Should name JSON types the way schemas spell them', async () => {
+      expect([null, [], 1, 1.5, '1', true, {}].map(typeName))
+        .toEqual(['null', 'array', 'integer', 'number', 'string', 'boolean', 'object']);
+    });
+
+    createTestCase('TC002: Should report a type mismatch at the path of the value', async () => {
+      expect(validate('1', { type: 'number' }).errors).toEqual(['(root): expected number, got string']);
+      expect(validate(1.5, { type: 'integer' }, 'limit').errors).toEqual(['limit: expected integer, got number']);
+      expect(validate({ pair: { price: '1' } }, {
+        type: 'object',
+        properties: { pair: { type: 'object', properties: { price: { type: 'number' } } } }
+      }).errors).toEqual(['pair.price: expected number, got string']);
+    });
+
+    createTestCase('TC003: Should reject non-finite numbers and accept integers as numbers', async () => {
+      expect(validate(NaN, { type: 'number' }).errors).toEqual(['(root): expected number, got number']);
+      expect(validate(Infinity, { type: 'number' }).isValid).toBe(false);
+      expect(validate(3, { type: 'number' }).isValid).toBe(true);
+    });
+
+    createTestCase('TC004: Should accept null only when the schema is nullable', async () => {
+      expect(validate(null, { type: 'string' }, 'symbol').errors).toEqual(['symbol: expected string, got null']);
+      expect(validate(null, { type: 'string', nullable: true }).errors).toEqual([]);
+      expect(validate(null, { type: 'object', required: ['id'], nullable: true }).errors).toEqual([]);
+    });
+
+    createTestCase('TC005: Should stop at a type mismatch without checking nested rules', async () => {
+      expect(validate('1', { type: 'array', minItems: 2, items: { type: 'number' } }, 'reserves').errors)
+        .toEqual(['reserves: expected array, got string']);
+      expect(validate([], { required: ['id'] }, 'pair').errors).toEqual(['pair: expected object, got array']);
+    });
+  });
+
+  describe('Enums and Strings', () => {
+
+    createTestCase('TC006: Should report a value outside the enum with every allowed value', async () => {
+      expect(validate('error', { type: 'string', enum: ['ok', 'no_data'] }, 's').errors)
+        .toEqual(['s: expected one of "ok"|"no_data", got "error"']);
+      expect(validate(2, { enum: [1, null] }).errors).toEqual(['(root): expected one of 1|null, got 2']);
+      expect(validate(null, { enum: [1, null] }).errors).toEqual([]);
+    });
+
+    createTestCase('TC007: Should check formats, patterns and trimmed length', async () => {
+      expect(validate('0x1', { type: 'string', format: 'address' }, 'id').errors).toEqual(['id: expected address']);
+      expect(validate('1', { type: 'string', format: 'hex' }, 'id').errors).toEqual(['id: unknown format hex']);
+      expect(validate('1D', { type: 'string', pattern: /^\d+[hm]$/ }, 'r').errors).toEqual(['r: expected to match /^\\d+[hm]$/']);
+      expect(validate('  ', { type: 'string', minLength: 1 }, 'symbol').errors)
+        .toEqual(['symbol: expected at least 1 non-blank characters']);
+    });
+
+    createTestCase('TC008: Should report every failing string rule at once', async () => {
+      const schema = { type: 'string', enum: ['1h'], minLength: 3, pattern: /^\d+m$/ };
+
+      expect(validate('1d', schema, 'r').errors).toEqual([
+        'r: expected one of "1h", got "1d"',
+        'r: expected at least 3 non-blank characters',
+        'r: expected to match /^\\d+m$/'
+      ]);
+    });
+
+    createTestCase('TC009: Should check numeric bounds', async () => {
+      expect(validate(-1, { type: 'number', minimum: 0 }, 'price').errors).toEqual(['price: expected >= 0, got -1']);
+      expect(validate(2, { type: 'number', maximum: 1 }, 'share').errors).toEqual(['share: expected <= 1, got 2']);
+      expect(validate(0, { type: 'number', minimum: 0, maximum: 0 }).errors).toEqual([]);
+    });
+  });
+
+  describe('Arrays', () => {
+
+    createTestCase('TC010: Should index errors inside nested arrays', async () => {
+      const schema = { type: 'array', items: { type: 'array', items: { type: 'integer' } } };
+
+      expect(validate([[1, 2], [3, 'x'], 'y'], schema, 'bars').errors).toEqual([
+        'bars[1][1]: expected integer, got string',
+        'bars[2]: expected array, got string'
+      ]);
+    });
+
+    createTestCase('TC011: Should index errors inside arrays of objects and from the root', async () => {
+      const value = [
+        { id: `${ADDRESS}-${ADDRESS}`, token0: { id: ADDRESS, symbol: 'A' } },
+        { id: 'x', token0: { id: ADDRESS }, reserves: [1, -2] }
+      ];
+
+      expect(validate(value, { type: 'array', items: pair }).errors).toEqual([
+        '[1].id: expected pairId',
+        '[1].token0.symbol: missing required field',
+        '[1].reserves[1]: expected >= 0, got -2'
+      ]);
+      expect(validate(value, { type: 'array', items: pair }, 'pairs').errors[0]).toBe('pairs[1].id: expected pairId');
+    });
+
+    createTestCase('TC012: Should check minItems and still check each item', async () => {
+      expect(validate(['x'], { type: 'array', minItems: 2, items: { type: 'number' } }, 't').errors).toEqual([
+        't: expected at least 2 items, got 1',
+        't[0]: expected number, got string'
+      ]);
+    });
+  });
+
+  describe('Objects', () => {
+
+    createTestCase('TC013: Should report every missing required field', async () => {
+      expect(validate({}, { required: ['id', 'symbol'] }, 'token').errors).toEqual([
+        'token.id: missing required field',
+        'token.symbol: missing required field'
+      ]);
+      expect(validate({ id: undefined }, { required: ['id'] }).errors).toEqual([]);
+    });
+
+    createTestCase('TC014: Should report fields outside properties, required and optional', async () => {
+      const schema = { type: 'object', required: ['id'], optional: ['name'], properties: { price: { type: 'number' } }, additionalProperties: false };
+
+      expect(validate({ id: 1, name: 'a', price: 1, debug: true, raw: {} }, schema, 'token').errors).toEqual([
+        'token.debug: unexpected field',
+        'token.raw: unexpected field'
+      ]);
+    });
+
+    createTestCase('TC015: Should allow extra fields unless additionalProperties is false', async () => {
+      expect(validate({ id: 1, extra: 2 }, { required: ['id'] }).errors).toEqual([]);
+      expect(validate({ id: 1, extra: 2 }, { required: ['id'], additionalProperties: true }).errors).toEqual([]);
+    });
+
+    createTestCase('TC016: Should apply additionalProperties only at the level that sets it', async () => {
+      const value = { id: `${ADDRESS}-${ADDRESS}`, extra: 1, token0: { id: ADDRESS, symbol: 'A', name: 'Alpha' } };
+
+      expect(validate(value, pair).errors).toEqual(['token0.name: unexpected field']);
+    });
+
+    createTestCase('TC017: Should skip optional properties that are absent', async () => {
+      expect(validate({ id: `${ADDRESS}-${ADDRESS}`, token0: { id: ADDRESS, symbol: 'A' } }, pair))
+        .toEqual({ isValid: true, errors: [] });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// Credentials for makeRequest (see config.auth):
+//   none     anonymous
+//   bearer   { token } sent as Authorization: Bearer <token>
+//   apiKey   { header, key } sent as <header>: <key>
+//   session  { username, password } logged in against config.endpoints.auth,
+//            reused across requests and refreshed when it expires
+const AUTH_TYPES = ['none', 'bearer', 'apiKey', 'session'];
+
+/**
+ * Build request headers for static credentials
+ * @param {object} auth - Auth settings
+ * @returns {object} - Headers to send
+ */
+const authHeaders = (auth = {}) => {
+  if (auth.type === 'bearer') {
+    return { Authorization: `Bearer ${auth.token}` };
+  }
+  if (auth.type === 'apiKey') {
+    return { [auth.header]: auth.key };
+  }
+  return {};
+};
+
+/**
+ * Create the session cache used for `session` credentials.
+ * A session logs in once per username, reuses the access token and
+ * refreshes it `refreshMargin` ms before it expires, or when the API
+ * answers 401. A rejected refresh falls back to a fresh login.
+ * @param {function} send - (endpoint, options) => response, sends without credentials
+ * @param {string} endpoint - Login endpoint; refresh is `${endpoint}/refresh`
+ * @returns {object} - Session cache
+ */
+const createSessions = (send, endpoint) => {
+  const sessions = new Map();
+
+  const store = (auth, response) => {
+    if (response.status !== 200 || !response.data || !response.data.accessToken) {
+      sessions.delete(auth.username);
+      const reason = response.data && response.data.error ? response.data.error : `status ${response.status}`;
+      throw new Error(`Session login failed for ${auth.username}: ${reason}`);
+    }
+    const session = {
+      accessToken: response.data.accessToken,
+      refreshToken: response.data.refreshToken,
+      expiresAt: Date.now() + response.data.expiresIn * 1000
+    };
+    sessions.set(auth.username, session);
+    return session;
+  };
+
+  const login = async (auth) => store(auth, await send(endpoint, {
+    method: 'POST',
+    data: { username: auth.username, password: auth.password }
+  }));
+
+  const refresh = async (auth) => {
+    const session = sessions.get(auth.username);
+    if (session && session.refreshToken) {
+      const response = await send(`${endpoint}/refresh`, {
+        method: 'POST',
+        data: { refreshToken: session.refreshToken }
+      });
+      if (response.status === 200) {
+        return store(auth, response);
+      }
+    }
+    return login(auth);
+  };
+
+  return {
+    /**
+     * Headers for a request, logging in or refreshing first when needed
+     * @param {object} auth - Auth settings
+     * @returns {Promise<object>} - Headers to send
+     */
+    headers: async (auth = {}) => {
+      if (auth.type !== 'session') {
+        return authHeaders(auth);
+      }
+      let session = sessions.get(auth.username);
+      if (!session) {
+        session = await login(auth);
+      } else if (Date.now() >= session.expiresAt - (auth.refreshMargin || 0)) {
+        session = await refresh(auth);
+      }
+      return { Authorization: `Bearer ${session.accessToken}` };
+    },
+
+    /**
+     * Refresh a session after the API rejected its token
+     * @param {object} auth - Auth settings
+     * @returns {Promise<object>} - Headers with the new token
+     */
+    renew: async (auth) => {
+      const session = await refresh(auth);
+      return { Authorization: `Bearer ${session.accessToken}` };
+    },
+
+    reset: () => sessions.clear()
+  };
+};
+
+module.exports = {
+  AUTH_TYPES,
+  authHeaders,
+  createSessions
+};
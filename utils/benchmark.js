@@ -0,0 +1,86 @@
+const config = require('../config/config');
+const { summarize, elapsedMs } = require('./stats');
+
+const BUDGET_KEYS = ['min', 'mean', 'median', 'p90', 'p95', 'p99', 'max', 'stddev'];
+
+/**
+ * Time a request function with process.hrtime: `warmup` untimed calls,
+ * then `iterations` timed calls run one after another
+ * @param {function} requestFn - Function returning a response promise
+ * @param {object} options - Run settings, defaults from config.performance
+ * @param {number} options.warmup - Untimed calls before measuring
+ * @param {number} options.iterations - Timed calls
+ * @returns {Promise<object>} - stats (min/mean/median/p95/p99/stddev...), durations and responses
+ */
+const benchmark = async (requestFn, options = {}) => {
+  const { warmup, iterations } = { ...config.performance, ...options };
+
+  for (let i = 0; i < warmup; i++) {
+    await requestFn();
+  }
+
+  const durations = [];
+  const responses = [];
+  for (let i = 0; i < iterations; i++) {
+    const start = process.hrtime.bigint();
+    responses.push(await requestFn());
+    durations.push(elapsedMs(start));
+  }
+
+  return {
+    stats: summarize(durations),
+    durations,
+    responses
+  };
+};
+
+/**
+ * Compare benchmark statistics with a latency budget
+ * @param {object} stats - Stats from benchmark
+ * @param {object} budget - Maximum ms per statistic, e.g. { median: 500, p95: 2000 }
+ * @returns {object} - isWithinBudget and one message per exceeded statistic
+ */
+const checkBudget = (stats, budget) => {
+  const breaches = BUDGET_KEYS
+    .filter(key => budget[key] !== undefined && stats[key] !== null && stats[key] > budget[key])
+    .map(key => `${key} ${stats[key].toFixed(1)}ms > ${budget[key]}ms`);
+
+  return {
+    isWithinBudget: breaches.length === 0,
+    breaches
+  };
+};
+
+/**
+ * Look up the latency budget of an endpoint
+ * @param {string} name - Key in config.endpoints
+ * @returns {object} - Budget
+ */
+const budgetFor = (name) => {
+  const budget = config.performance.budgets[name];
+  if (!budget) {
+    throw new Error(`No latency budget configured for endpoint "${name}"`);
+  }
+  return budget;
+};
+
+/**
+ * Test timeout for benchmarking an endpoint: every warmup and timed call
+ * may take up to the budget's max (the request timeout without one), and
+ * never less than config.timeouts.test
+ * @param {string} name - Key in config.endpoints
+ * @param {object} options - Run settings, defaults from config.performance
+ * @returns {number} - Timeout in ms
+ */
+const benchmarkTimeout = (name, options = {}) => {
+  const { warmup, iterations } = { ...config.performance, ...options };
+  const { max = config.timeouts.request } = budgetFor(name);
+  return Math.max(config.timeouts.test, (warmup + iterations) * max);
+};
+
+module.exports = {
+  benchmark,
+  checkBudget,
+  budgetFor,
+  benchmarkTimeout
+};
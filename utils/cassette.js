@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { redact } = require('./logger');
+
+// Record/replay of HTTP exchanges under makeRequest (see config.cassettes).
+//   record          send every request and rewrite the test's cassette
+//   replay          answer from the cassette only, fail on a miss
+//   record-missing  answer from the cassette, send and append on a miss
+//   passthrough     no cassettes
+const CASSETTE_MODES = ['record', 'replay', 'passthrough', 'record-missing'];
+
+const SCRUBBED = '<scrubbed>';
+
+/**
+ * Build the key a request is stored under: method, path and the query
+ * sorted by name, with volatile parameters replaced by a placeholder
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Request path with optional query string
+ * @param {string[]} scrub - Query parameters whose values are ignored
+ * @returns {string} - Request key, e.g. 'GET /api/history?from=<scrubbed>&symbol=TFUEL'
+ */
+const requestKey = (method, endpoint, scrub = []) => {
+  const [pathname, search = ''] = endpoint.split('?');
+  const params = [...new URLSearchParams(search)]
+    .map(([name, value]) => [name, scrub.includes(name) ? SCRUBBED : value])
+    .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+  const query = params.map(([name, value]) => `${name}=${value}`).join('&');
+  return `${method.toUpperCase()} ${pathname}${query ? `?${query}` : ''}`;
+};
+
+const slug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'unnamed';
+
+/**
+ * Cassette file for a test: <dir>/<test file path>/<test name>.json
+ * @param {string} dir - Absolute cassette directory
+ * @param {string} testPath - Path of the test file relative to the repository root
+ * @param {string} testName - Full Jest test name, describe blocks included
+ * @returns {string} - Absolute cassette path
+ */
+const cassetteFile = (dir, testPath, testName) => path.join(
+  dir,
+  testPath.replace(/\.test\.js$/, '').split(path.sep).map(slug).join(path.sep),
+  `${slug(testName || 'hooks')}.json`
+);
+
+/**
+ * Locate the cassette of the running Jest test
+ * @param {string} dir - Absolute cassette directory
+ * @returns {string|null} - Cassette path, or null outside Jest
+ */
+const currentCassette = (dir) => {
+  const state = typeof expect !== 'undefined' ? expect.getState() : {};
+  if (!state.testPath) {
+    return null;
+  }
+  return cassetteFile(dir, path.relative(path.resolve(__dirname, '..'), state.testPath), state.currentTestName);
+};
+
+/**
+ * When the cassette of the running Jest test was recorded, so replay can
+ * set the clock back to it
+ * @param {string} dir - Cassette directory relative to the repository root
+ * @returns {number|null} - Epoch ms, null without a cassette or record time
+ */
+const recordedAt = (dir) => {
+  const file = currentCassette(path.resolve(__dirname, '..', dir));
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  const time = Date.parse(JSON.parse(fs.readFileSync(file, 'utf8')).recordedAt);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Keep the parts of a response worth replaying, with credentials masked
+ * @param {object} response - Response from sendRequest
+ * @param {string[]} keys - Property names to mask, e.g. 'accessToken'
+ * @returns {object} - JSON-safe response
+ */
+const serializeResponse = (response, keys = []) => JSON.parse(JSON.stringify(redact({
+  status: response.status,
+  statusText: response.statusText,
+  headers: response.headers || {},
+  data: response.data === undefined ? null : response.data,
+  code: response.code || null,
+  error: response.error || null
+}, keys)));
+
+/**
+ * Create the cassette layer for a mode
+ * @param {object} options - Settings from config.cassettes
+ * @param {string} options.mode - One of CASSETTE_MODES
+ * @param {string} options.dir - Cassette directory relative to the repository root
+ * @param {string[]} options.scrub - Query parameters left out of request keys
+ * @param {string[]} options.redact - Response properties masked in saved cassettes
+ * @param {function} options.locate - Returns the cassette path for the current call
+ * @returns {object} - Cassette layer
+ */
+const createCassettes = (options) => {
+  const dir = path.resolve(__dirname, '..', options.dir);
+  const locate = options.locate || (() => currentCassette(dir));
+  const scrub = options.scrub || [];
+  const keys = options.redact || [];
+  const loaded = new Map();
+
+  const load = (file) => {
+    if (!loaded.has(file)) {
+      const stored = options.mode !== 'record' && fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : { recordedAt: new Date().toISOString(), interactions: [] };
+      loaded.set(file, { recordedAt: stored.recordedAt, interactions: stored.interactions, played: new Map() });
+    }
+    return loaded.get(file);
+  };
+
+  const save = (file, cassette) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({
+      version: 1,
+      recordedAt: cassette.recordedAt,
+      interactions: cassette.interactions
+    }, null, 2)}\n`);
+  };
+
+  return {
+    mode: options.mode,
+
+    /**
+     * Serve a request from the cassette or send it, depending on the mode.
+     * Repeated requests with the same key replay in recorded order.
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - Request path with optional query string
+     * @param {function} send - Sends the request, resolves to a response
+     * @returns {Promise<object>} - Recorded or live response
+     */
+    intercept: async (method, endpoint, send) => {
+      const file = options.mode === 'passthrough' ? null : locate();
+      if (!file) {
+        return send();
+      }
+
+      const cassette = load(file);
+      const key = requestKey(method, endpoint, scrub);
+      const occurrence = cassette.played.get(key) || 0;
+      cassette.played.set(key, occurrence + 1);
+      const recorded = cassette.interactions.filter(interaction => interaction.key === key)[occurrence];
+
+      if (recorded && options.mode !== 'record') {
+        return { ...recorded.response, replayed: true };
+      }
+      if (options.mode === 'replay') {
+        throw new Error(`Cassette miss: ${key} (call ${occurrence + 1}) is not recorded in ${path.relative(dir, file)}`);
+      }
+
+      const response = await send();
+      cassette.interactions.push({ key, response: serializeResponse(response, keys) });
+      save(file, cassette);
+      return response;
+    }
+  };
+};
+
+module.exports = {
+  CASSETTE_MODES,
+  requestKey,
+  slug,
+  cassetteFile,
+  recordedAt,
+  createCassettes
+};
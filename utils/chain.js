@@ -0,0 +1,293 @@
+const axios = require('axios');
+const config = require('../config/config');
+const { logger, mockServerEnabled } = require('./utils');
+const { validationResult } = require('./validation');
+const { parseDecimal, formatDecimal, withinTolerance } = require('./decimal');
+const { createRpcNode, CHAIN_ID, FACTORY_ADDRESS } = require('../mock/rpc');
+
+// On-chain cross-check of /api/token-pairs (see config.chain): reads pair
+// contracts through an EVM JSON-RPC node with eth_call and compares their
+// reserves, totalSupply and token symbol/decimals with what the API reports
+
+// First four bytes of keccak256 of each function signature
+const SELECTORS = {
+  getPair: '0xe6a43905', // getPair(address,address) on the factory
+  getReserves: '0x0902f1ac', // getReserves() -> (uint112, uint112, uint32)
+  totalSupply: '0x18160ddd', // totalSupply() -> uint256
+  token0: '0x0dfe1681', // token0() -> address
+  token1: '0xd21220a7', // token1() -> address
+  symbol: '0x95d89b41', // symbol() -> string
+  decimals: '0x313ce567' // decimals() -> uint8
+};
+
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+
+/**
+ * Create a JSON-RPC 2.0 client
+ * @param {string} url - Node URL
+ * @param {number} timeout - Request timeout in ms
+ * @returns {object} - { request(method, params), call(to, data) }
+ */
+const createRpcClient = (url, timeout = config.chain.timeout) => {
+  let nextId = 1;
+
+  const request = async (method, params = []) => {
+    const id = nextId++;
+    logger.debug('RPC request sent', { url, method });
+    logger.trace('RPC request details', { url, method, params });
+    let response;
+    try {
+      response = await axios.post(url, { jsonrpc: '2.0', id, method, params }, { timeout });
+    } catch (error) {
+      logger.info('RPC request failed', { url, method, error: error.message });
+      throw new Error(`${method} to ${url} failed: ${error.message}`);
+    }
+    const { result: value, error } = response.data || {};
+    logger.trace('RPC response details', { url, method, body: response.data });
+    if (error) {
+      logger.info('RPC error', { url, method, code: error.code, error: error.message });
+      throw Object.assign(new Error(`${method} failed: ${error.message} (${error.code})`), { code: error.code });
+    }
+    return value;
+  };
+
+  return {
+    request,
+    call: (to, data) => request('eth_call', [{ to, data }, 'latest'])
+  };
+};
+
+/**
+ * ABI-encode a call whose arguments are all addresses
+ * @param {string} selector - Function selector
+ * @param {...string} addresses - Address arguments
+ * @returns {string} - Calldata
+ */
+const encodeCall = (selector, ...addresses) => selector + addresses
+  .map(address => address.toLowerCase().replace(/^0x/, '').padStart(64, '0'))
+  .join('');
+
+const words = (hex) => String(hex).replace(/^0x/, '').match(/.{64}/g) || [];
+
+/**
+ * Decode the uint word at an index of an ABI result
+ * @param {string} hex - eth_call result
+ * @param {number} index - Word index
+ * @returns {bigint} - Value
+ */
+const decodeUint = (hex, index = 0) => {
+  const word = words(hex)[index];
+  if (word === undefined) {
+    throw new Error(`ABI result ${JSON.stringify(hex)} has no word ${index}`);
+  }
+  return BigInt(`0x${word}`);
+};
+
+/**
+ * Decode the address word at an index of an ABI result
+ * @param {string} hex - eth_call result
+ * @param {number} index - Word index
+ * @returns {string} - Lowercase 0x address
+ */
+const decodeAddress = (hex, index = 0) => `0x${decodeUint(hex, index).toString(16).padStart(40, '0')}`;
+
+/**
+ * Decode a string result. Tokens that predate the ERC-20 string return
+ * a NUL-padded bytes32 instead, which is decoded as well.
+ * @param {string} hex - eth_call result
+ * @returns {string} - Decoded string
+ */
+const decodeString = (hex) => {
+  const data = String(hex).replace(/^0x/, '');
+  if (data.length === 64) {
+    return Buffer.from(data, 'hex').toString('utf8').replace(/\0+$/, '');
+  }
+  const offset = Number(decodeUint(hex, 0)) * 2;
+  const length = Number(BigInt(`0x${data.slice(offset, offset + 64) || '0'}`));
+  const bytes = data.slice(offset + 64, offset + 64 + length * 2);
+  if (bytes.length !== length * 2) {
+    throw new Error(`ABI result ${JSON.stringify(hex)} is not a string`);
+  }
+  return Buffer.from(bytes, 'hex').toString('utf8');
+};
+
+const readToken = async (client, id) => {
+  const [symbol, decimals] = await Promise.all([
+    client.call(id, SELECTORS.symbol),
+    client.call(id, SELECTORS.decimals)
+  ]);
+  return { id, symbol: decodeString(symbol), decimals: Number(decodeUint(decimals)) };
+};
+
+/**
+ * Read a pair contract, found through the factory, and its tokens. Amounts
+ * are scaled by the decimals each contract reports.
+ * @param {object} client - Client from createRpcClient
+ * @param {string} factory - Factory address
+ * @param {string} tokenA - One token of the pair
+ * @param {string} tokenB - The other token
+ * @returns {Promise<object|null>} - { address, token0, token1, reserve0,
+ *   reserve1, totalSupply } in contract order, null when the factory has
+ *   no such pair
+ */
+const readPair = async (client, factory, tokenA, tokenB) => {
+  const address = decodeAddress(await client.call(factory, encodeCall(SELECTORS.getPair, tokenA, tokenB)));
+  if (address === ZERO_ADDRESS) {
+    return null;
+  }
+  const [token0, token1, reserves, totalSupply, decimals] = await Promise.all([
+    client.call(address, SELECTORS.token0),
+    client.call(address, SELECTORS.token1),
+    client.call(address, SELECTORS.getReserves),
+    client.call(address, SELECTORS.totalSupply),
+    client.call(address, SELECTORS.decimals)
+  ]);
+  const tokens = await Promise.all([decodeAddress(token0), decodeAddress(token1)].map(id => readToken(client, id)));
+
+  return {
+    address,
+    token0: tokens[0],
+    token1: tokens[1],
+    reserve0: formatDecimal({ units: decodeUint(reserves, 0), scale: tokens[0].decimals }),
+    reserve1: formatDecimal({ units: decodeUint(reserves, 1), scale: tokens[1].decimals }),
+    totalSupply: formatDecimal({ units: decodeUint(totalSupply), scale: Number(decodeUint(decimals)) })
+  };
+};
+
+const compareAmount = (label, field, reported, onChain, tolerance) => {
+  if (!parseDecimal(reported)) {
+    return [`${label} ${field}: API value ${JSON.stringify(reported)} is not a decimal`];
+  }
+  return withinTolerance(reported, onChain, tolerance)
+    ? []
+    : [`${label} ${field}: API ${reported}, chain ${onChain}`];
+};
+
+/**
+ * Compare an API pair with its contract. Pair contracts order their tokens
+ * by address, so the sides are matched by token id, not by position.
+ * @param {object} pair - Item of /api/token-pairs
+ * @param {object|null} onChain - Result of readPair
+ * @param {number} tolerance - Allowed relative difference of amounts (0-1)
+ * @returns {object} - Validation result
+ */
+const checkOnChain = (pair, onChain, tolerance) => {
+  const label = `${pair.token0.symbol}-${pair.token1.symbol}`;
+  if (!onChain) {
+    return validationResult([`${label}: the factory has no pair for ${pair.token0.id} and ${pair.token1.id}`]);
+  }
+
+  const swapped = onChain.token0.id.toLowerCase() === pair.token1.id.toLowerCase();
+  const sides = swapped
+    ? [[onChain.token1, onChain.reserve1], [onChain.token0, onChain.reserve0]]
+    : [[onChain.token0, onChain.reserve0], [onChain.token1, onChain.reserve1]];
+  const errors = [];
+
+  ['token0', 'token1'].forEach((side, index) => {
+    const [token, reserve] = sides[index];
+    const reported = pair[side];
+    if (token.id.toLowerCase() !== reported.id.toLowerCase()) {
+      errors.push(`${label} ${side}.id: API ${reported.id}, chain ${token.id}`);
+      return;
+    }
+    ['symbol', 'decimals'].forEach(field => {
+      if (reported[field] !== undefined && reported[field] !== token[field]) {
+        errors.push(`${label} ${side}.${field}: API ${reported[field]}, chain ${token[field]}`);
+      }
+    });
+    errors.push(...compareAmount(label, `reserve${index}`, pair[`reserve${index}`], reserve, tolerance));
+  });
+
+  if (pair.totalSupply !== undefined) {
+    errors.push(...compareAmount(label, 'totalSupply', pair.totalSupply, onChain.totalSupply, tolerance));
+  }
+  return validationResult(errors);
+};
+
+/**
+ * Pick pairs spread evenly over a list
+ * @param {object[]} pairs - Items of /api/token-pairs
+ * @param {number} size - Pairs to pick
+ * @param {string[]} exclude - Pair ids to leave out, e.g. one checked anyway
+ * @returns {object[]} - Sampled pairs in list order
+ */
+const samplePairs = (pairs, size, exclude = []) => {
+  const skipped = new Set(exclude.map(id => id.toLowerCase()));
+  const candidates = pairs.filter(pair => !skipped.has(pair.id.toLowerCase()));
+  const count = Math.min(size, candidates.length);
+  return Array.from({ length: count }, (_, index) => candidates[Math.floor(index * candidates.length / count)]);
+};
+
+/**
+ * Read every pair from the chain and compare it with the API
+ * @param {object[]} pairs - Items of /api/token-pairs
+ * @param {object} settings - config.chain
+ * @returns {Promise<object>} - Validation result with the on-chain values per pair
+ */
+const verifyPairs = async (pairs, settings = config.chain) => {
+  const client = createRpcClient(settings.rpcUrl, settings.timeout);
+  const results = await Promise.all(pairs.map(async pair => ({
+    pair,
+    onChain: await readPair(client, settings.factory, pair.token0.id, pair.token1.id)
+  })));
+  return {
+    ...validationResult(results.flatMap(({ pair, onChain }) => checkOnChain(pair, onChain, settings.tolerance).errors)),
+    results
+  };
+};
+
+/**
+ * Point config.chain at the bundled JSON-RPC stand-in (mock/rpc.js) for the
+ * current test file whenever the mock explorer server is in use. Registers
+ * Jest hooks that start the node, restore its fixture state after every
+ * test and put config.chain back afterwards.
+ * @returns {object} - Handle for overwriting on-chain pair values and
+ *   inspecting requests
+ */
+const useRpcNode = () => {
+  const enabled = mockServerEnabled();
+  const node = createRpcNode();
+  let original;
+
+  if (enabled) {
+    beforeAll(async () => {
+      original = { ...config.chain };
+      Object.assign(config.chain, { rpcUrl: await node.start(), factory: FACTORY_ADDRESS, chainId: CHAIN_ID });
+    });
+
+    afterEach(() => {
+      node.reset();
+    });
+
+    afterAll(async () => {
+      Object.assign(config.chain, original);
+      await node.stop();
+    });
+  }
+
+  return {
+    enabled,
+    setPair: (pairId, values) => {
+      if (enabled) {
+        node.setPair(pairId, values);
+      }
+    },
+    get requests() {
+      return node.requests;
+    }
+  };
+};
+
+module.exports = {
+  SELECTORS,
+  createRpcClient,
+  encodeCall,
+  decodeUint,
+  decodeAddress,
+  decodeString,
+  readPair,
+  checkOnChain,
+  samplePairs,
+  verifyPairs,
+  useRpcNode
+};
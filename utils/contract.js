@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { listOperations } = require('./openapi');
+
+/**
+ * Append one request to the contract coverage log. Jest runs each test file
+ * in its own worker, so coverage is shared through a JSON-lines file.
+ * @param {string} file - Coverage log path
+ * @param {object} entry - Method, path, matched operation and status
+ */
+const recordExchange = (file, entry) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+};
+
+/**
+ * Read every request recorded in the coverage log
+ * @param {string} file - Coverage log path
+ * @returns {object[]} - Recorded requests
+ */
+const readExchanges = (file) => {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => JSON.parse(line));
+};
+
+/**
+ * Compare the spec with what the suite actually requested. Requests
+ * answered 405 are left out: they probe methods an endpoint does not allow.
+ * @param {object} spec - OpenAPI document
+ * @param {object[]} exchanges - Recorded requests
+ * @returns {object} - Unexercised operations and undocumented endpoints
+ */
+const buildDriftReport = (spec, exchanges) => {
+  const served = exchanges.filter(entry => entry.status !== 405);
+  const exercised = new Set(served.filter(entry => entry.operation).map(entry => entry.operation));
+  const undocumented = new Set(served
+    .filter(entry => !entry.operation)
+    .map(entry => `${entry.method} ${entry.path}`));
+
+  return {
+    operations: listOperations(spec).length,
+    unexercised: listOperations(spec).map(operation => operation.key).filter(key => !exercised.has(key)),
+    undocumented: [...undocumented].sort()
+  };
+};
+
+/**
+ * Render a drift report for the console
+ * @param {object} report - Report from buildDriftReport
+ * @returns {string} - Printable report
+ */
+const formatDriftReport = (report) => {
+  const lines = [`Contract coverage: ${report.operations - report.unexercised.length}/${report.operations} operations exercised`];
+  if (report.unexercised.length > 0) {
+    lines.push('  Not exercised by any test:');
+    report.unexercised.forEach(key => lines.push(`    ${key}`));
+  }
+  if (report.undocumented.length > 0) {
+    lines.push('  Requested but not in the spec:');
+    report.undocumented.forEach(key => lines.push(`    ${key}`));
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  recordExchange,
+  readExchanges,
+  buildDriftReport,
+  formatDriftReport
+};
@@ -0,0 +1,213 @@
+const { validationResult } = require('./validation');
+
+// Decimal strings for on-chain amounts. A value is held as BigInt units and
+// a scale (digits after the point), so sums, products and comparisons stay
+// exact at 18 decimals and beyond; nothing passes through a float.
+
+// Form the API must send amounts in: no sign, exponent, leading zeros,
+// trailing fractional zeros or bare point
+const CANONICAL_DECIMAL = /^(0|[1-9]\d*)(\.\d*[1-9])?$/;
+
+const PLAIN_DECIMAL = /^([-+]?)(\d+)(?:\.(\d+))?$/;
+
+/**
+ * Write a finite number as a plain decimal. String() switches to exponent
+ * notation below 1e-6 and from 1e21, so the exponent is shifted back into
+ * the digits.
+ * @param {number} value - Finite number
+ * @returns {string} - Plain decimal string
+ */
+const plainNumber = (value) => {
+  const [mantissa, exponent] = String(value).split(/e/i);
+  if (exponent === undefined) {
+    return mantissa;
+  }
+  const [, sign, whole, fraction = ''] = PLAIN_DECIMAL.exec(mantissa);
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+  if (point <= 0) {
+    return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  }
+  if (point >= digits.length) {
+    return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  }
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+};
+
+/**
+ * Parse a plain decimal, without exponent, into units and scale
+ * @param {string|number} value - Decimal string, or a finite number
+ * @returns {object|null} - { units, scale }, null when value is not a plain decimal
+ */
+const parseDecimal = (value) => {
+  if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+    return null;
+  }
+  const match = PLAIN_DECIMAL.exec(typeof value === 'number' ? plainNumber(value) : value);
+  if (!match) {
+    return null;
+  }
+  const [, sign, whole, fraction = ''] = match;
+  const units = BigInt(whole + fraction);
+  return { units: sign === '-' ? -units : units, scale: fraction.length };
+};
+
+const toDecimal = (value) => {
+  const decimal = parseDecimal(value);
+  if (!decimal) {
+    throw new Error(`Not a plain decimal: ${JSON.stringify(value)}`);
+  }
+  return decimal;
+};
+
+const rescale = ({ units, scale }, target) => units * 10n ** BigInt(target - scale);
+
+/**
+ * Format units and scale as a canonical decimal string
+ * @param {object} decimal - { units, scale }
+ * @returns {string} - Decimal string, '-' prefixed when negative
+ */
+const formatDecimal = ({ units, scale }) => {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(scale + 1, '0');
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = digits.slice(digits.length - scale).replace(/0+$/, '');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+};
+
+/**
+ * Compare two decimals exactly
+ * @param {string|number} a - First value
+ * @param {string|number} b - Second value
+ * @returns {number} - -1, 0 or 1
+ */
+const compareDecimals = (a, b) => {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  const scale = Math.max(x.scale, y.scale);
+  const diff = rescale(x, scale) - rescale(y, scale);
+  if (diff === 0n) {
+    return 0;
+  }
+  return diff < 0n ? -1 : 1;
+};
+
+/**
+ * Sum decimals exactly
+ * @param {...(string|number)} values - Values to add
+ * @returns {string} - Canonical sum
+ */
+const addDecimals = (...values) => {
+  const decimals = values.map(toDecimal);
+  const scale = Math.max(0, ...decimals.map(decimal => decimal.scale));
+  const units = decimals.reduce((sum, decimal) => sum + rescale(decimal, scale), 0n);
+  return formatDecimal({ units, scale });
+};
+
+/**
+ * Subtract one decimal from another exactly
+ * @param {string|number} a - Minuend
+ * @param {string|number} b - Subtrahend
+ * @returns {string} - Canonical difference
+ */
+const subtractDecimals = (a, b) => {
+  const y = toDecimal(b);
+  return addDecimals(a, formatDecimal({ units: -y.units, scale: y.scale }));
+};
+
+/**
+ * Multiply two decimals exactly
+ * @param {string|number} a - First factor
+ * @param {string|number} b - Second factor
+ * @returns {string} - Canonical product
+ */
+const multiplyDecimals = (a, b) => {
+  const x = toDecimal(a);
+  const y = toDecimal(b);
+  return formatDecimal({ units: x.units * y.units, scale: x.scale + y.scale });
+};
+
+const absDecimal = (value) => String(value).replace(/^-/, '');
+
+/**
+ * Check |actual - expected| <= tolerance * |expected| without rounding.
+ * An expected value of 0 only matches 0.
+ * @param {string|number} actual - Observed value
+ * @param {string|number} expected - Reference value
+ * @param {string|number} tolerance - Allowed relative difference (0-1)
+ * @returns {boolean} - True when actual is within tolerance
+ */
+const withinTolerance = (actual, expected, tolerance) => compareDecimals(
+  absDecimal(subtractDecimals(actual, expected)),
+  multiplyDecimals(tolerance, absDecimal(addDecimals(expected)))
+) <= 0;
+
+/**
+ * Check that a value is a canonical, non-negative decimal string with at
+ * most maxDecimals digits after the point
+ * @param {*} value - Value to check
+ * @param {number|null} maxDecimals - Precision of the token, null for no cap
+ * @returns {object} - Validation result
+ */
+const checkDecimal = (value, maxDecimals = null) => {
+  const errors = [];
+  const decimal = typeof value === 'string' ? parseDecimal(value) : null;
+  const quoted = JSON.stringify(value);
+  if (typeof value !== 'string') {
+    errors.push(`expected a decimal string, got ${value === null ? 'null' : typeof value}`);
+  } else if (/^[-+]?\d+(\.\d+)?[eE]/.test(value)) {
+    errors.push(`${quoted} uses scientific notation`);
+  } else if (!decimal) {
+    errors.push(`${quoted} is not a decimal`);
+  } else if (decimal.units < 0n) {
+    errors.push(`${quoted} is negative`);
+  } else if (!CANONICAL_DECIMAL.test(value)) {
+    errors.push(`${quoted} is not canonical, expected ${JSON.stringify(formatDecimal(decimal))}`);
+  } else if (maxDecimals !== null && decimal.scale > maxDecimals) {
+    errors.push(`${quoted} has ${decimal.scale} decimals, at most ${maxDecimals} allowed`);
+  }
+  return validationResult(errors);
+};
+
+const lookup = (item, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+
+/**
+ * Check the amount fields of an API item. Each field maps to its number of
+ * decimals, or to the path of the item field holding them, e.g.
+ * 'token0.decimals'. Fields the item does not carry are skipped, and
+ * only the format is checked when it does not carry the decimals.
+ * @param {object} item - Token or pair
+ * @param {object} fields - Field name to decimals or decimals path
+ * @param {string} path - JSON path of the item used in error messages
+ * @returns {object} - Validation result
+ */
+const checkAmounts = (item, fields, path = '') => {
+  const errors = [];
+  Object.entries(fields).forEach(([field, decimals]) => {
+    if (item[field] === undefined) {
+      return;
+    }
+    const found = typeof decimals === 'string' ? lookup(item, decimals) : decimals;
+    const maxDecimals = found === undefined ? null : found;
+    const at = path ? `${path}.${field}` : field;
+    if (maxDecimals !== null && !Number.isInteger(maxDecimals)) {
+      errors.push(`${at}: ${decimals} is not a number of decimals`);
+      return;
+    }
+    checkDecimal(item[field], maxDecimals).errors.forEach(error => errors.push(`${at}: ${error}`));
+  });
+  return validationResult(errors);
+};
+
+module.exports = {
+  CANONICAL_DECIMAL,
+  parseDecimal,
+  formatDecimal,
+  compareDecimals,
+  addDecimals,
+  subtractDecimals,
+  multiplyDecimals,
+  withinTolerance,
+  checkDecimal,
+  checkAmounts
+};
@@ -0,0 +1,78 @@
+// Failure kinds attached to responses as response.error.kind
+const ERROR_KINDS = {
+  TIMEOUT: 'timeout',
+  CONNECTION_REFUSED: 'connection_refused',
+  DNS: 'dns',
+  TLS: 'tls',
+  // Connection dropped mid-request or request cancelled
+  ABORTED: 'aborted',
+  INVALID_JSON: 'invalid_json',
+  HTTP_ERROR: 'http_error',
+  CIRCUIT_OPEN: 'circuit_open',
+  // Session credentials could not log in or refresh, nothing was sent
+  AUTH_ERROR: 'auth_error',
+  // Anything else that produced no response, e.g. an invalid URL
+  NETWORK: 'network'
+};
+
+const CODE_KINDS = {
+  ECONNABORTED: ERROR_KINDS.TIMEOUT,
+  ETIMEDOUT: ERROR_KINDS.TIMEOUT,
+  ESOCKETTIMEDOUT: ERROR_KINDS.TIMEOUT,
+  ECONNREFUSED: ERROR_KINDS.CONNECTION_REFUSED,
+  ENOTFOUND: ERROR_KINDS.DNS,
+  EAI_AGAIN: ERROR_KINDS.DNS,
+  ECONNRESET: ERROR_KINDS.ABORTED,
+  EPIPE: ERROR_KINDS.ABORTED,
+  ERR_CANCELED: ERROR_KINDS.ABORTED,
+  ECIRCUITOPEN: ERROR_KINDS.CIRCUIT_OPEN
+};
+
+const TLS_CODE = /^(ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_(GET|VERIFY)_|DEPTH_ZERO_SELF_SIGNED_CERT$|SELF_SIGNED_CERT_IN_CHAIN$|EPROTO$)/;
+
+/**
+ * Classify an axios error that produced no HTTP response
+ * @param {Error} error - Axios error
+ * @returns {object} - { kind, code, message }
+ */
+const classifyError = (error) => {
+  const code = error.code || null;
+  let kind = CODE_KINDS[code];
+  if (!kind && code && TLS_CODE.test(code)) {
+    kind = ERROR_KINDS.TLS;
+  }
+  return {
+    kind: kind || ERROR_KINDS.NETWORK,
+    code,
+    message: error.message
+  };
+};
+
+/**
+ * Detect a JSON response whose body could not be parsed. Axios falls back
+ * to the raw string when parsing fails.
+ * @param {object} response - Axios response
+ * @returns {object|null} - { kind, code, message } or null when the body is fine
+ */
+const detectInvalidJson = (response) => {
+  const contentType = String((response.headers || {})['content-type'] || '');
+  if (!/json/i.test(contentType) || typeof response.data !== 'string' || response.data.trim() === '') {
+    return null;
+  }
+  try {
+    JSON.parse(response.data);
+    return null;
+  } catch (parseError) {
+    return {
+      kind: ERROR_KINDS.INVALID_JSON,
+      code: null,
+      message: parseError.message
+    };
+  }
+};
+
+module.exports = {
+  ERROR_KINDS,
+  classifyError,
+  detectInvalidJson
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { makeRequest } = require('./utils');
+const { validationResult } = require('./validation');
+const { historyEndpoint, longestBar } = require('./history');
+const { fetchAllPages } = require('./pagination');
+const { sleep } = require('./resilience');
+
+// Freshness of the indexed data (see config.freshness): how far the newest
+// history bar trails the clock, and whether pair reserves still move.
+// Both feed a lag report to alert on when the indexer stalls.
+
+/**
+ * Format a number of seconds as e.g. '2h 5m' or '45s'
+ * @param {number} seconds - Duration
+ * @returns {string} - Human-readable duration
+ */
+const formatLag = (seconds) => {
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let rest = Math.max(0, Math.round(seconds));
+  units.forEach(([unit, size]) => {
+    if (rest >= size && parts.length < 2) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  });
+  return parts.length > 0 ? parts.join(' ') : '0s';
+};
+
+/**
+ * Largest age the newest bar of a resolution may have: one bar, which may
+ * still be open, plus the configured tolerance for indexer lag
+ * @param {string} resolution - Resolution key
+ * @param {object} tolerance - Seconds per resolution, with a default
+ * @returns {number} - Budget in seconds
+ */
+const lagBudget = (resolution, tolerance = config.freshness.tolerance) => {
+  const extra = tolerance[resolution] !== undefined ? tolerance[resolution] : tolerance.default;
+  return longestBar(resolution) + extra;
+};
+
+/**
+ * Check the newest bar of a history response against a lag budget
+ * @param {object} bars - /api/history body
+ * @param {string} resolution - Resolution the bars were requested in
+ * @param {number} now - Unix seconds the lag is measured at
+ * @param {number} budget - Budget from lagBudget
+ * @param {number} window - Seconds before now the bars were requested for
+ * @returns {object} - Validation result with newest (unix seconds or null)
+ *   and lag in seconds (null without bars)
+ */
+const checkHistoryLag = (bars, resolution, now, budget, window) => {
+  const times = bars && Array.isArray(bars.t) ? bars.t : [];
+  if (times.length === 0) {
+    return { ...validationResult([`${resolution}: no bars in the last ${formatLag(window)}`]), newest: null, lag: null, budget };
+  }
+  const newest = times[times.length - 1];
+  const lag = now - newest;
+  const errors = lag > budget
+    ? [`${resolution}: newest bar ${new Date(newest * 1000).toISOString()} is ${formatLag(lag)} old, budget ${formatLag(budget)}`]
+    : [];
+  return { ...validationResult(errors), newest, lag, budget };
+};
+
+/**
+ * Fetch the last bars of a symbol and measure how far the newest trails now.
+ * The window spans config.freshness.windowBars bars and always covers the
+ * budget, so a lagging indexer still yields its newest bar.
+ * @param {string} symbol - Ticker symbol
+ * @param {string} resolution - Resolution key
+ * @returns {Promise<object>} - checkHistoryLag result with symbol and resolution
+ */
+const measureHistoryLag = async (symbol, resolution) => {
+  const budget = lagBudget(resolution);
+  const to = Math.floor(Date.now() / 1000);
+  const span = Math.max(config.freshness.windowBars * longestBar(resolution), 2 * budget);
+  const response = await makeRequest(historyEndpoint({ symbol, resolution, from: to - span, to }));
+  if (response.status !== 200) {
+    return { ...validationResult([`${resolution}: history answered ${response.status}`]), symbol, resolution, newest: null, lag: null, budget };
+  }
+  return { ...checkHistoryLag(response.data, resolution, to, budget, span), symbol, resolution };
+};
+
+const reserves = (pair) => `${pair.reserve0}/${pair.reserve1}`;
+
+/**
+ * Compare the reserves of two polls of the pair list
+ * @param {object[]} before - Pairs of the first poll
+ * @param {object[]} after - Pairs of the second poll
+ * @returns {object} - Ids of the pairs present in both polls, changed and unchanged
+ */
+const comparePolls = (before, after) => {
+  const previous = new Map(before.map(pair => [pair.id, reserves(pair)]));
+  const changed = [];
+  const unchanged = [];
+  after.filter(pair => previous.has(pair.id)).forEach(pair => {
+    (previous.get(pair.id) === reserves(pair) ? unchanged : changed).push(pair.id);
+  });
+  return { changed, unchanged };
+};
+
+/**
+ * Poll the pair list twice, interval seconds apart
+ * @param {number} interval - Seconds between the polls
+ * @returns {Promise<object>} - comparePolls result with the interval and errors
+ */
+const pollPairs = async (interval = config.freshness.pollInterval) => {
+  const poll = () => fetchAllPages(config.endpoints.tokenPairs, { key: 'pairs', limit: config.pagination.maxLimit });
+  const before = await poll();
+  await sleep(interval * 1000);
+  const after = await poll();
+  return {
+    interval,
+    ...comparePolls(before.items, after.items),
+    errors: [...before.errors, ...after.errors]
+  };
+};
+
+/**
+ * Check that enough pairs changed reserves between two polls
+ * @param {object} poll - pollPairs result
+ * @param {number} minChanged - Pairs that must have changed
+ * @returns {object} - Validation result
+ */
+const checkPairActivity = (poll, minChanged = config.freshness.minChangedPairs) => {
+  const total = poll.changed.length + poll.unchanged.length;
+  const errors = [...(poll.errors || [])];
+  if (poll.changed.length < minChanged) {
+    errors.push(`pairs: ${poll.changed.length} of ${total} changed reserves in ${formatLag(poll.interval)}, ` +
+      `expected at least ${minChanged}`);
+  }
+  return validationResult(errors);
+};
+
+/**
+ * Build the lag report of a run
+ * @param {object[]} history - measureHistoryLag results
+ * @param {object|null} pairs - pollPairs result, null when not polled
+ * @param {number} now - Report time in ms
+ * @returns {object} - Report; stalled is true when any check failed
+ */
+const buildLagReport = (history, pairs = null, now = Date.now()) => {
+  const activity = pairs && checkPairActivity(pairs);
+  const entries = history.map(entry => ({
+    symbol: entry.symbol,
+    resolution: entry.resolution,
+    newestBar: entry.newest === null ? null : new Date(entry.newest * 1000).toISOString(),
+    lag: entry.lag,
+    budget: entry.budget,
+    fresh: entry.isValid
+  }));
+  return {
+    generatedAt: new Date(now).toISOString(),
+    environment: config.environment,
+    stalled: entries.some(entry => !entry.fresh) || Boolean(activity && !activity.isValid),
+    history: entries,
+    pairs: pairs && {
+      interval: pairs.interval,
+      changed: pairs.changed.length,
+      total: pairs.changed.length + pairs.unchanged.length,
+      fresh: activity.isValid
+    },
+    errors: [...history.flatMap(entry => entry.errors), ...(activity ? activity.errors : [])]
+  };
+};
+
+/**
+ * Render a lag report as text
+ * @param {object} report - buildLagReport result
+ * @returns {string} - One line per check
+ */
+const formatLagReport = (report) => {
+  const lines = [`Indexer ${report.stalled ? 'STALLED' : 'fresh'} at ${report.generatedAt} (${report.environment})`];
+  report.history.forEach(entry => {
+    const lag = entry.lag === null ? 'no bars' : `lag ${formatLag(entry.lag)}`;
+    lines.push(`  ${entry.fresh ? 'ok   ' : 'STALE'} ${entry.symbol} ${entry.resolution}: ${lag} (budget ${formatLag(entry.budget)})`);
+  });
+  if (report.pairs) {
+    lines.push(`  ${report.pairs.fresh ? 'ok   ' : 'STALE'} pairs: ${report.pairs.changed} of ${report.pairs.total} ` +
+      `changed reserves in ${formatLag(report.pairs.interval)}`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Write a lag report as JSON
+ * @param {object} report - buildLagReport result
+ * @param {string} file - Path relative to the project root
+ * @returns {string} - Absolute path written
+ */
+const writeLagReport = (report, file = config.freshness.reportFile) => {
+  const target = path.resolve(__dirname, '..', file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, `${JSON.stringify(report, null, 2)}\n`);
+  return target;
+};
+
+module.exports = {
+  formatLag,
+  lagBudget,
+  checkHistoryLag,
+  measureHistoryLag,
+  comparePolls,
+  pollPairs,
+  checkPairActivity,
+  buildLagReport,
+  formatLagReport,
+  writeLagReport
+};
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { makeRequest, resetCircuitBreakers } = require('./utils');
+
+// Property-based fuzzing of query parameters and path segments. A case is a
+// flat object of string parameters: a valid baseline with one or two values
+// swapped for hostile input. The property is that the server answers every
+// case without a 5xx and within config.fuzz.timeout.
+
+// Seed used while cassettes record or replay and no seed is set: replay
+// only matches the requests generated from the seed they were recorded with
+const CASSETTE_SEED = 1;
+
+/**
+ * Seeded pseudo-random source (mulberry32), so a run can be repeated from
+ * the seed it reports
+ * @param {number} seed - 32-bit seed
+ * @returns {object} - { next(), int(n), pick(items) }
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (n) => Math.floor(next() * n);
+  return { next, int, pick: (items) => items[int(items.length)] };
+};
+
+/**
+ * Flip the case of random characters, e.g. for checksum-style addresses
+ * @param {object} random - Source from createRandom
+ * @param {string} value - Input
+ * @returns {string} - Mixed-case copy
+ */
+const mixCase = (random, value) => [...value]
+  .map(char => (random.next() < 0.5 ? char.toUpperCase() : char.toLowerCase()))
+  .join('');
+
+// Hostile input by category; entries are strings or functions of
+// (random, baseline) so values can derive from the valid request
+const PAYLOADS = {
+  unicode: [
+    '\u0422FUEL', // Cyrillic T
+    '\ud835\udd4b\ud835\udd3d\ud835\udd4c\ud835\udd3c\ud835\udd43', // Double-struck TFUEL
+    'TFUEL\u0000',
+    '\u202eLEUFT', // Right-to-left override
+    'T\u200bFUEL', // Zero-width space
+    '\ufeff1D',
+    '\u00e9',
+    '\ud83d\ude00'.repeat(3),
+    '%ED%A0%80' // Lone surrogate, UTF-8 encoded
+  ],
+  long: [
+    (random) => 'A'.repeat(random.pick([256, 1024, 4096])),
+    (random) => '9'.repeat(random.pick([20, 64, 512])),
+    (random) => '%41'.repeat(random.pick([100, 1000]))
+  ],
+  injection: [
+    '\' OR \'1\'=\'1',
+    '1; DROP TABLE pairs;--',
+    '" OR ""="',
+    '{"$gt":""}',
+    '{"$ne":null}',
+    '[$ne]=1',
+    '$where: 1 == 1',
+    '__proto__',
+    'constructor',
+    '<script>alert(1)</script>',
+    '${7*7}',
+    '{{7*7}}',
+    '%00',
+    '\r\nX-Injected: 1'
+  ],
+  timestamps: [
+    '-1',
+    '-86400',
+    '0',
+    '1.5',
+    '1e10',
+    '0x10',
+    'NaN',
+    'Infinity',
+    ' 1',
+    '',
+    '9007199254740993',
+    '99999999999999999999999',
+    `1${'0'.repeat(400)}`,
+    (random, baseline) => `${baseline.from}.${random.int(1000)}`,
+    (random, baseline) => String(-Number(baseline.to)),
+    (random, baseline) => String(Number(baseline.to) + 1 + random.int(86400 * 365)),
+    (random, baseline) => String(Number(baseline.from) - 1 - random.int(86400))
+  ],
+  addresses: [
+    (random, baseline) => mixCase(random, baseline.id),
+    (random, baseline) => baseline.id.split('-').reverse().join('-'),
+    (random, baseline) => baseline.id.replace(/0x/g, '0X'),
+    (random, baseline) => baseline.id.slice(0, random.int(baseline.id.length)),
+    (random, baseline) => `${baseline.id}-${baseline.id.split('-')[0]}`,
+    `0x${'g'.repeat(40)}-0x${'0'.repeat(40)}`,
+    '0x',
+    '-'
+  ],
+  traversal: [
+    '..',
+    '../../etc/passwd',
+    '..%2F..%2Fetc%2Fpasswd',
+    '%2e%2e%2f%2e%2e%2fetc%2fpasswd',
+    '....//....//',
+    '..\\..\\windows\\win.ini',
+    '/api/tokens',
+    '%',
+    '%E0%A4%A',
+    '%C0%AF',
+    '%FF'
+  ]
+};
+
+/**
+ * Percent-encode a value, leaving existing %XX escapes as they are so
+ * payloads can carry escapes that are invalid once decoded
+ * @param {string} value - Raw value
+ * @returns {string} - URL-safe value
+ */
+const encodeValue = (value) => value
+  .split(/(%[0-9A-Fa-f]{2})/)
+  .map(part => (/^%[0-9A-Fa-f]{2}$/.test(part) ? part : encodeURIComponent(part)))
+  .join('');
+
+/**
+ * Targets under fuzz: the valid baseline, the payload categories tried per
+ * parameter and how a case becomes an endpoint
+ * @returns {object} - Targets by name
+ */
+const fuzzTargets = () => ({
+  history: {
+    baseline: () => ({
+      symbol: config.testData.validSymbol,
+      resolution: config.testData.validResolution,
+      from: String(config.testData.validTimeRange.from),
+      to: String(config.testData.validTimeRange.to)
+    }),
+    categories: {
+      symbol: ['unicode', 'long', 'injection', 'traversal'],
+      resolution: ['unicode', 'long', 'injection', 'timestamps'],
+      from: ['timestamps', 'long', 'injection', 'unicode'],
+      to: ['timestamps', 'long', 'injection', 'unicode']
+    },
+    endpoint: (params) => `${config.endpoints.history}?${Object.entries(params)
+      .map(([name, value]) => `${name}=${encodeValue(value)}`)
+      .join('&')}`
+  },
+  tokenPair: {
+    baseline: () => ({ id: config.testData.validPairId }),
+    categories: {
+      id: ['addresses', 'traversal', 'unicode', 'long', 'injection']
+    },
+    endpoint: (params) => `${config.endpoints.tokenPairs}/${encodeValue(params.id)}`
+  }
+});
+
+/**
+ * Generate one case: the baseline with one or two parameters replaced
+ * @param {object} random - Source from createRandom
+ * @param {object} target - Target from fuzzTargets
+ * @returns {object} - Parameters
+ */
+const generateCase = (random, target) => {
+  const baseline = target.baseline();
+  const params = { ...baseline };
+  const names = Object.keys(target.categories);
+  const count = 1 + random.int(Math.min(2, names.length));
+
+  for (let i = 0; i < count; i += 1) {
+    const name = random.pick(names);
+    const payload = random.pick(PAYLOADS[random.pick(target.categories[name])]);
+    params[name] = typeof payload === 'function' ? payload(random, baseline) : payload;
+  }
+  return params;
+};
+
+/**
+ * Smaller variants of a failing case, most promising first: restore a
+ * parameter to its baseline value, then cut the remaining hostile values
+ * @param {object} params - Failing parameters
+ * @param {object} baseline - Valid parameters
+ * @returns {object[]} - Candidate cases
+ */
+const shrinkCandidates = (params, baseline) => {
+  const changed = Object.keys(params).filter(name => params[name] !== baseline[name]);
+  const restored = changed.map(name => ({ ...params, [name]: baseline[name] }));
+  const cut = changed.flatMap(name => {
+    const chars = [...params[name]];
+    const half = Math.floor(chars.length / 2);
+    const values = [
+      '',
+      chars.slice(0, half).join(''),
+      chars.slice(half).join(''),
+      ...chars.slice(0, 32).map((char, index) => chars.filter((_, other) => other !== index).join(''))
+    ];
+    return [...new Set(values)]
+      .filter(value => [...value].length < chars.length)
+      .map(value => ({ ...params, [name]: value }));
+  });
+  return [...restored, ...cut];
+};
+
+/**
+ * Check one case against the server
+ * @param {object} target - Target from fuzzTargets
+ * @param {object} params - Parameters
+ * @param {number} timeout - Longest acceptable response time in ms
+ * @returns {Promise<string|null>} - Why the case failed, or null
+ */
+const checkCase = async (target, params, timeout = config.fuzz.timeout) => {
+  // A run of 5xx would open the circuit and fail later cases for nothing
+  resetCircuitBreakers();
+  const response = await makeRequest(target.endpoint(params), { timeout, retry: false });
+  if (response.status === 0) {
+    return response.error.kind === 'timeout'
+      ? `no response within ${timeout}ms`
+      : `no response (${response.error.kind})`;
+  }
+  return response.status >= 500 ? `status ${response.status}` : null;
+};
+
+/**
+ * Shrink a failing case while it keeps failing
+ * @param {object} params - Failing parameters
+ * @param {object} baseline - Valid parameters
+ * @param {function} check - Async (params) => failure reason or null
+ * @param {number} maxShrinks - Most candidates tried
+ * @param {string} reason - Why the original case failed
+ * @returns {Promise<object>} - { params, reason, shrinks }
+ */
+const shrinkCase = async (params, baseline, check, maxShrinks, reason) => {
+  let current = { params, reason };
+  let tried = 0;
+  let shrinks = 0;
+  let progress = true;
+
+  while (progress && tried < maxShrinks) {
+    progress = false;
+    for (const candidate of shrinkCandidates(current.params, baseline)) {
+      if (tried >= maxShrinks) {
+        break;
+      }
+      tried += 1;
+      const failure = await check(candidate);
+      if (failure) {
+        current = { params: candidate, reason: failure };
+        shrinks += 1;
+        progress = true;
+        break;
+      }
+    }
+  }
+  return { ...current, shrinks };
+};
+
+/**
+ * Fuzz a target until a case fails or runs are exhausted; a failing case
+ * is shrunk to a minimal reproducer
+ * @param {object} target - Target from fuzzTargets
+ * @param {object} options - runs, seed, timeout, maxShrinks (config.fuzz
+ *   by default) and check to replace the HTTP check; a null seed is random,
+ *   or CASSETTE_SEED while cassettes record or replay
+ * @returns {Promise<object>} - { seed, runs, failure } where failure is
+ *   null or { original, params, reason, endpoint, shrinks }
+ */
+const fuzzTarget = async (target, options = {}) => {
+  const settings = { ...config.fuzz, ...options };
+  let seed = settings.seed;
+  if (seed === null) {
+    seed = config.cassettes.mode === 'passthrough' ? Math.floor(Math.random() * 2 ** 32) : CASSETTE_SEED;
+  }
+  const check = settings.check || ((params) => checkCase(target, params, settings.timeout));
+  const random = createRandom(seed);
+
+  for (let run = 1; run <= settings.runs; run += 1) {
+    const params = generateCase(random, target);
+    const reason = await check(params);
+    if (reason) {
+      const minimal = await shrinkCase(params, target.baseline(), check, settings.maxShrinks, reason);
+      return {
+        seed,
+        runs: run,
+        failure: { original: params, ...minimal, endpoint: target.endpoint(minimal.params) }
+      };
+    }
+  }
+  return { seed, runs: settings.runs, failure: null };
+};
+
+const regressionsPath = (file = config.fuzz.regressionsFile) => path.resolve(__dirname, '..', file);
+
+/**
+ * Read the saved regression cases
+ * @param {string} file - Regressions file, relative to the repo root
+ * @returns {object} - Cases by target name
+ */
+const loadRegressions = (file) => {
+  const resolved = regressionsPath(file);
+  return fs.existsSync(resolved) ? JSON.parse(fs.readFileSync(resolved, 'utf8')) : {};
+};
+
+/**
+ * Save a minimal failing case so every later run replays it
+ * @param {string} name - Target name
+ * @param {object} failure - Failure from fuzzTarget
+ * @param {number} seed - Seed that found it
+ * @param {string} file - Regressions file, relative to the repo root
+ * @returns {boolean} - False when the case was already saved
+ */
+const saveRegression = (name, failure, seed, file) => {
+  const regressions = loadRegressions(file);
+  const cases = regressions[name] || [];
+  if (cases.some(entry => JSON.stringify(entry.params) === JSON.stringify(failure.params))) {
+    return false;
+  }
+  regressions[name] = [...cases, {
+    params: failure.params,
+    reason: failure.reason,
+    seed,
+    foundAt: new Date().toISOString()
+  }];
+  fs.mkdirSync(path.dirname(regressionsPath(file)), { recursive: true });
+  fs.writeFileSync(regressionsPath(file), `${JSON.stringify(regressions, null, 2)}\n`);
+  return true;
+};
+
+module.exports = {
+  PAYLOADS,
+  CASSETTE_SEED,
+  createRandom,
+  encodeValue,
+  fuzzTargets,
+  generateCase,
+  shrinkCandidates,
+  checkCase,
+  shrinkCase,
+  fuzzTarget,
+  loadRegressions,
+  saveRegression
+};
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const { typeName } = require('./schema');
+const { relativeDiff } = require('./integrity');
+const { requestKey, slug } = require('./cassette');
+
+// Golden responses: one normalized response per request under
+// config.golden.dir, diffed against later runs.
+//   compare  write missing golden files; a changed response is saved next
+//            to its golden file as <name>.pending.json for review
+//   update   overwrite golden files with every changed response
+const GOLDEN_MODES = ['compare', 'update'];
+
+const PENDING_SUFFIX = '.pending.json';
+
+// JSON type; integers and fractions are both numbers here
+const jsonType = (value) => (typeName(value) === 'integer' ? 'number' : typeName(value));
+
+const maskOf = (value) => `<masked ${jsonType(value)}>`;
+
+const isMask = (value) => typeof value === 'string' && /^<masked [a-z]+>$/.test(value);
+
+const maskType = (value) => value.slice('<masked '.length, -1);
+
+const isNumeric = (value) => (typeof value === 'number' && Number.isFinite(value)) ||
+  (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+
+/**
+ * Find the rule for a JSON path. Rules name a field ('reserveUSD') or a
+ * path with indices left out ('pairs[].reserveUSD').
+ * @param {string} jsonPath - Path, e.g. 'pairs[3].reserveUSD'
+ * @param {object} rules - { mask: string[], tolerance: { rule: ratio } }
+ * @returns {object} - { mask: boolean, tolerance: number|null }
+ */
+const ruleFor = (jsonPath, rules) => {
+  const pattern = jsonPath.replace(/\[\d+\]/g, '[]');
+  const field = pattern.split(/[.[\]]/).filter(Boolean).pop();
+  const matches = (rule) => rule === field || rule === pattern;
+  const tolerance = Object.keys(rules.tolerance || {}).find(matches);
+  return {
+    mask: (rules.mask || []).some(matches),
+    tolerance: tolerance ? rules.tolerance[tolerance] : null
+  };
+};
+
+const joinPath = (jsonPath, key) => (typeof key === 'number'
+  ? `${jsonPath}[${key}]`
+  : jsonPath ? `${jsonPath}.${key}` : key);
+
+const displayPath = (jsonPath) => jsonPath || '(root)';
+
+/**
+ * Normalize a response body for storage: object keys sorted and masked
+ * fields replaced by a placeholder that keeps their type
+ * @param {*} value - Response body
+ * @param {object} rules - { mask, tolerance }
+ * @param {string} jsonPath - Path of value
+ * @returns {*} - Normalized copy
+ */
+const normalize = (value, rules, jsonPath = '') => {
+  if (jsonPath && ruleFor(jsonPath, rules).mask) {
+    return maskOf(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => normalize(item, rules, joinPath(jsonPath, index)));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort()
+      .map(key => [key, normalize(value[key], rules, joinPath(jsonPath, key))]));
+  }
+  return value;
+};
+
+/**
+ * Diff two normalized values by JSON path
+ * @param {*} expected - Golden value
+ * @param {*} actual - Value from this run
+ * @param {object} rules - { mask, tolerance }
+ * @param {string} jsonPath - Path of the values
+ * @returns {object[]} - { path, change: added|removed|type|value, expected, actual }
+ */
+const diffValues = (expected, actual, rules, jsonPath = '') => {
+  const at = displayPath(jsonPath);
+  if (isMask(expected) || isMask(actual)) {
+    const types = [expected, actual].map(value => (isMask(value) ? maskType(value) : jsonType(value)));
+    return types[0] === types[1] ? [] : [{ path: at, change: 'type', expected: types[0], actual: types[1] }];
+  }
+  if (jsonType(expected) !== jsonType(actual)) {
+    return [{ path: at, change: 'type', expected: jsonType(expected), actual: jsonType(actual) }];
+  }
+
+  if (Array.isArray(expected)) {
+    return Array.from({ length: Math.max(expected.length, actual.length) }, (_, index) => {
+      const itemPath = joinPath(jsonPath, index);
+      if (index >= actual.length) {
+        return [{ path: itemPath, change: 'removed', expected: expected[index] }];
+      }
+      if (index >= expected.length) {
+        return [{ path: itemPath, change: 'added', actual: actual[index] }];
+      }
+      return diffValues(expected[index], actual[index], rules, itemPath);
+    }).flat();
+  }
+
+  if (expected !== null && typeof expected === 'object') {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+    return keys.flatMap(key => {
+      const keyPath = joinPath(jsonPath, key);
+      if (!(key in actual)) {
+        return [{ path: keyPath, change: 'removed', expected: expected[key] }];
+      }
+      if (!(key in expected)) {
+        return [{ path: keyPath, change: 'added', actual: actual[key] }];
+      }
+      return diffValues(expected[key], actual[key], rules, keyPath);
+    });
+  }
+
+  const { tolerance } = ruleFor(jsonPath, rules);
+  if (tolerance !== null && isNumeric(expected) && isNumeric(actual)) {
+    return relativeDiff(Number(actual), Number(expected)) <= tolerance
+      ? []
+      : [{ path: at, change: 'value', expected, actual, tolerance }];
+  }
+  return expected === actual ? [] : [{ path: at, change: 'value', expected, actual }];
+};
+
+/**
+ * Diff a golden snapshot against one taken now, status code included
+ * @param {object} golden - Stored snapshot { request, status, body }
+ * @param {object} snapshot - Snapshot of this run
+ * @param {object} rules - { mask, tolerance }
+ * @returns {object[]} - Differences, see diffValues
+ */
+const diffSnapshots = (golden, snapshot, rules) => [
+  ...(golden.status === snapshot.status
+    ? []
+    : [{ path: '(status)', change: 'value', expected: golden.status, actual: snapshot.status }]),
+  ...diffValues(golden.body, snapshot.body, rules)
+];
+
+const brief = (value) => {
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+/**
+ * Render differences one per line: + added, - removed, ~ type changed,
+ * ≠ value changed
+ * @param {object[]} diffs - Differences from diffSnapshots
+ * @returns {string} - Text
+ */
+const formatDiffs = (diffs) => diffs.map(diff => {
+  switch (diff.change) {
+    case 'added':
+      return `+ ${diff.path}: ${brief(diff.actual)}`;
+    case 'removed':
+      return `- ${diff.path}: ${brief(diff.expected)}`;
+    case 'type':
+      return `~ ${diff.path}: ${diff.expected} -> ${diff.actual}`;
+    default:
+      return `≠ ${diff.path}: ${brief(diff.expected)} -> ${brief(diff.actual)}` +
+        (diff.tolerance !== undefined ? ` (beyond ${diff.tolerance * 100}%)` : '');
+  }
+}).join('\n');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const writeJson = (file, value) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+};
+
+/**
+ * Create the golden store
+ * @param {object} options - mode, dir (absolute or relative to the repo
+ *   root), failOnMissing, scrub, mask and tolerance as in config.golden,
+ *   plus environment to keep one set of golden files per environment under dir
+ * @returns {object} - { fileFor, check, pending, accept, reject }
+ */
+const createGolden = (options) => {
+  const dir = path.resolve(__dirname, '..', options.dir, options.environment || '');
+  const fileFor = (key) => path.join(dir, `${slug(key)}.json`);
+
+  /**
+   * Compare a response with its golden file
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Request path with optional query string
+   * @param {object} response - Response from makeRequest
+   * @returns {object} - { file, status: created|missing|matched|changed|updated, diffs }
+   */
+  const check = (method, endpoint, response) => {
+    const key = requestKey(method, endpoint, options.scrub);
+    const file = fileFor(key);
+    const snapshot = { request: key, status: response.status, body: normalize(response.data, options) };
+    const pendingFile = file.replace(/\.json$/, PENDING_SUFFIX);
+
+    if (!fs.existsSync(file)) {
+      if (options.failOnMissing && options.mode !== 'update') {
+        return { file, status: 'missing', diffs: [] };
+      }
+      writeJson(file, snapshot);
+      return { file, status: 'created', diffs: [] };
+    }
+    const diffs = diffSnapshots(readJson(file), snapshot, options);
+    if (diffs.length === 0) {
+      fs.rmSync(pendingFile, { force: true });
+      return { file, status: 'matched', diffs };
+    }
+    if (options.mode === 'update') {
+      writeJson(file, snapshot);
+      return { file, status: 'updated', diffs };
+    }
+    writeJson(pendingFile, snapshot);
+    return { file, status: 'changed', diffs };
+  };
+
+  /**
+   * List responses waiting for review
+   * @returns {object[]} - { name, file, pendingFile, diffs }
+   */
+  const pending = () => {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith(PENDING_SUFFIX))
+      .sort()
+      .map(name => {
+        const base = name.slice(0, -PENDING_SUFFIX.length);
+        const file = path.join(dir, `${base}.json`);
+        const pendingFile = path.join(dir, name);
+        return {
+          name: base,
+          file,
+          pendingFile,
+          diffs: diffSnapshots(readJson(file), readJson(pendingFile), options)
+        };
+      });
+  };
+
+  const select = (names) => pending().filter(entry => names.length === 0 || names.includes(entry.name));
+
+  /**
+   * Promote pending responses to golden files
+   * @param {string[]} names - Names from pending(), all when empty
+   * @returns {string[]} - Accepted names
+   */
+  const accept = (names = []) => select(names).map(entry => {
+    fs.renameSync(entry.pendingFile, entry.file);
+    return entry.name;
+  });
+
+  /**
+   * Discard pending responses
+   * @param {string[]} names - Names from pending(), all when empty
+   * @returns {string[]} - Discarded names
+   */
+  const reject = (names = []) => select(names).map(entry => {
+    fs.rmSync(entry.pendingFile);
+    return entry.name;
+  });
+
+  return { fileFor, check, pending, accept, reject };
+};
+
+module.exports = {
+  GOLDEN_MODES,
+  normalize,
+  diffValues,
+  diffSnapshots,
+  formatDiffs,
+  createGolden
+};
@@ -0,0 +1,255 @@
+const zlib = require('zlib');
+const config = require('../config/config');
+const { mergeConfig } = require('../config/loader');
+const { makeRequest } = require('./utils');
+const { validationResult } = require('./validation');
+
+// Response header conformance: CORS, caching, conditional requests,
+// compression and security headers, checked against config.headers.
+// Every check returns { isValid, errors } like the schema validators.
+
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Expectations for an endpoint: config.headers.expectations.default with
+ * the endpoint's own entry merged over it
+ * @param {string} name - Endpoint name, e.g. 'tokens' or 'watchlist'
+ * @returns {object} - { cors, cacheControl, conditional, compression, security }
+ */
+const headerExpectations = (name) => {
+  const { expectations } = config.headers;
+  return mergeConfig(expectations.default, expectations[name] || {});
+};
+
+/**
+ * Parse a Cache-Control header
+ * @param {string} value - Header value
+ * @returns {object} - Directive to value, true for directives without one
+ */
+const parseCacheControl = (value) => Object.fromEntries(splitList(value).map(directive => {
+  const [name, argument] = directive.split('=');
+  return [name, argument === undefined ? true : argument.replace(/"/g, '')];
+}));
+
+const checkAllowOrigin = (response, origin) => {
+  const allowed = response.headers['access-control-allow-origin'];
+  return allowed === '*' || allowed === origin
+    ? []
+    : [`access-control-allow-origin: expected "*" or "${origin}", got ${JSON.stringify(allowed)}`];
+};
+
+/**
+ * Check the answer to a CORS preflight
+ * @param {object} response - Response to OPTIONS with Origin and
+ *   Access-Control-Request-* headers
+ * @param {object} cors - Expectations: methods, requestHeaders, maxAge
+ * @param {string} origin - Origin the preflight was sent from
+ * @returns {object} - Validation result
+ */
+const checkPreflight = (response, cors, origin = config.headers.origin) => {
+  if (response.status !== 200 && response.status !== 204) {
+    return validationResult([`preflight: expected 200 or 204, got ${response.status}`]);
+  }
+  const methods = splitList(response.headers['access-control-allow-methods']);
+  const headers = splitList(response.headers['access-control-allow-headers']);
+  const maxAge = Number(response.headers['access-control-max-age']);
+
+  return validationResult([
+    ...checkAllowOrigin(response, origin),
+    ...cors.methods
+      .filter(method => !methods.includes(method.toLowerCase()))
+      .map(method => `access-control-allow-methods: missing ${method}`),
+    ...cors.requestHeaders
+      .filter(header => !headers.includes(header.toLowerCase()) && !headers.includes('*'))
+      .map(header => `access-control-allow-headers: missing ${header}`),
+    ...(Number.isFinite(maxAge) && maxAge >= cors.maxAge
+      ? []
+      : [`access-control-max-age: expected at least ${cors.maxAge}, got ${JSON.stringify(response.headers['access-control-max-age'])}`])
+  ]);
+};
+
+/**
+ * Check the CORS headers of a cross-origin response
+ * @param {object} response - Response to a request sent with Origin
+ * @param {object} cors - Expectations: exposeHeaders
+ * @param {string} origin - Origin the request was sent from
+ * @returns {object} - Validation result
+ */
+const checkCors = (response, cors, origin = config.headers.origin) => {
+  const exposed = splitList(response.headers['access-control-expose-headers']);
+  return validationResult([
+    ...checkAllowOrigin(response, origin),
+    ...cors.exposeHeaders
+      .filter(header => !exposed.includes(header.toLowerCase()))
+      .map(header => `access-control-expose-headers: missing ${header}`)
+  ]);
+};
+
+/**
+ * Check Cache-Control and, for cacheable responses, ETag and Last-Modified
+ * @param {object} response - Successful response
+ * @param {object} expected - Expectations: cacheControl, conditional
+ * @returns {object} - Validation result
+ */
+const checkCaching = (response, expected) => {
+  const { directives, maxAge } = expected.cacheControl;
+  const cacheControl = parseCacheControl(response.headers['cache-control']);
+  const errors = directives
+    .filter(directive => !cacheControl[directive])
+    .map(directive => `cache-control: missing ${directive} in ${JSON.stringify(response.headers['cache-control'])}`);
+
+  if (maxAge) {
+    const [min, max] = maxAge;
+    const value = Number(cacheControl['max-age']);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`cache-control: max-age should be within ${min}..${max}, got ${JSON.stringify(cacheControl['max-age'])}`);
+    }
+  }
+
+  if (expected.conditional) {
+    const { etag } = response.headers;
+    const lastModified = response.headers['last-modified'];
+    if (!/^(W\/)?"[^"]*"$/.test(etag || '')) {
+      errors.push(`etag: expected a quoted entity tag, got ${JSON.stringify(etag)}`);
+    }
+    if (Number.isNaN(Date.parse(lastModified)) || Date.parse(lastModified) > Date.now() + 1000) {
+      errors.push(`last-modified: expected a past HTTP date, got ${JSON.stringify(lastModified)}`);
+    }
+  }
+  return validationResult(errors);
+};
+
+/**
+ * Check that a revalidation answered 304 without a body
+ * @param {object} response - Response to a conditional GET
+ * @param {string} header - Conditional header that was sent
+ * @param {string} etag - ETag of the cached response
+ * @returns {object} - Validation result
+ */
+const checkNotModified = (response, header, etag) => {
+  const errors = [];
+  if (response.status !== 304) {
+    errors.push(`${header}: expected 304, got ${response.status}`);
+  }
+  if (response.data !== undefined && response.data !== null && response.data !== '') {
+    errors.push(`${header}: 304 must not carry a body`);
+  }
+  if (response.headers.etag && response.headers.etag !== etag) {
+    errors.push(`${header}: etag changed from ${etag} to ${response.headers.etag}`);
+  }
+  return validationResult(errors);
+};
+
+const DECODERS = {
+  br: (body) => zlib.brotliDecompressSync(body),
+  gzip: (body) => zlib.gunzipSync(body)
+};
+
+/**
+ * Check that a response fetched undecoded with Accept-Encoding: encoding
+ * is compressed with it and decodes to JSON
+ * @param {object} response - Response with a Buffer body
+ * @param {string} encoding - 'gzip' or 'br'
+ * @returns {object} - Validation result
+ */
+const checkCompression = (response, encoding) => {
+  const actual = response.headers['content-encoding'];
+  if (actual !== encoding) {
+    return validationResult([`content-encoding: expected ${encoding}, got ${JSON.stringify(actual)}`]);
+  }
+  const vary = splitList(response.headers.vary);
+  const errors = vary.includes('accept-encoding') || vary.includes('*')
+    ? []
+    : ['vary: missing Accept-Encoding on a compressed response'];
+  try {
+    JSON.parse(DECODERS[encoding](response.data).toString('utf8'));
+  } catch (error) {
+    errors.push(`content-encoding: ${encoding} body does not decode to JSON (${error.message})`);
+  }
+  return validationResult(errors);
+};
+
+/**
+ * Check security headers. An expected value of true only requires the
+ * header; a string must match case-insensitively.
+ * @param {object} response - Any response
+ * @param {object} security - Header name to expected value or true
+ * @returns {object} - Validation result
+ */
+const checkSecurityHeaders = (response, security) => validationResult(Object.entries(security)
+  .filter(([, value]) => value !== false)
+  .flatMap(([name, value]) => {
+    const actual = response.headers[name.toLowerCase()];
+    if (actual === undefined) {
+      return [`${name.toLowerCase()}: missing`];
+    }
+    return value === true || String(actual).toLowerCase() === value.toLowerCase()
+      ? []
+      : [`${name.toLowerCase()}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`];
+  }));
+
+/**
+ * Send a CORS preflight for an endpoint
+ * @param {string} endpoint - API endpoint
+ * @param {object} cors - Expectations: methods, requestHeaders
+ * @returns {Promise} - Response promise
+ */
+const sendPreflight = (endpoint, cors) => makeRequest(endpoint, {
+  method: 'OPTIONS',
+  auth: false,
+  contract: false,
+  headers: {
+    Origin: config.headers.origin,
+    'Access-Control-Request-Method': cors.methods[0],
+    'Access-Control-Request-Headers': cors.requestHeaders.join(', ').toLowerCase()
+  }
+});
+
+/**
+ * Revalidate a response with If-None-Match or If-Modified-Since
+ * @param {string} endpoint - API endpoint
+ * @param {object} response - Earlier response carrying validators
+ * @param {string} header - 'If-None-Match' or 'If-Modified-Since'
+ * @param {object} options - Extra makeRequest options, e.g. auth
+ * @returns {Promise} - Response promise
+ */
+const revalidate = (endpoint, response, header, options = {}) => makeRequest(endpoint, {
+  ...options,
+  contract: false,
+  validateStatus: status => status < 400,
+  headers: {
+    [header]: header === 'If-None-Match' ? response.headers.etag : response.headers['last-modified']
+  }
+});
+
+/**
+ * Fetch an endpoint without decoding its body
+ * @param {string} endpoint - API endpoint
+ * @param {string} encoding - Accept-Encoding to send
+ * @param {object} options - Extra makeRequest options, e.g. auth
+ * @returns {Promise} - Response promise with a Buffer body
+ */
+const fetchEncoded = (endpoint, encoding, options = {}) => makeRequest(endpoint, {
+  ...options,
+  contract: false,
+  decompress: false,
+  responseType: 'arraybuffer',
+  headers: { 'Accept-Encoding': encoding }
+});
+
+module.exports = {
+  headerExpectations,
+  parseCacheControl,
+  checkPreflight,
+  checkCors,
+  checkCaching,
+  checkNotModified,
+  checkCompression,
+  checkSecurityHeaders,
+  sendPreflight,
+  revalidate,
+  fetchEncoded
+};
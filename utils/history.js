@@ -0,0 +1,294 @@
+const config = require('../config/config');
+const { makeRequest, validateSchema, createTestCase } = require('./utils');
+
+// Seconds per UDF resolution unit: a bare number counts minutes. Months
+// vary in length and are sized here at their longest.
+const UNIT_SECONDS = { S: 1, '': 60, D: 86400, W: 604800, M: 31 * 86400 };
+
+/**
+ * Split a UDF resolution such as '30', '15S', '3D', '1W' or '1M'
+ * @param {string} resolution - Resolution key
+ * @returns {object|null} - count and unit, or null when it does not parse
+ */
+const parseResolution = (resolution) => {
+  const match = /^(\d+)([SDWM]?)$/.exec(resolution);
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return { count: Number(match[1]), unit: match[2] };
+};
+
+/**
+ * Longest bar a resolution can have, for sizing request windows and lag
+ * budgets
+ * @param {string} resolution - Resolution key
+ * @returns {number|null} - Seconds, or null when the resolution does not parse
+ */
+const longestBar = (resolution) => {
+  const parsed = parseResolution(resolution);
+  return parsed ? parsed.count * UNIT_SECONDS[parsed.unit] : null;
+};
+
+/**
+ * Exact bar length of a resolution, for alignment and gap checks
+ * @param {string} resolution - Resolution key
+ * @returns {number|null} - Seconds, or null for months and resolutions that
+ *   do not parse
+ */
+const resolutionSeconds = (resolution) => {
+  const parsed = parseResolution(resolution);
+  return parsed && parsed.unit !== 'M' ? parsed.count * UNIT_SECONDS[parsed.unit] : null;
+};
+
+/**
+ * Build a /api/history endpoint, leaving out parameters set to undefined
+ * @param {object} params - symbol, resolution, from, to
+ * @returns {string} - Endpoint with query string
+ */
+const historyEndpoint = (params) => {
+  const query = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) {
+      query[key] = value;
+    }
+  });
+  return `${config.endpoints.history}?${new URLSearchParams(query)}`;
+};
+
+/**
+ * Fetch the resolutions the API advertises in its UDF configuration
+ * @returns {Promise<string[]>} - supported_resolutions from config.endpoints.config
+ */
+const fetchSupportedResolutions = async () => {
+  const response = await makeRequest(config.endpoints.config);
+  if (response.status !== 200 || !response.data || !Array.isArray(response.data.supported_resolutions)) {
+    throw new Error(`${config.endpoints.config} did not advertise supported_resolutions (status ${response.status})`);
+  }
+  return response.data.supported_resolutions;
+};
+
+/**
+ * Resolve a matrix time window to a concrete from/to pair.
+ * Windows are either absolute ({ from, to }) or the last N bars ({ bars }).
+ * @param {object} window - Window definition
+ * @param {string} resolution - Resolution the window is measured in
+ * @returns {object} - from and to as unix seconds
+ */
+const resolveWindow = (window, resolution) => {
+  if (window.bars !== undefined) {
+    const to = Math.floor(Date.now() / 1000);
+    return { from: to - window.bars * (longestBar(resolution) || 86400), to };
+  }
+  return { from: window.from, to: window.to };
+};
+
+/**
+ * Expand a parameter matrix into one case per symbol/resolution/window
+ * @param {object} matrix - Matrix definition
+ * @param {string[]} matrix.symbols - Symbols to request
+ * @param {string[]} matrix.resolutions - Resolutions to request
+ * @param {object[]} matrix.windows - Named time windows
+ * @param {object|function} matrix.expected - { status, s } or a function of the case
+ * @returns {object[]} - Cases with params and expected outcome
+ */
+const expandHistoryMatrix = (matrix) => {
+  const cases = [];
+  matrix.symbols.forEach(symbol => {
+    matrix.resolutions.forEach(resolution => {
+      matrix.windows.forEach(window => {
+        const testCase = { symbol, resolution, window };
+        cases.push({
+          ...testCase,
+          expected: typeof matrix.expected === 'function' ? matrix.expected(testCase) : matrix.expected
+        });
+      });
+    });
+  });
+  return cases;
+};
+
+const SERIES = ['t', 'o', 'h', 'l', 'c', 'v'];
+
+/**
+ * Summarise violations per rule
+ * @param {number} bars - Bars inspected
+ * @param {object[]} violations - Collected violations
+ * @returns {object} - Report
+ */
+const buildReport = (bars, violations) => {
+  const summary = {};
+  violations.forEach(violation => {
+    summary[violation.rule] = (summary[violation.rule] || 0) + 1;
+  });
+  return {
+    isValid: violations.length === 0,
+    bars,
+    violations,
+    summary
+  };
+};
+
+/**
+ * Check a UDF history body ({ t, o, h, l, c, v, s }) in a single pass and
+ * collect every violation instead of stopping at the first one.
+ *
+ * Rules: invalid_series, length_mismatch, invalid_value, high_below_low,
+ * open_out_of_range, close_out_of_range, non_monotonic_time,
+ * time_out_of_range, misaligned_time, missing_bars.
+ *
+ * @param {object} data - History response body
+ * @param {object} options - Checks to run
+ * @param {number} options.from - Requested range start; enables time_out_of_range
+ * @param {number} options.to - Requested range end; enables time_out_of_range
+ * @param {string} options.resolution - Resolution; enables misaligned_time and missing_bars
+ *   unless its bars vary in length (months)
+ * @param {number} options.offset - Bar alignment offset in seconds (default 0)
+ * @param {boolean} options.gaps - Report missing bars (default true)
+ * @returns {object} - Report with bar count, violations and per-rule totals
+ */
+const validateOhlcv = (data, options = {}) => {
+  const violations = [];
+  const add = (rule, index, message, details = {}) => {
+    violations.push({ rule, index, message, ...details });
+  };
+
+  SERIES.forEach(series => {
+    if (!Array.isArray(data && data[series])) {
+      add('invalid_series', null, `${series} is not an array`, { series });
+    }
+  });
+  if (violations.length > 0) {
+    return buildReport(0, violations);
+  }
+
+  const length = data.t.length;
+  SERIES.slice(1).forEach(series => {
+    if (data[series].length !== length) {
+      add('length_mismatch', null, `${series} has ${data[series].length} values, t has ${length}`, {
+        series,
+        expected: length,
+        actual: data[series].length
+      });
+    }
+  });
+
+  const step = options.resolution ? resolutionSeconds(options.resolution) : null;
+  const offset = options.offset || 0;
+  const checkRange = options.from !== undefined && options.to !== undefined;
+  const checkGaps = options.gaps !== false;
+  // Prices are checked up to the shortest series, timestamps over all of t
+  const bars = Math.min(...SERIES.map(series => data[series].length));
+  const isValue = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  // Last valid timestamp, so an invalid one does not hide a gap or reversal
+  let previous = null;
+
+  for (let i = 0; i < length; i++) {
+    const t = data.t[i];
+
+    if (i < bars) {
+      const [, o, h, l, c] = SERIES.map(series => data[series][i]);
+      const invalid = SERIES.filter(series => !isValue(data[series][i]));
+      if (invalid.length > 0) {
+        add('invalid_value', i, `bar ${i}: ${invalid.join(', ')} not a non-negative number`, { series: invalid });
+      } else {
+        if (h < l) {
+          add('high_below_low', i, `bar ${i}: high ${h} < low ${l}`, { h, l });
+        }
+        if (o < l || o > h) {
+          add('open_out_of_range', i, `bar ${i}: open ${o} outside [${l}, ${h}]`, { o, l, h });
+        }
+        if (c < l || c > h) {
+          add('close_out_of_range', i, `bar ${i}: close ${c} outside [${l}, ${h}]`, { c, l, h });
+        }
+      }
+    } else if (!isValue(t)) {
+      add('invalid_value', i, `bar ${i}: t not a non-negative number`, { series: ['t'] });
+    }
+
+    if (!isValue(t)) {
+      continue;
+    }
+    if (checkRange && (t < options.from || t > options.to)) {
+      add('time_out_of_range', i, `bar ${i}: t ${t} outside [${options.from}, ${options.to}]`, { t });
+    }
+    if (step && (t - offset) % step !== 0) {
+      add('misaligned_time', i, `bar ${i}: t ${t} not aligned to ${options.resolution} (${step}s)`, { t, step });
+    }
+
+    if (previous !== null) {
+      if (t <= previous) {
+        add('non_monotonic_time', i, `bar ${i}: t ${t} not after previous ${previous}`, { t, previous });
+      } else if (step && checkGaps && t - previous > step) {
+        const missing = Math.ceil((t - previous) / step) - 1;
+        add('missing_bars', i, `bar ${i}: ${missing} bar(s) missing between ${previous} and ${t}`, {
+          missing,
+          after: previous,
+          before: t
+        });
+      }
+    }
+    previous = t;
+  }
+
+  return buildReport(length, violations);
+};
+
+/**
+ * Assert the OHLCV invariants every successful history response must hold
+ * @param {object} data - History response body
+ * @param {object} options - Options for validateOhlcv
+ */
+const expectOhlcvInvariants = (data, options) => {
+  const report = validateOhlcv(data, options);
+  expect(report.violations.map(violation => violation.message)).toEqual([]);
+};
+
+const describeOutcome = (expected) => (expected.s ? `${expected.status} ${expected.s}` : `${expected.status}`);
+
+/**
+ * Register one named Jest test per matrix case. Each test requests the
+ * case, checks the expected status (and `s` for 200s), validates the body
+ * against config.schemas.history and runs the OHLCV invariants.
+ * @param {string} id - Test case id prefix, e.g. 'TC021'
+ * @param {object} matrix - Matrix definition, see expandHistoryMatrix
+ */
+const createHistoryMatrix = (id, matrix) => {
+  const cases = expandHistoryMatrix(matrix);
+  const width = String(cases.length).length;
+
+  cases.forEach(({ symbol, resolution, window, expected }, index) => {
+    const name = `${id}.${String(index + 1).padStart(width, '0')}: ` +
+      `${symbol} @ ${resolution} over ${window.name} -> ${describeOutcome(expected)}`;
+
+    createTestCase(name, async () => {
+      const range = resolveWindow(window, resolution);
+      const response = await makeRequest(historyEndpoint({ symbol, resolution, ...range }));
+
+      expect(response.status).toBe(expected.status);
+      if (expected.status !== 200) {
+        expect(response.data).toHaveProperty('error');
+        return;
+      }
+
+      expect(response.data.s).toBe(expected.s);
+      const validation = validateSchema(response.data, config.schemas.history);
+      expect(validation.errors).toEqual([]);
+      expectOhlcvInvariants(response.data, { ...range, resolution });
+      if (expected.s === 'no_data') {
+        expect(response.data.t).toHaveLength(0);
+      }
+    });
+  });
+};
+
+module.exports = {
+  longestBar,
+  resolutionSeconds,
+  historyEndpoint,
+  fetchSupportedResolutions,
+  resolveWindow,
+  expandHistoryMatrix,
+  validateOhlcv,
+  expectOhlcvInvariants,
+  createHistoryMatrix
+};
@@ -0,0 +1,229 @@
+const { parseDecimal, addDecimals, multiplyDecimals, withinTolerance } = require('./decimal');
+const { validationResult } = require('./validation');
+
+// Cross-endpoint checks between /api/tokens, /api/token-pairs and
+// /api/history (see config.integrity). Amounts are compared as exact
+// decimals (utils/decimal.js); floats only format the reported difference.
+
+/**
+ * Relative difference of a value from a reference
+ * @param {number} actual - Observed value
+ * @param {number} expected - Reference value
+ * @returns {number} - |actual - expected| / |expected|, 0 when both are 0
+ */
+const relativeDiff = (actual, expected) => {
+  if (expected === 0) {
+    return actual === 0 ? 0 : Infinity;
+  }
+  return Math.abs(actual - expected) / Math.abs(expected);
+};
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`;
+
+/**
+ * Check that every pair references tokens from the token list, that the
+ * embedded token fields agree with it and that the pair id is
+ * `${token0.id}-${token1.id}`
+ * @param {object[]} tokens - Items of /api/tokens
+ * @param {object[]} pairs - Items of /api/token-pairs
+ * @returns {object} - Validation result
+ */
+const checkPairReferences = (tokens, pairs) => {
+  const byId = new Map(tokens
+    .filter(token => typeof token.id === 'string')
+    .map(token => [token.id.toLowerCase(), token]));
+  const errors = [];
+
+  pairs.forEach((pair, index) => {
+    ['token0', 'token1'].forEach(side => {
+      const ref = pair[side];
+      if (!ref || typeof ref.id !== 'string') {
+        errors.push(`pairs[${index}].${side}.id: missing`);
+        return;
+      }
+      const token = byId.get(ref.id.toLowerCase());
+      if (!token) {
+        errors.push(`pairs[${index}].${side}.id: ${ref.id} is not in the token list`);
+        return;
+      }
+      ['symbol', 'name', 'decimals'].forEach(field => {
+        if (ref[field] !== undefined && ref[field] !== token[field]) {
+          errors.push(`pairs[${index}].${side}.${field}: ${ref[field]} differs from token list value ${token[field]}`);
+        }
+      });
+    });
+
+    if (pair.token0 && pair.token1 && typeof pair.token0.id === 'string' && typeof pair.token1.id === 'string') {
+      const expectedId = `${pair.token0.id}-${pair.token1.id}`;
+      if (pair.id !== expectedId) {
+        errors.push(`pairs[${index}].id: ${pair.id} is not ${expectedId}`);
+      }
+      if (pair.token0.id === pair.token1.id) {
+        errors.push(`pairs[${index}]: token0 and token1 are both ${pair.token0.id}`);
+      }
+    }
+  });
+
+  return validationResult(errors);
+};
+
+/**
+ * Sum each token's reserves over every pair it appears in. Reserves that
+ * are not decimals are left out and reported in errors.
+ * @param {object[]} pairs - Items of /api/token-pairs
+ * @param {string[]} errors - Error accumulator
+ * @returns {Map} - Lowercased token id to summed reserve as a decimal string
+ */
+const sumReserves = (pairs, errors = []) => {
+  const sums = new Map();
+  pairs.forEach((pair, index) => {
+    ['0', '1'].forEach(side => {
+      const ref = pair[`token${side}`];
+      const reserve = pair[`reserve${side}`];
+      if (!ref || typeof ref.id !== 'string') {
+        return;
+      }
+      if (!parseDecimal(reserve)) {
+        errors.push(`pairs[${index}].reserve${side}: ${JSON.stringify(reserve)} is not a decimal`);
+        return;
+      }
+      const key = ref.id.toLowerCase();
+      sums.set(key, addDecimals(sums.get(key) || '0', reserve));
+    });
+  });
+  return sums;
+};
+
+/**
+ * Check that each token's totalLiquidity matches the sum of its reserves
+ * across pairs
+ * @param {object[]} tokens - Items of /api/tokens
+ * @param {object[]} pairs - Items of /api/token-pairs
+ * @param {number} tolerance - Allowed relative difference (0-1)
+ * @returns {object} - Validation result with the compared values per token
+ */
+const checkLiquidity = (tokens, pairs, tolerance) => {
+  const errors = [];
+  const sums = sumReserves(pairs, errors);
+  const comparisons = tokens.map(token => {
+    const reserves = sums.get(token.id.toLowerCase()) || '0';
+    const liquidity = token.totalLiquidity;
+    const diff = relativeDiff(Number(reserves), Number(liquidity));
+    if (!parseDecimal(liquidity)) {
+      errors.push(`${token.symbol}: totalLiquidity ${JSON.stringify(liquidity)} is not a decimal`);
+    } else if (!withinTolerance(reserves, liquidity, tolerance)) {
+      errors.push(`${token.symbol}: totalLiquidity ${liquidity} vs reserves ${reserves} ` +
+        `(${percent(diff)} > ${percent(tolerance)})`);
+    }
+    return { id: token.id, symbol: token.symbol, liquidity, reserves, diff };
+  });
+
+  return { ...validationResult(errors), comparisons };
+};
+
+/**
+ * Check that each pair's reserveUSD matches the value of its reserves.
+ * Both sides are valued in derivedETH, the USD side through the
+ * USD-pegged quote token, so no division is needed.
+ * @param {object[]} tokens - Items of /api/tokens
+ * @param {object[]} pairs - Items of /api/token-pairs
+ * @param {string} quoteTokenId - USD-pegged token
+ * @param {number} tolerance - Allowed relative difference (0-1)
+ * @returns {object} - Validation result with the compared values per pair
+ */
+const checkReserveValue = (tokens, pairs, quoteTokenId, tolerance) => {
+  const byId = new Map(tokens.map(token => [token.id.toLowerCase(), token]));
+  const quote = byId.get(quoteTokenId.toLowerCase());
+  const errors = [];
+  if (!quote) {
+    return { ...validationResult([`quote token ${quoteTokenId} is not in the token list`]), comparisons: [] };
+  }
+
+  const comparisons = pairs.filter(pair => pair.reserveUSD !== undefined).map(pair => {
+    const label = `${pair.token0.symbol}-${pair.token1.symbol}`;
+    const token0 = byId.get(pair.token0.id.toLowerCase());
+    const token1 = byId.get(pair.token1.id.toLowerCase());
+    if (!token0 || !token1) {
+      errors.push(`${label}: token missing from the token list`);
+      return { id: pair.id, label };
+    }
+    const amounts = {
+      reserve0: pair.reserve0,
+      reserve1: pair.reserve1,
+      reserveUSD: pair.reserveUSD,
+      [`${token0.symbol} derivedETH`]: token0.derivedETH,
+      [`${token1.symbol} derivedETH`]: token1.derivedETH,
+      [`${quote.symbol} derivedETH`]: quote.derivedETH
+    };
+    const malformed = Object.entries(amounts).filter(([, value]) => !parseDecimal(value));
+    if (malformed.length > 0) {
+      malformed.forEach(([name, value]) => errors.push(`${label}: ${name} ${JSON.stringify(value)} is not a decimal`));
+      return { id: pair.id, label };
+    }
+    const reserves = addDecimals(
+      multiplyDecimals(pair.reserve0, token0.derivedETH),
+      multiplyDecimals(pair.reserve1, token1.derivedETH)
+    );
+    const reserveUSD = multiplyDecimals(pair.reserveUSD, quote.derivedETH);
+    const diff = relativeDiff(Number(reserves), Number(reserveUSD));
+    if (!withinTolerance(reserves, reserveUSD, tolerance)) {
+      errors.push(`${label}: reserveUSD ${pair.reserveUSD} is worth ${reserveUSD} derivedETH, reserves ${reserves} ` +
+        `(${percent(diff)} > ${percent(tolerance)})`);
+    }
+    return { id: pair.id, label, reserves, reserveUSD, diff };
+  });
+
+  return { ...validationResult(errors), comparisons };
+};
+
+/**
+ * USD price of a token from derivedETH, using a USD-pegged token as quote
+ * @param {object[]} tokens - Items of /api/tokens
+ * @param {string} tokenId - Token to price
+ * @param {string} quoteTokenId - USD-pegged token
+ * @returns {number|null} - Price, or null when either token is missing
+ */
+const derivedPrice = (tokens, tokenId, quoteTokenId) => {
+  const find = (id) => tokens.find(token => token.id.toLowerCase() === id.toLowerCase());
+  const token = find(tokenId);
+  const quote = find(quoteTokenId);
+  if (!token || !quote || Number(quote.derivedETH) === 0) {
+    return null;
+  }
+  return Number(token.derivedETH) / Number(quote.derivedETH);
+};
+
+/**
+ * Compare the latest history close with the price derived from the token list
+ * @param {object} history - /api/history body
+ * @param {number} price - Derived price from derivedPrice
+ * @param {number} tolerance - Allowed relative difference (0-1)
+ * @returns {object} - Validation result with the compared values
+ */
+const checkPriceAgreement = (history, price, tolerance) => {
+  const errors = [];
+  const close = history && Array.isArray(history.c) && history.c.length > 0
+    ? history.c[history.c.length - 1]
+    : null;
+
+  if (close === null) {
+    errors.push('history has no bars to compare');
+  } else if (price === null) {
+    errors.push('no derived price to compare');
+  } else if (relativeDiff(close, price) > tolerance) {
+    errors.push(`latest close ${close} vs derived price ${price} ` +
+      `(${percent(relativeDiff(close, price))} > ${percent(tolerance)})`);
+  }
+
+  return { ...validationResult(errors), close, price };
+};
+
+module.exports = {
+  relativeDiff,
+  checkPairReferences,
+  sumReserves,
+  checkLiquidity,
+  checkReserveValue,
+  derivedPrice,
+  checkPriceAgreement
+};
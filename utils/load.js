@@ -0,0 +1,145 @@
+const config = require('../config/config');
+const { makeRequest } = require('./utils');
+const { sleep } = require('./resilience');
+const { summarize, elapsedMs } = require('./stats');
+
+/**
+ * Time one request. Load samples skip the contract check, which would
+ * append to the coverage log on every request.
+ * @param {string} endpoint - API endpoint
+ * @param {object} options - Request options
+ * @returns {Promise<object>} - Sample with latency, status and error kind
+ */
+const sample = async (endpoint, options) => {
+  const start = process.hrtime.bigint();
+  const response = await makeRequest(endpoint, { retry: false, contract: false, ...options });
+  return {
+    latency: elapsedMs(start),
+    status: response.status,
+    kind: response.error ? response.error.kind : null
+  };
+};
+
+const isError = (entry) => entry.status === 0 || entry.status >= 400;
+
+/**
+ * Summarise load samples
+ * @param {object[]} samples - Samples from runLoad
+ * @param {number} elapsed - Wall-clock duration of the run in ms
+ * @param {number} dropped - Arrivals skipped because all slots were busy
+ * @returns {object} - Latency percentiles, throughput and error rate
+ */
+const summarizeLoad = (samples, elapsed, dropped = 0) => {
+  const latency = summarize(samples.map(entry => entry.latency));
+  const errors = samples.filter(isError);
+  const byKind = {};
+  errors.forEach(entry => {
+    const kind = entry.kind || `status_${entry.status}`;
+    byKind[kind] = (byKind[kind] || 0) + 1;
+  });
+
+  return {
+    requests: samples.length,
+    errors: errors.length,
+    errorRate: samples.length === 0 ? 0 : errors.length / samples.length,
+    errorsByKind: byKind,
+    dropped,
+    elapsed,
+    throughput: elapsed > 0 ? samples.length / (elapsed / 1000) : 0,
+    latency: {
+      min: latency.min,
+      mean: latency.mean,
+      p50: latency.p50,
+      p90: latency.p90,
+      p99: latency.p99,
+      max: latency.max
+    }
+  };
+};
+
+/**
+ * Drive load against an endpoint.
+ *
+ * Without `rate` the run is closed-loop: `concurrency` workers send requests
+ * back to back. With `rate` it is open-loop: a request arrives every
+ * 1000 / rate ms and is dropped when all `concurrency` slots are busy.
+ *
+ * @param {object} options - Load settings, defaults from config.load
+ * @param {string} options.endpoint - API endpoint, with query string if needed
+ * @param {number} options.concurrency - Parallel requests
+ * @param {number} options.duration - Run length in ms
+ * @param {number} options.rate - Arrivals per second (open-loop), optional
+ * @param {object} options.requestOptions - Extra makeRequest options
+ * @returns {Promise<object>} - Summary from summarizeLoad plus raw samples
+ */
+const runLoad = async (options) => {
+  const settings = { ...config.load, ...options };
+  const samples = [];
+  const started = Date.now();
+  const deadline = started + settings.duration;
+  let dropped = 0;
+
+  if (settings.rate) {
+    const interval = 1000 / settings.rate;
+    const inFlight = new Set();
+    for (let next = started; next < deadline; next += interval) {
+      await sleep(Math.max(0, next - Date.now()));
+      if (inFlight.size >= settings.concurrency) {
+        dropped += 1;
+        continue;
+      }
+      const pending = sample(settings.endpoint, settings.requestOptions)
+        .then(entry => samples.push(entry))
+        .finally(() => inFlight.delete(pending));
+      inFlight.add(pending);
+    }
+    await Promise.all(inFlight);
+  } else {
+    const worker = async () => {
+      while (Date.now() < deadline) {
+        samples.push(await sample(settings.endpoint, settings.requestOptions));
+      }
+    };
+    await Promise.all(Array(settings.concurrency).fill().map(worker));
+  }
+
+  return {
+    ...summarizeLoad(samples, Date.now() - started, dropped),
+    samples
+  };
+};
+
+/**
+ * Compare a load summary with an endpoint's SLO thresholds
+ * @param {object} summary - Summary from runLoad
+ * @param {object} slo - Thresholds: p50/p90/p99 (ms), errorRate (0-1), minThroughput (req/s)
+ * @returns {object} - Validation result with one message per breach
+ */
+const checkSlo = (summary, slo) => {
+  const breaches = [];
+  ['p50', 'p90', 'p99'].forEach(key => {
+    if (slo[key] !== undefined && summary.latency[key] !== null && summary.latency[key] > slo[key]) {
+      breaches.push(`${key} ${summary.latency[key].toFixed(1)}ms > ${slo[key]}ms`);
+    }
+  });
+  if (slo.errorRate !== undefined && summary.errorRate > slo.errorRate) {
+    breaches.push(`error rate ${(summary.errorRate * 100).toFixed(2)}% > ${(slo.errorRate * 100).toFixed(2)}%`);
+  }
+  if (slo.minThroughput !== undefined && summary.throughput < slo.minThroughput) {
+    breaches.push(`throughput ${summary.throughput.toFixed(1)} req/s < ${slo.minThroughput} req/s`);
+  }
+  if (summary.requests === 0) {
+    breaches.push('no requests completed');
+  }
+
+  return {
+    isValid: breaches.length === 0,
+    breaches
+  };
+};
+
+module.exports = {
+  summarizeLoad,
+  runLoad,
+  checkSlo
+};
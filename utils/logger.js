@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const path = require('path');
+const { recordExchange } = require('./contract');
+
+// Leveled JSON-lines logger. Settings are read on every call, so a test may
+// change config.logging and see the effect immediately. Kept free of the
+// config module because config/loader.js validates against LOG_LEVELS.
+
+// Ordered from quietest to noisiest; a logger prints its level and below
+const LOG_LEVELS = ['silent', 'error', 'info', 'debug', 'trace'];
+
+const REDACTED = '[REDACTED]';
+
+const ROOT = path.resolve(__dirname, '..');
+
+const correlationIds = new Map();
+
+/**
+ * Identify the running Jest test
+ * @returns {object|null} - { testPath, test } or null outside a test
+ */
+const currentTest = () => {
+  const state = typeof expect !== 'undefined' ? expect.getState() : {};
+  if (!state.testPath || !state.currentTestName) {
+    return null;
+  }
+  return { testPath: state.testPath, test: state.currentTestName };
+};
+
+/**
+ * Correlation ID shared by every log entry of the running test
+ * @returns {string|null} - ID, or null outside a test
+ */
+const correlationId = () => {
+  const test = currentTest();
+  if (!test) {
+    return null;
+  }
+  const key = `${test.testPath}::${test.test}`;
+  if (!correlationIds.has(key)) {
+    correlationIds.set(key, crypto.randomBytes(6).toString('hex'));
+  }
+  return correlationIds.get(key);
+};
+
+/**
+ * Copy a value with credentials masked: properties named in keys
+ * (case-insensitive) and Bearer/Basic credentials inside strings
+ * @param {*} value - Value to log
+ * @param {string[]} keys - Property names to mask, e.g. 'authorization'
+ * @param {WeakSet} seen - Objects on the current path, guards against cycles
+ * @returns {*} - Redacted copy
+ */
+const redact = (value, keys = [], seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return value.replace(/\b(Bearer|Basic)\s+[^\s,"']+/gi, `$1 ${REDACTED}`);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<${value.length} bytes>`;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  const masked = keys.map(key => key.toLowerCase());
+  const copy = Array.isArray(value)
+    ? value.map(item => redact(item, keys, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      masked.includes(key.toLowerCase()) ? REDACTED : redact(item, keys, seen)
+    ]));
+  seen.delete(value);
+  return copy;
+};
+
+/**
+ * Create a logger writing one JSON object per line to stderr, or to
+ * settings.file when set
+ * @param {object} settings - { level, file, redact }, e.g. config.logging
+ * @returns {object} - { enabled(level), error, info, debug, trace }, each
+ *   taking a message and optional fields
+ */
+const createLogger = (settings) => {
+  const enabled = (level) => level !== 'silent' &&
+    LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(settings.level);
+
+  const log = (level, message, fields = {}) => {
+    if (!enabled(level)) {
+      return;
+    }
+    const test = currentTest();
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      message,
+      correlationId: correlationId(),
+      test: test ? test.test : null,
+      ...fields
+    }, settings.redact);
+
+    if (settings.file) {
+      recordExchange(path.resolve(ROOT, settings.file), entry);
+    } else {
+      process.stderr.write(`${JSON.stringify(entry)}\n`);
+    }
+  };
+
+  return {
+    enabled,
+    error: (message, fields) => log('error', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    debug: (message, fields) => log('debug', message, fields),
+    trace: (message, fields) => log('trace', message, fields)
+  };
+};
+
+module.exports = {
+  LOG_LEVELS,
+  currentTest,
+  correlationId,
+  redact,
+  createLogger
+};
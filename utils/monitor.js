@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config/config');
+const { logger, endpointName } = require('./utils');
+const { summarize } = require('./stats');
+const { checkBudget } = require('./benchmark');
+
+// Synthetic monitoring (scripts/monitor.js, see config.monitor): every run
+// of the selected suites is reduced to pass/fail and per-endpoint latency,
+// kept in a rolling history file, and alert state changes are posted to a
+// webhook once they held for several runs in a row
+
+// Alert conditions, the event each raises and what makes a run count against it
+const CONDITIONS = {
+  tests: { event: 'failure', failing: (run) => run.failed > 0 },
+  latency: { event: 'latency', failing: (run) => run.breaches.length > 0 }
+};
+
+// Failed test names kept per run
+const MAX_FAILURES = 20;
+
+/**
+ * Reduce the report of one run (jest/reporter.js writes it to report.json)
+ * to what the monitor keeps
+ * @param {object} report - Report from buildReport
+ * @param {object} budgets - Latency budgets by endpoint name
+ * @returns {object} - startedAt, duration, test counts, failed test names,
+ *   latency stats per endpoint and latency budget breaches
+ */
+const summarizeRun = (report, budgets = config.performance.budgets) => {
+  const tests = report.files.flatMap(file => file.tests.map(test => ({ ...test, path: file.path })));
+  const durations = {};
+  tests.flatMap(test => test.exchanges).forEach(exchange => {
+    const name = endpointName(exchange.endpoint);
+    if (name && typeof exchange.latency === 'number') {
+      (durations[name] = durations[name] || []).push(exchange.latency);
+    }
+  });
+
+  const latency = {};
+  const breaches = [];
+  Object.keys(durations).sort().forEach(name => {
+    const stats = summarize(durations[name]);
+    latency[name] = { count: stats.count, median: stats.median, p95: stats.p95, max: stats.max };
+    if (budgets[name]) {
+      breaches.push(...checkBudget(stats, budgets[name]).breaches.map(breach => `${name}: ${breach}`));
+    }
+  });
+
+  return {
+    startedAt: report.summary.startedAt,
+    duration: report.summary.duration,
+    tests: report.summary.tests,
+    passed: report.summary.passed,
+    failed: report.summary.failed,
+    failures: tests
+      .filter(test => test.status === 'failed')
+      .slice(0, MAX_FAILURES)
+      .map(test => [test.path, test.suite, test.name].filter(Boolean).join(' › ')),
+    latency,
+    breaches
+  };
+};
+
+/**
+ * A run that produced no report, e.g. because Jest could not start
+ * @param {string} startedAt - ISO time the run started
+ * @param {string} reason - Why there is no report
+ * @returns {object} - summarizeRun-shaped result counting as failed
+ */
+const failedRun = (startedAt, reason) => ({
+  startedAt,
+  duration: 0,
+  tests: 0,
+  passed: 0,
+  failed: 1,
+  failures: [reason],
+  latency: {},
+  breaches: []
+});
+
+const emptyHistory = () => ({
+  runs: [],
+  alerts: Object.fromEntries(Object.keys(CONDITIONS).map(condition => [condition, { status: 'ok', since: null }]))
+});
+
+/**
+ * Load the monitor history
+ * @param {string} file - Path relative to the project root
+ * @returns {object} - { runs, alerts }, empty when the file does not exist
+ */
+const loadHistory = (file = config.monitor.historyFile) => {
+  const target = path.resolve(__dirname, '..', file);
+  if (!fs.existsSync(target)) {
+    return emptyHistory();
+  }
+  const stored = JSON.parse(fs.readFileSync(target, 'utf8'));
+  return { runs: stored.runs || [], alerts: { ...emptyHistory().alerts, ...stored.alerts } };
+};
+
+/**
+ * Save the monitor history
+ * @param {object} history - { runs, alerts }
+ * @param {string} file - Path relative to the project root
+ * @returns {string} - Absolute path written
+ */
+const saveHistory = (history, file = config.monitor.historyFile) => {
+  const target = path.resolve(__dirname, '..', file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, `${JSON.stringify(history, null, 2)}\n`);
+  return target;
+};
+
+/**
+ * Append a run, dropping the oldest beyond maxRuns
+ * @param {object} history - { runs, alerts }
+ * @param {object} run - summarizeRun result
+ * @param {number} maxRuns - Runs kept
+ * @returns {object} - New history
+ */
+const recordRun = (history, run, maxRuns = config.monitor.maxRuns) => ({
+  ...history,
+  runs: [...history.runs, run].slice(-maxRuns)
+});
+
+const streakOf = (runs, failing) => {
+  const last = failing(runs[runs.length - 1]);
+  let count = 0;
+  while (count < runs.length && failing(runs[runs.length - 1 - count]) === last) {
+    count += 1;
+  }
+  return { failing: last, count, since: runs[runs.length - count].startedAt };
+};
+
+const describeEvent = (type, condition, run, count) => {
+  if (type === 'failure') {
+    const more = run.failed > 1 ? ` and ${run.failed - 1} more` : '';
+    return `tests failing for ${count} runs: ${run.failures[0]}${more}`;
+  }
+  if (type === 'latency') {
+    return `latency over budget for ${count} runs: ${run.breaches.join('; ')}`;
+  }
+  return `${condition === 'tests' ? 'tests passing' : 'latency within budget'} again for ${count} runs`;
+};
+
+/**
+ * Work out alert state changes after the latest run. A condition only
+ * starts alerting after alertAfter failing runs in a row, and only
+ * recovers after recoverAfter clean runs in a row, so a single blip
+ * neither pages nor ends an alert.
+ * @param {object} history - { runs, alerts } including the latest run
+ * @param {object} settings - config.monitor
+ * @returns {object} - { alerts, events }; events are failure, latency or
+ *   recovery, in CONDITIONS order
+ */
+const evaluateAlerts = (history, settings = config.monitor) => {
+  const run = history.runs[history.runs.length - 1];
+  const alerts = { ...history.alerts };
+  const events = [];
+  if (!run) {
+    return { alerts, events };
+  }
+
+  Object.entries(CONDITIONS).forEach(([condition, { event, failing }]) => {
+    const streak = streakOf(history.runs, failing);
+    const current = alerts[condition];
+    let type = null;
+    if (current.status === 'ok' && streak.failing && streak.count >= settings.alertAfter) {
+      type = event;
+    } else if (current.status === 'alerting' && !streak.failing && streak.count >= settings.recoverAfter) {
+      type = 'recovery';
+    }
+    if (type) {
+      alerts[condition] = { status: type === 'recovery' ? 'ok' : 'alerting', since: streak.since };
+      events.push({
+        type,
+        condition,
+        since: streak.since,
+        runs: streak.count,
+        text: describeEvent(type, condition, run, streak.count),
+        failures: run.failures,
+        breaches: run.breaches
+      });
+    }
+  });
+
+  return { alerts, events };
+};
+
+/**
+ * Post an alert event to the webhook. Delivery problems are logged rather
+ * than thrown, so the monitor keeps running.
+ * @param {string} url - Webhook URL
+ * @param {object} event - Event from evaluateAlerts
+ * @param {object} settings - config.monitor
+ * @returns {Promise<boolean>} - Whether the webhook accepted the event
+ */
+const sendAlert = async (url, event, settings = config.monitor) => {
+  const payload = {
+    ...event,
+    environment: config.environment,
+    text: `[${config.environment}] ${event.type}: ${event.text}`
+  };
+  try {
+    await axios.post(url, payload, { timeout: settings.webhookTimeout });
+    logger.info('Alert sent', { type: event.type, condition: event.condition });
+    return true;
+  } catch (error) {
+    logger.error('Alert webhook failed', { url, type: event.type, error: error.message });
+    return false;
+  }
+};
+
+/**
+ * One line summarizing a run
+ * @param {object} run - summarizeRun result
+ * @returns {string} - e.g. '2024-01-01T12:00:00.000Z 40/42 passed, latency ok'
+ */
+const formatRun = (run) => `${run.startedAt} ${run.passed}/${run.tests} passed, ` +
+  (run.breaches.length > 0 ? `latency over budget (${run.breaches.join('; ')})` : 'latency ok');
+
+module.exports = {
+  summarizeRun,
+  failedRun,
+  loadHistory,
+  saveHistory,
+  recordRun,
+  evaluateAlerts,
+  sendAlert,
+  formatRun
+};
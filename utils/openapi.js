@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validate, FORMATS } = require('./schema');
+const { validationResult } = require('./validation');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// OpenAPI format names that map onto a named format in utils/schema.js
+const FORMAT_ALIASES = {
+  uri: 'url'
+};
+
+const specCache = new Map();
+const operationCache = new WeakMap();
+
+/**
+ * Load an OpenAPI 3 document from a JSON or YAML file
+ * @param {string} file - Absolute path of the document
+ * @returns {object} - Parsed document
+ */
+const loadSpec = (file) => {
+  if (!specCache.has(file)) {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read OpenAPI document ${file}: ${error.message}`);
+    }
+
+    const spec = /\.ya?ml$/i.test(file) ? yaml.load(raw) : JSON.parse(raw);
+    if (!spec || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+      throw new Error(`${file} is not an OpenAPI 3 document`);
+    }
+    specCache.set(file, spec);
+  }
+  return specCache.get(file);
+};
+
+/**
+ * Follow a local "#/..." reference
+ * @param {object} spec - OpenAPI document
+ * @param {string} ref - Reference string
+ * @returns {object} - Referenced node
+ */
+const resolveRef = (spec, ref) => {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local references are supported, got ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolved reference ${ref}`);
+    }
+    return node[key];
+  }, spec);
+};
+
+const deref = (spec, node) => (node && node.$ref ? deref(spec, resolveRef(spec, node.$ref)) : node);
+
+/**
+ * Convert an OpenAPI schema object into the config.schemas language
+ * @param {object} spec - OpenAPI document
+ * @param {object} node - OpenAPI schema object
+ * @param {Map} converted - Already converted references, shared across calls
+ * @returns {object} - Schema for utils/schema.js
+ */
+const convertSchema = (spec, node, converted = new Map()) => {
+  if (node.$ref) {
+    if (!converted.has(node.$ref)) {
+      const target = {};
+      converted.set(node.$ref, target);
+      Object.assign(target, convertSchema(spec, resolveRef(spec, node.$ref), converted));
+    }
+    return converted.get(node.$ref);
+  }
+
+  const schema = {};
+  ['type', 'enum', 'minimum', 'maximum', 'minLength', 'minItems', 'nullable'].forEach(key => {
+    if (node[key] !== undefined) {
+      schema[key] = node[key];
+    }
+  });
+
+  if (node.pattern) {
+    schema.pattern = new RegExp(node.pattern);
+  }
+  const format = FORMAT_ALIASES[node.format] || node.format;
+  if (format && FORMATS[format]) {
+    schema.format = format;
+  }
+
+  if (node.items) {
+    schema.items = convertSchema(spec, node.items, converted);
+  }
+
+  if (node.properties) {
+    schema.type = schema.type || 'object';
+    schema.required = node.required || [];
+    schema.properties = {};
+    Object.entries(node.properties).forEach(([name, property]) => {
+      schema.properties[name] = convertSchema(spec, property, converted);
+    });
+  }
+  if (node.additionalProperties === false) {
+    schema.additionalProperties = false;
+  }
+
+  return schema;
+};
+
+/**
+ * List every operation in the document with a matcher for concrete paths
+ * @param {object} spec - OpenAPI document
+ * @returns {object[]} - Operations
+ */
+const listOperations = (spec) => {
+  if (operationCache.has(spec)) {
+    return operationCache.get(spec);
+  }
+
+  const operations = [];
+  Object.entries(spec.paths || {}).forEach(([template, item]) => {
+    const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^/]+?\}/g, '[^/]+');
+    HTTP_METHODS.filter(method => item[method]).forEach(method => {
+      operations.push({
+        key: `${method.toUpperCase()} ${template}`,
+        method: method.toUpperCase(),
+        path: template,
+        matcher: new RegExp(`^${source}$`),
+        operationId: item[method].operationId,
+        parameters: [...(item.parameters || []), ...(item[method].parameters || [])].map(param => deref(spec, param)),
+        security: item[method].security || spec.security || [],
+        responses: item[method].responses || {}
+      });
+    });
+  });
+  operationCache.set(spec, operations);
+  return operations;
+};
+
+/**
+ * Generate config.endpoints and config.schemas entries from the document.
+ * Endpoints are keyed by operationId, schemas by component name.
+ * @param {object} spec - OpenAPI document
+ * @returns {object} - Generated endpoints and schemas
+ */
+const generateConfig = (spec) => {
+  const converted = new Map();
+  const endpoints = {};
+  const schemas = {};
+
+  listOperations(spec).forEach(operation => {
+    if (operation.operationId) {
+      endpoints[operation.operationId] = operation.path;
+    }
+  });
+
+  Object.keys((spec.components && spec.components.schemas) || {}).forEach(name => {
+    schemas[name] = convertSchema(spec, { $ref: `#/components/schemas/${name}` }, converted);
+  });
+
+  return { endpoints, schemas };
+};
+
+/**
+ * Find the operation serving a request
+ * @param {object} spec - OpenAPI document
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Request path, optionally with a query string
+ * @returns {object|null} - Matching operation
+ */
+const findOperation = (spec, method, endpoint) => {
+  const pathname = endpoint.split('?')[0];
+  return listOperations(spec)
+    .find(operation => operation.method === method.toUpperCase() && operation.matcher.test(pathname)) || null;
+};
+
+/**
+ * Validate a response against the documented response of its operation
+ * @param {object} spec - OpenAPI document
+ * @param {object} operation - Operation from findOperation
+ * @param {object} response - Response with status, headers and data
+ * @returns {object} - Validation result
+ */
+const validateResponse = (spec, operation, response) => {
+  const status = String(response.status);
+  const documented = operation.responses[status] ||
+    operation.responses[`${status[0]}XX`] ||
+    operation.responses.default;
+
+  if (!documented) {
+    return validationResult([`status ${status} is not documented for ${operation.key}`]);
+  }
+
+  const content = deref(spec, documented).content || {};
+  const mediaTypes = Object.keys(content);
+  if (mediaTypes.length === 0) {
+    return validationResult([]);
+  }
+
+  const contentType = String((response.headers || {})['content-type'] || '').split(';')[0].trim();
+  const media = content[contentType];
+  if (!media) {
+    return validationResult([`content-type "${contentType}" is not documented for ${operation.key} ${status} (expected ${mediaTypes.join(', ')})`]);
+  }
+  if (!media.schema) {
+    return validationResult([]);
+  }
+
+  return validate(response.data, convertSchema(spec, media.schema));
+};
+
+/**
+ * Resolve a spec path from config to an absolute file path
+ * @param {string} file - Path relative to the repository root
+ * @returns {string} - Absolute path
+ */
+const resolveSpecPath = (file) => path.resolve(__dirname, '..', file);
+
+module.exports = {
+  loadSpec,
+  resolveSpecPath,
+  convertSchema,
+  generateConfig,
+  listOperations,
+  findOperation,
+  validateResponse
+};
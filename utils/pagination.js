@@ -0,0 +1,164 @@
+const config = require('../config/config');
+const { makeRequest } = require('./utils');
+const { compareDecimals } = require('./decimal');
+const { validationResult } = require('./validation');
+
+/**
+ * Append query parameters to an endpoint, leaving out undefined values
+ * @param {string} endpoint - API endpoint
+ * @param {object} params - Query parameters
+ * @returns {string} - Endpoint with query string
+ */
+const listEndpoint = (endpoint, params = {}) => {
+  const query = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) {
+      query[key] = value;
+    }
+  });
+  const search = new URLSearchParams(query).toString();
+  return search ? `${endpoint}?${search}` : endpoint;
+};
+
+const isNumeric = (value) => typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value);
+
+/**
+ * Compare two field values the way the API sorts them: numeric strings
+ * by value, everything else as text
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  if (isNumeric(a) && isNumeric(b)) {
+    return compareDecimals(a, b);
+  }
+  return String(a).localeCompare(String(b));
+};
+
+/**
+ * Check that items are ordered by a field
+ * @param {object[]} items - List items
+ * @param {string} field - Sort field
+ * @param {string} order - asc or desc
+ * @returns {object} - Validation result with one error per inversion
+ */
+const checkSorted = (items, field, order = 'asc') => {
+  const direction = order === 'desc' ? -1 : 1;
+  const errors = [];
+  for (let i = 1; i < items.length; i++) {
+    if (direction * compareValues(items[i - 1][field], items[i][field]) > 0) {
+      errors.push(`[${i}].${field}: ${items[i][field]} out of ${order} order after ${items[i - 1][field]}`);
+    }
+  }
+  return validationResult(errors);
+};
+
+/**
+ * Walk every page of a list endpoint, by offset or by cursor
+ * @param {string} endpoint - List endpoint without query string
+ * @param {object} options - Pager settings
+ * @param {string} options.key - Response property holding the items, e.g. 'tokens'
+ * @param {string} options.mode - 'offset' or 'cursor' (default offset)
+ * @param {number} options.limit - Page size, defaults to config.pagination.pageSize
+ * @param {object} options.params - Extra query parameters (sort, order, search)
+ * @param {number} options.maxPages - Stop after this many pages, defaults to config.pagination.maxPages
+ * @returns {Promise<object>} - Items in page order, one entry per page and errors
+ */
+const fetchAllPages = async (endpoint, options) => {
+  const { key, mode = 'offset', params = {} } = options;
+  const limit = options.limit || config.pagination.pageSize;
+  const maxPages = options.maxPages || config.pagination.maxPages;
+  const items = [];
+  const pages = [];
+  const errors = [];
+  let offset = 0;
+  let cursor;
+
+  while (pages.length < maxPages) {
+    const position = mode === 'cursor' ? { cursor } : { offset };
+    const response = await makeRequest(listEndpoint(endpoint, { ...params, limit, ...position }));
+    const page = response.status === 200 && Array.isArray(response.data[key]) ? response.data[key] : null;
+    if (!page) {
+      errors.push(`page ${pages.length + 1}: status ${response.status}, no ${key} array`);
+      return { items, pages, errors };
+    }
+
+    const pagination = response.data.pagination || {};
+    pages.push({ ...position, count: page.length, total: pagination.total, nextCursor: pagination.nextCursor });
+    items.push(...page);
+    offset += page.length;
+    cursor = pagination.nextCursor;
+
+    const done = mode === 'cursor'
+      ? !cursor
+      : page.length < limit || (pagination.total !== undefined && offset >= pagination.total);
+    if (done) {
+      return { items, pages, errors };
+    }
+  }
+
+  errors.push(`stopped after ${maxPages} pages without reaching the end`);
+  return { items, pages, errors };
+};
+
+/**
+ * Check a walk from fetchAllPages: no duplicates, no gaps, the same total
+ * on every page, full pages before the last one and, when a reference
+ * listing is given, the same order as that listing
+ * @param {object} result - Result of fetchAllPages
+ * @param {object} options - Checks to run
+ * @param {number} options.limit - Page size the walk used
+ * @param {object[]} options.expected - Reference items, e.g. the unpaginated list
+ * @param {string} options.idKey - Identity field (default id)
+ * @returns {object} - Validation result
+ */
+const checkPages = (result, options = {}) => {
+  const idKey = options.idKey || 'id';
+  const errors = [...result.errors];
+  const ids = result.items.map(item => item[idKey]);
+
+  const seen = new Set();
+  ids.forEach((id, index) => {
+    if (seen.has(id)) {
+      errors.push(`[${index}]: duplicate ${idKey} ${id}`);
+    }
+    seen.add(id);
+  });
+
+  const totals = [...new Set(result.pages.map(page => page.total))];
+  if (totals.length > 1) {
+    errors.push(`total changed between pages: ${totals.join(', ')}`);
+  } else if (totals[0] !== undefined && totals[0] !== ids.length) {
+    errors.push(`walked ${ids.length} items, total is ${totals[0]}`);
+  }
+
+  if (options.limit) {
+    result.pages.slice(0, -1).forEach((page, index) => {
+      if (page.count !== options.limit) {
+        errors.push(`page ${index + 1}: ${page.count} items before the last page, limit is ${options.limit}`);
+      }
+    });
+  }
+
+  if (options.expected) {
+    const expectedIds = options.expected.map(item => item[idKey]);
+    expectedIds.filter(id => !seen.has(id)).forEach(id => {
+      errors.push(`missing ${idKey} ${id}`);
+    });
+    const mismatch = ids.findIndex((id, index) => id !== expectedIds[index]);
+    if (mismatch !== -1 && ids.length === expectedIds.length) {
+      errors.push(`[${mismatch}]: order differs from the reference listing (${ids[mismatch]} vs ${expectedIds[mismatch]})`);
+    }
+  }
+
+  return validationResult(errors);
+};
+
+module.exports = {
+  listEndpoint,
+  compareValues,
+  checkSorted,
+  fetchAllPages,
+  checkPages
+};
@@ -0,0 +1,266 @@
+const path = require('path');
+const { findOperation } = require('./openapi');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const stripAnsi = (text) => String(text).replace(/\u001b\[[0-9;]*m/g, '');
+
+const escapeXml = (text) => stripAnsi(text)
+  .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+const isFailure = (exchange) => exchange.status === 0 || exchange.status >= 400;
+
+/**
+ * Key an exchange by the documented operation it hit, or by method and path
+ * @param {object} exchange - Traced exchange
+ * @param {object} spec - OpenAPI document, optional
+ * @returns {string} - Endpoint key, e.g. 'GET /api/token-pairs/{id}'
+ */
+const endpointKey = (exchange, spec) => {
+  const operation = spec ? findOperation(spec, exchange.method, exchange.endpoint) : null;
+  return operation ? operation.key : `${exchange.method} ${exchange.endpoint.split('?')[0]}`;
+};
+
+/**
+ * Merge Jest results with the traces recorded by the test workers
+ * @param {object} results - Aggregated results passed to a Jest reporter
+ * @param {Map} traces - Traces from readTraces
+ * @param {object} spec - OpenAPI document used to group endpoints, optional
+ * @returns {object} - Summary, per-endpoint totals and per-file test details
+ */
+const buildReport = (results, traces, spec = null) => {
+  const endpoints = new Map();
+  const files = results.testResults.map(file => {
+    const tests = file.testResults.map(test => {
+      const trace = traces.get(`${file.testFilePath}::${test.fullName}`) || { exchanges: [], validations: [] };
+      const keys = new Set();
+      trace.exchanges.forEach(exchange => {
+        const key = endpointKey(exchange, spec);
+        if (!endpoints.has(key)) {
+          endpoints.set(key, { key, tests: 0, passed: 0, failed: 0, requests: 0, errors: 0 });
+        }
+        const entry = endpoints.get(key);
+        entry.requests += 1;
+        entry.errors += isFailure(exchange) ? 1 : 0;
+        keys.add(key);
+      });
+      keys.forEach(key => {
+        const entry = endpoints.get(key);
+        entry.tests += 1;
+        entry.passed += test.status === 'passed' ? 1 : 0;
+        entry.failed += test.status === 'failed' ? 1 : 0;
+      });
+
+      return {
+        name: test.title,
+        suite: test.ancestorTitles.join(' › '),
+        status: test.status,
+        duration: test.duration || 0,
+        failures: test.failureMessages.map(stripAnsi),
+        exchanges: trace.exchanges,
+        validations: trace.validations
+      };
+    });
+
+    if (file.testExecError) {
+      tests.push({
+        name: '(test file)',
+        suite: '',
+        status: 'failed',
+        duration: 0,
+        failures: [stripAnsi(file.testExecError.message || file.failureMessage)],
+        exchanges: [],
+        validations: []
+      });
+    }
+
+    return {
+      path: path.relative(ROOT, file.testFilePath),
+      duration: file.perfStats ? file.perfStats.end - file.perfStats.start : 0,
+      tests
+    };
+  });
+
+  const all = files.flatMap(file => file.tests);
+  return {
+    summary: {
+      tests: all.length,
+      passed: all.filter(test => test.status === 'passed').length,
+      failed: all.filter(test => test.status === 'failed').length,
+      skipped: all.filter(test => test.status !== 'passed' && test.status !== 'failed').length,
+      duration: results.startTime ? Date.now() - results.startTime : files.reduce((sum, file) => sum + file.duration, 0),
+      startedAt: new Date(results.startTime || Date.now()).toISOString()
+    },
+    endpoints: [...endpoints.values()].sort((a, b) => a.key.localeCompare(b.key)),
+    files
+  };
+};
+
+/**
+ * One line per exchange and validation error, for JUnit system-out
+ * @param {object} test - Test from buildReport
+ * @returns {string} - Trace text
+ */
+const traceLines = (test) => [
+  ...test.exchanges.map(exchange => `${exchange.method} ${exchange.url} -> ${exchange.status} ` +
+    `(${exchange.latency.toFixed(1)}ms${exchange.errorKind ? `, ${exchange.errorKind}` : ''})` +
+    (exchange.responseBody ? `\n  ${exchange.responseBody}` : '')),
+  ...test.validations.flatMap(validation => validation.errors.map(error => `${validation.source} ${validation.target}: ${error}`))
+].join('\n');
+
+/**
+ * Render a report as JUnit XML
+ * @param {object} report - Report from buildReport
+ * @returns {string} - XML document
+ */
+const renderJunit = (report) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="theta-chain-api-test-suite" tests="${report.summary.tests}" failures="${report.summary.failed}" ` +
+      `skipped="${report.summary.skipped}" time="${seconds(report.summary.duration)}">`
+  ];
+
+  report.files.forEach(file => {
+    const failed = file.tests.filter(test => test.status === 'failed').length;
+    const skipped = file.tests.filter(test => test.status !== 'passed' && test.status !== 'failed').length;
+    lines.push(`  <testsuite name="${escapeXml(file.path)}" tests="${file.tests.length}" failures="${failed}" ` +
+      `skipped="${skipped}" time="${seconds(file.duration)}" timestamp="${report.summary.startedAt}">`);
+
+    file.tests.forEach(test => {
+      lines.push(`    <testcase classname="${escapeXml(test.suite || file.path)}" name="${escapeXml(test.name)}" ` +
+        `time="${seconds(test.duration)}">`);
+      if (test.status === 'failed') {
+        const message = (test.failures[0] || 'failed').split('\n')[0];
+        lines.push(`      <failure message="${escapeXml(message)}">${escapeXml(test.failures.join('\n\n'))}</failure>`);
+      } else if (test.status !== 'passed') {
+        lines.push('      <skipped/>');
+      }
+      const trace = traceLines(test);
+      if (trace) {
+        lines.push(`      <system-out>${escapeXml(trace)}</system-out>`);
+      }
+      lines.push('    </testcase>');
+    });
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeHtml = (text) => stripAnsi(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const STYLE = `
+body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { margin-bottom: 0.25rem; }
+table { border-collapse: collapse; margin: 1rem 0; width: 100%; }
+th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+th { background: #f6f8fa; }
+.passed { color: #1a7f37; }
+.failed { color: #cf222e; }
+.skipped { color: #9a6700; }
+.cards span { display: inline-block; margin-right: 1.5rem; font-size: 1.1rem; }
+details { margin: 0.3rem 0 0.3rem 1rem; }
+summary { cursor: pointer; }
+pre { background: #f6f8fa; padding: 0.5rem; white-space: pre-wrap; word-break: break-all; margin: 0.3rem 0; }
+`;
+
+const statusClass = (status) => (status === 'passed' || status === 'failed' ? status : 'skipped');
+
+/**
+ * Render the HTML for one test
+ * @param {object} test - Test from buildReport
+ * @returns {string} - HTML fragment
+ */
+const renderTest = (test) => {
+  const parts = [
+    `<details${test.status === 'failed' ? ' open' : ''}>`,
+    `<summary><span class="${statusClass(test.status)}">${escapeHtml(test.status)}</span> ` +
+      `${escapeHtml(test.suite ? `${test.suite} › ` : '')}${escapeHtml(test.name)} (${test.duration} ms)</summary>`
+  ];
+  test.failures.forEach(failure => parts.push(`<pre class="failed">${escapeHtml(failure)}</pre>`));
+
+  if (test.validations.length > 0) {
+    parts.push('<ul>');
+    test.validations.forEach(validation => validation.errors.forEach(error => {
+      parts.push(`<li class="failed">${escapeHtml(validation.source)} ${escapeHtml(validation.target)}: ${escapeHtml(error)}</li>`);
+    }));
+    parts.push('</ul>');
+  }
+
+  if (test.exchanges.length > 0) {
+    parts.push('<table><tr><th>Method</th><th>URL</th><th>Status</th><th>Latency</th><th>Bodies</th></tr>');
+    test.exchanges.forEach(exchange => {
+      const bodies = [['request', exchange.requestBody], ['response', exchange.responseBody]]
+        .filter(([, body]) => body)
+        .map(([label, body]) => `<details><summary>${label}</summary><pre>${escapeHtml(body)}</pre></details>`)
+        .join('');
+      parts.push(`<tr><td>${escapeHtml(exchange.method)}</td><td>${escapeHtml(exchange.url)}</td>` +
+        `<td class="${isFailure(exchange) ? 'failed' : 'passed'}">${exchange.status}` +
+        `${exchange.errorKind ? ` ${escapeHtml(exchange.errorKind)}` : ''}${exchange.replayed ? ' (replayed)' : ''}</td>` +
+        `<td>${exchange.latency.toFixed(1)} ms</td><td>${bodies}</td></tr>`);
+    });
+    parts.push('</table>');
+  }
+
+  parts.push('</details>');
+  return parts.join('\n');
+};
+
+/**
+ * Render a report as a self-contained HTML page
+ * @param {object} report - Report from buildReport
+ * @returns {string} - HTML document
+ */
+const renderHtml = (report) => {
+  const { summary } = report;
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8"><title>Theta Chain API Test Report</title>',
+    `<style>${STYLE}</style></head><body>`,
+    '<h1>Theta Chain API Test Report</h1>',
+    `<p>${escapeHtml(summary.startedAt)} · ${seconds(summary.duration)} s</p>`,
+    `<p class="cards"><span>${summary.tests} tests</span><span class="passed">${summary.passed} passed</span>` +
+      `<span class="failed">${summary.failed} failed</span><span class="skipped">${summary.skipped} skipped</span></p>`,
+    '<h2>Endpoints</h2>',
+    '<table><tr><th>Endpoint</th><th>Tests</th><th>Passed</th><th>Failed</th><th>Requests</th><th>Error responses</th></tr>'
+  ];
+  report.endpoints.forEach(endpoint => {
+    parts.push(`<tr><td>${escapeHtml(endpoint.key)}</td><td>${endpoint.tests}</td>` +
+      `<td class="passed">${endpoint.passed}</td><td class="${endpoint.failed ? 'failed' : ''}">${endpoint.failed}</td>` +
+      `<td>${endpoint.requests}</td><td>${endpoint.errors}</td></tr>`);
+  });
+  parts.push('</table>', '<h2>Tests</h2>');
+
+  report.files.forEach(file => {
+    const failed = file.tests.filter(test => test.status === 'failed').length;
+    parts.push(`<details${failed ? ' open' : ''}><summary><strong>${escapeHtml(file.path)}</strong> ` +
+      `(${file.tests.length} tests, <span class="${failed ? 'failed' : 'passed'}">${failed} failed</span>)</summary>`);
+    file.tests.forEach(test => parts.push(renderTest(test)));
+    parts.push('</details>');
+  });
+
+  parts.push('</body></html>');
+  return `${parts.join('\n')}\n`;
+};
+
+module.exports = {
+  STYLE,
+  escapeHtml,
+  endpointKey,
+  isFailure,
+  buildReport,
+  renderJunit,
+  renderHtml
+};
@@ -0,0 +1,135 @@
+// Retry and circuit-breaker policy used by makeRequest (see config.retry
+// and config.circuitBreaker)
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Decide whether a response should be retried under a policy
+ * @param {object} policy - Retry policy
+ * @param {string} method - HTTP method
+ * @param {object} response - Response from sendRequest
+ * @returns {boolean} - True when another attempt is allowed
+ */
+const isRetryable = (policy, method, response) => {
+  if (!IDEMPOTENT_METHODS.includes(method)) {
+    return false;
+  }
+  if (response.status === 0) {
+    return policy.errorCodes.includes(response.code);
+  }
+  return policy.statuses.includes(response.status);
+};
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Delay in ms, or null when absent or unparsable
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Delay before the next attempt: Retry-After when the server sent one,
+ * otherwise exponential backoff with jitter, capped at maxDelay
+ * @param {object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @param {object} headers - Response headers
+ * @returns {number} - Delay in ms
+ */
+const retryDelay = (policy, attempt, headers = {}) => {
+  const retryAfter = policy.respectRetryAfter ? parseRetryAfter(headers['retry-after']) : null;
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, policy.maxDelay);
+  }
+
+  const backoff = Math.min(policy.baseDelay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+  const jitter = backoff * policy.jitter * Math.random();
+  return Math.round(backoff - jitter);
+};
+
+/**
+ * Create a registry of per-endpoint circuit breakers.
+ * A breaker opens after `threshold` consecutive outage responses, rejects
+ * calls for `resetTimeout` ms, then lets one trial call through (half-open):
+ * success closes it again, another outage reopens it.
+ * @param {object} options - Breaker settings from config.circuitBreaker
+ * @returns {object} - Registry
+ */
+const createCircuitBreakers = (options) => {
+  const circuits = new Map();
+
+  const get = (key) => {
+    if (!circuits.has(key)) {
+      circuits.set(key, { state: 'closed', failures: 0, openedAt: 0 });
+    }
+    return circuits.get(key);
+  };
+
+  const isOutage = (response) => response.status === 0 || options.failureStatuses.includes(response.status);
+
+  return {
+    /**
+     * Check whether a call may go through, moving open circuits to half-open
+     * once the reset timeout has passed
+     * @param {string} key - Endpoint key
+     * @returns {boolean} - True when the call is allowed
+     */
+    allow: (key) => {
+      if (!options.enabled) {
+        return true;
+      }
+      const circuit = get(key);
+      if (circuit.state === 'open' && Date.now() - circuit.openedAt >= options.resetTimeout) {
+        circuit.state = 'half-open';
+        return true;
+      }
+      return circuit.state !== 'open';
+    },
+
+    /**
+     * Feed a response into the endpoint's breaker
+     * @param {string} key - Endpoint key
+     * @param {object} response - Final response of the call
+     */
+    record: (key, response) => {
+      if (!options.enabled) {
+        return;
+      }
+      const circuit = get(key);
+      if (!isOutage(response)) {
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        return;
+      }
+      circuit.failures += 1;
+      if (circuit.state === 'half-open' || circuit.failures >= options.threshold) {
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+      }
+    },
+
+    state: (key) => get(key).state,
+
+    reset: () => circuits.clear()
+  };
+};
+
+module.exports = {
+  IDEMPOTENT_METHODS,
+  sleep,
+  isRetryable,
+  parseRetryAfter,
+  retryDelay,
+  createCircuitBreakers
+};
@@ -0,0 +1,382 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { summarize } = require('./stats');
+const { STYLE, escapeHtml, endpointKey, isFailure } = require('./report');
+
+// Run history (see config.runs): jest/reporter.js keeps a record of every run
+// with per-test results and per-request latency, so runs can be compared
+// with each other (scripts/runs.js compare) and charted over time (trend)
+
+const runsDir = (dir = config.runs.dir) => path.resolve(__dirname, '..', dir);
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+/**
+ * Reduce a report to the record kept for the run
+ * @param {object} report - Report from buildReport
+ * @param {object} spec - OpenAPI document used to group endpoints, optional
+ * @returns {object} - id, startedAt, environment, the test files run,
+ *   duration, summary and tests with their status, duration and requests
+ *   (endpoint, status, latency)
+ */
+const buildRunRecord = (report, spec = null) => ({
+  id: report.summary.startedAt.replace(/[:.]/g, '-'),
+  startedAt: report.summary.startedAt,
+  environment: config.environment,
+  files: report.files.map(file => file.path).sort(),
+  duration: report.summary.duration,
+  summary: {
+    tests: report.summary.tests,
+    passed: report.summary.passed,
+    failed: report.summary.failed,
+    skipped: report.summary.skipped
+  },
+  tests: report.files.flatMap(file => file.tests.map(test => ({
+    id: [file.path, test.suite, test.name].filter(Boolean).join(' › '),
+    status: test.status,
+    duration: test.duration,
+    requests: test.exchanges.map(exchange => ({
+      endpoint: endpointKey(exchange, spec),
+      status: exchange.status,
+      latency: typeof exchange.latency === 'number' ? round(exchange.latency) : null
+    }))
+  })))
+});
+
+/**
+ * List the ids of the recorded runs
+ * @param {string} dir - Runs directory relative to the project root
+ * @returns {string[]} - Ids, oldest first
+ */
+const listRuns = (dir = config.runs.dir) => {
+  const target = runsDir(dir);
+  if (!fs.existsSync(target)) {
+    return [];
+  }
+  return fs.readdirSync(target)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length))
+    .sort();
+};
+
+/**
+ * Record a run and remove the oldest runs beyond keep
+ * @param {object} record - Record from buildRunRecord
+ * @param {string} dir - Runs directory relative to the project root
+ * @param {number} keep - Runs kept
+ * @returns {string} - Absolute path written
+ */
+const saveRun = (record, dir = config.runs.dir, keep = config.runs.keep) => {
+  const target = path.join(runsDir(dir), `${record.id}.json`);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, `${JSON.stringify(record)}\n`);
+  const ids = listRuns(dir);
+  ids.slice(0, Math.max(0, ids.length - keep)).forEach(id => {
+    fs.rmSync(path.join(runsDir(dir), `${id}.json`), { force: true });
+  });
+  return target;
+};
+
+/**
+ * Load a recorded run
+ * @param {string} ref - Run id, or how many runs before the latest ('0' is
+ *   the latest, '1' the one before)
+ * @param {string} dir - Runs directory relative to the project root
+ * @returns {object} - Record from buildRunRecord
+ */
+const loadRun = (ref, dir = config.runs.dir) => {
+  const ids = listRuns(dir);
+  const id = /^\d+$/.test(String(ref)) ? ids[ids.length - 1 - Number(ref)] : ref;
+  if (!id || !ids.includes(id)) {
+    throw new Error(`No recorded run "${ref}" in ${dir} (${ids.length} runs)`);
+  }
+  return JSON.parse(fs.readFileSync(path.join(runsDir(dir), `${id}.json`), 'utf8'));
+};
+
+/**
+ * Whether two runs can be compared: same environment and same test files,
+ * so a partial run or one against another backend is never taken for a
+ * regression
+ * @param {object} base - Record from buildRunRecord
+ * @param {object} head - Record from buildRunRecord
+ * @returns {boolean} - True when comparable
+ */
+const isComparable = (base, head) => base.environment === head.environment &&
+  JSON.stringify(base.files || []) === JSON.stringify(head.files || []);
+
+/**
+ * The latest runs comparable with a run, up to and including it
+ * @param {object} head - Record from buildRunRecord
+ * @param {number} count - Runs wanted, head included
+ * @param {string} dir - Runs directory relative to the project root
+ * @returns {object[]} - Records, oldest first
+ */
+const comparableRuns = (head, count, dir = config.runs.dir) => {
+  const found = [head];
+  const ids = listRuns(dir).filter(id => id < head.id);
+  for (let index = ids.length - 1; index >= 0 && found.length < count; index -= 1) {
+    const record = loadRun(ids[index], dir);
+    if (isComparable(record, head)) {
+      found.unshift(record);
+    }
+  }
+  return found;
+};
+
+/**
+ * Latency and error statistics per endpoint of a run
+ * @param {object} record - Record from buildRunRecord
+ * @returns {Map} - Endpoint key to { requests, errors, median, p95 }
+ */
+const endpointStats = (record) => {
+  const requests = new Map();
+  record.tests.forEach(test => test.requests.forEach(request => {
+    if (!requests.has(request.endpoint)) {
+      requests.set(request.endpoint, []);
+    }
+    requests.get(request.endpoint).push(request);
+  }));
+  return new Map([...requests.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([key, list]) => {
+    const stats = summarize(list.map(request => request.latency).filter(latency => latency !== null));
+    return [key, {
+      requests: list.length,
+      errors: list.filter(isFailure).length,
+      median: round(stats.median),
+      p95: round(stats.p95)
+    }];
+  }));
+};
+
+const delta = (base, head) => (base === null || head === null ? null : round(head - base));
+
+/**
+ * Compare two runs: tests that started or stopped failing, and the latency
+ * of every endpoint either run called. Tests that ran in only one of the
+ * runs are counted, not compared.
+ * @param {object} base - Earlier record
+ * @param {object} head - Later record
+ * @returns {object} - newlyFailing, fixed and stillFailing test ids, onlyInBase
+ *   and onlyInHead counts, and per-endpoint base/head stats with deltas
+ */
+const compareRuns = (base, head) => {
+  const before = new Map(base.tests.map(test => [test.id, test.status]));
+  const after = new Map(head.tests.map(test => [test.id, test.status]));
+  const shared = head.tests.filter(test => before.has(test.id));
+  const ids = (from, to) => shared
+    .filter(test => before.get(test.id) === from && test.status === to)
+    .map(test => test.id);
+
+  const baseStats = endpointStats(base);
+  const headStats = endpointStats(head);
+  const keys = [...new Set([...baseStats.keys(), ...headStats.keys()])].sort();
+
+  return {
+    base: { id: base.id, startedAt: base.startedAt, summary: base.summary },
+    head: { id: head.id, startedAt: head.startedAt, summary: head.summary },
+    newlyFailing: ids('passed', 'failed'),
+    fixed: ids('failed', 'passed'),
+    stillFailing: ids('failed', 'failed'),
+    onlyInBase: base.tests.filter(test => !after.has(test.id)).length,
+    onlyInHead: head.tests.length - shared.length,
+    endpoints: keys.map(key => {
+      const from = baseStats.get(key) || null;
+      const to = headStats.get(key) || null;
+      return {
+        key,
+        base: from,
+        head: to,
+        median: delta(from && from.median, to && to.median),
+        p95: delta(from && from.p95, to && to.p95)
+      };
+    })
+  };
+};
+
+const ms = (value) => (value === null ? '-' : `${value.toFixed(1)}ms`);
+
+const signed = (value, base) => {
+  if (value === null) {
+    return '';
+  }
+  const percent = base ? ` ${value >= 0 ? '+' : ''}${Math.round((value / base) * 100)}%` : '';
+  return ` (${value >= 0 ? '+' : ''}${value.toFixed(1)}ms${percent})`;
+};
+
+/**
+ * Render a comparison as text
+ * @param {object} comparison - Result of compareRuns
+ * @returns {string} - Report
+ */
+const formatComparison = (comparison) => {
+  const { base, head } = comparison;
+  const lines = [
+    `Base ${base.id}: ${base.summary.passed}/${base.summary.tests} passed`,
+    `Head ${head.id}: ${head.summary.passed}/${head.summary.tests} passed`
+  ];
+  [['Newly failing', comparison.newlyFailing], ['Fixed', comparison.fixed], ['Still failing', comparison.stillFailing]]
+    .forEach(([label, ids]) => {
+      lines.push('', `${label} (${ids.length})`, ...ids.map(id => `  ${id}`));
+    });
+  if (comparison.onlyInBase > 0 || comparison.onlyInHead > 0) {
+    lines.push('', `Not compared: ${comparison.onlyInBase} tests only in base, ${comparison.onlyInHead} only in head`);
+  }
+
+  lines.push('', 'Endpoints (median, p95)');
+  comparison.endpoints.forEach(endpoint => {
+    const from = endpoint.base || { median: null, p95: null };
+    const to = endpoint.head || { median: null, p95: null };
+    lines.push(`  ${endpoint.key}`,
+      `    median ${ms(from.median)} -> ${ms(to.median)}${signed(endpoint.median, from.median)}`,
+      `    p95    ${ms(from.p95)} -> ${ms(to.p95)}${signed(endpoint.p95, from.p95)}`);
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Collect the trend over a series of runs
+ * @param {object[]} records - Records, oldest first
+ * @returns {object} - runs (summaries), endpoints (median and p95 per run,
+ *   null where a run did not call the endpoint) and unstable tests (status
+ *   per run for every test that failed at least once, most flips first)
+ */
+const buildTrend = (records) => {
+  const stats = records.map(endpointStats);
+  const keys = [...new Set(stats.flatMap(entry => [...entry.keys()]))].sort();
+  const statuses = new Map();
+  records.forEach((record, index) => record.tests.forEach(test => {
+    if (!statuses.has(test.id)) {
+      statuses.set(test.id, records.map(() => null));
+    }
+    statuses.get(test.id)[index] = test.status;
+  }));
+
+  const tests = [...statuses.entries()]
+    .filter(([, list]) => list.includes('failed'))
+    .map(([id, list]) => {
+      const ran = list.filter(status => status === 'passed' || status === 'failed');
+      return {
+        id,
+        statuses: list,
+        failures: ran.filter(status => status === 'failed').length,
+        flips: ran.slice(1).filter((status, index) => status !== ran[index]).length
+      };
+    })
+    .sort((a, b) => b.flips - a.flips || b.failures - a.failures || a.id.localeCompare(b.id));
+
+  return {
+    runs: records.map(record => ({ id: record.id, startedAt: record.startedAt, duration: record.duration, ...record.summary })),
+    endpoints: keys.map(key => ({
+      key,
+      median: stats.map(entry => (entry.has(key) ? entry.get(key).median : null)),
+      p95: stats.map(entry => (entry.has(key) ? entry.get(key).p95 : null))
+    })),
+    tests
+  };
+};
+
+const TREND_STYLE = `${STYLE}
+svg { background: #f6f8fa; }
+.run { display: inline-block; width: 1rem; height: 1rem; margin-right: 1px; }
+.run.passed { background: #1a7f37; }
+.run.failed { background: #cf222e; }
+.run.none { background: #d0d7de; }
+`;
+
+/**
+ * Render series as an SVG line chart, one polyline per series
+ * @param {Array<Array<number|null>>} series - Values per run; null leaves a gap
+ * @param {string[]} colors - Stroke color per series
+ * @returns {string} - SVG element
+ */
+const renderChart = (series, colors) => {
+  const width = 320;
+  const height = 60;
+  const count = Math.max(...series.map(values => values.length));
+  const max = Math.max(1, ...series.flat().filter(value => value !== null));
+  const x = (index) => (count > 1 ? (index / (count - 1)) * (width - 8) + 4 : width / 2);
+  const y = (value) => height - 4 - (value / max) * (height - 8);
+  const lines = series.map((values, index) => {
+    const segments = [[]];
+    values.forEach((value, run) => {
+      if (value === null) {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(`${x(run).toFixed(1)},${y(value).toFixed(1)}`);
+      }
+    });
+    return segments
+      .filter(points => points.length > 0)
+      .map(points => (points.length === 1
+        ? `<circle cx="${points[0].split(',')[0]}" cy="${points[0].split(',')[1]}" r="2" fill="${colors[index]}"/>`
+        : `<polyline points="${points.join(' ')}" fill="none" stroke="${colors[index]}" stroke-width="1.5"/>`))
+      .join('');
+  });
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">${lines.join('')}</svg>`;
+};
+
+const runCells = (statuses, runs) => statuses.map((status, index) => {
+  const kind = status === 'passed' || status === 'failed' ? status : 'none';
+  return `<span class="run ${kind}" title="${escapeHtml(`${runs[index].startedAt}: ${status || 'not run'}`)}"></span>`;
+}).join('');
+
+/**
+ * Render a trend as a self-contained HTML page
+ * @param {object} trend - Result of buildTrend
+ * @returns {string} - HTML document
+ */
+const renderTrend = (trend) => {
+  const { runs } = trend;
+  const first = runs[0];
+  const last = runs[runs.length - 1];
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8"><title>Theta Chain API Test Trend</title>',
+    `<style>${TREND_STYLE}</style></head><body>`,
+    '<h1>Theta Chain API Test Trend</h1>',
+    `<p>${runs.length} runs${first ? ` · ${escapeHtml(first.startedAt)} to ${escapeHtml(last.startedAt)}` : ''}</p>`,
+    '<h2>Runs</h2>',
+    `<p>${renderChart([runs.map(run => run.failed)], ['#cf222e'])} failed tests per run</p>`,
+    '<table><tr><th>Run</th><th>Tests</th><th>Passed</th><th>Failed</th><th>Skipped</th><th>Duration</th></tr>'
+  ];
+  [...runs].reverse().forEach(run => {
+    parts.push(`<tr><td>${escapeHtml(run.startedAt)}</td><td>${run.tests}</td><td class="passed">${run.passed}</td>` +
+      `<td class="${run.failed ? 'failed' : ''}">${run.failed}</td><td>${run.skipped}</td>` +
+      `<td>${(run.duration / 1000).toFixed(1)} s</td></tr>`);
+  });
+  parts.push('</table>', '<h2>Endpoint latency</h2>',
+    '<p><span style="color: #0969da">median</span> and <span style="color: #9a6700">p95</span> per run</p>',
+    '<table><tr><th>Endpoint</th><th>Trend</th><th>Latest median</th><th>Latest p95</th></tr>');
+  trend.endpoints.forEach(endpoint => {
+    parts.push(`<tr><td>${escapeHtml(endpoint.key)}</td><td>${renderChart([endpoint.median, endpoint.p95], ['#0969da', '#9a6700'])}</td>` +
+      `<td>${ms(endpoint.median[endpoint.median.length - 1])}</td><td>${ms(endpoint.p95[endpoint.p95.length - 1])}</td></tr>`);
+  });
+  parts.push('</table>', '<h2>Unstable tests</h2>');
+  if (trend.tests.length === 0) {
+    parts.push('<p class="passed">No test failed in these runs.</p>');
+  } else {
+    parts.push('<table><tr><th>Test</th><th>Runs, oldest first</th><th>Failures</th><th>Flips</th></tr>');
+    trend.tests.forEach(test => {
+      parts.push(`<tr><td>${escapeHtml(test.id)}</td><td>${runCells(test.statuses, runs)}</td>` +
+        `<td class="failed">${test.failures}</td><td>${test.flips}</td></tr>`);
+    });
+    parts.push('</table>');
+  }
+
+  parts.push('</body></html>');
+  return `${parts.join('\n')}\n`;
+};
+
+module.exports = {
+  buildRunRecord,
+  listRuns,
+  saveRun,
+  loadRun,
+  isComparable,
+  comparableRuns,
+  endpointStats,
+  compareRuns,
+  formatComparison,
+  buildTrend,
+  renderTrend
+};
@@ -0,0 +1,174 @@
+const { CANONICAL_DECIMAL } = require('./decimal');
+const { validationResult } = require('./validation');
+
+/**
+ * Schema engine for config.schemas.
+ *
+ * A schema is a plain object with any of:
+ *   type                  - string | number | integer | boolean | object | array | null
+ *   required, optional    - field lists for objects
+ *   properties            - per-field schemas for objects
+ *   additionalProperties  - false to report fields not listed above
+ *   items                 - schema for every array element
+ *   minItems              - minimum array length
+ *   enum                  - allowed values
+ *   pattern               - RegExp a string must match
+ *   format                - named pattern from FORMATS
+ *   minLength             - minimum (trimmed) string length
+ *   minimum, maximum      - numeric bounds
+ *   nullable              - accept null in addition to the type
+ *
+ * Schemas with only required/optional (the original config format) are
+ * treated as objects that must carry the required fields.
+ */
+
+const FORMATS = {
+  address: /^0x[a-fA-F0-9]{40}$/,
+  pairId: /^0x[a-fA-F0-9]{40}-0x[a-fA-F0-9]{40}$/,
+  numeric: /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/,
+  // Canonical non-negative decimal string for on-chain amounts
+  decimal: CANONICAL_DECIMAL,
+  url: /^https?:\/\/\S+$/
+};
+
+/**
+ * Name the JSON type of a value the way schemas spell it
+ * @param {*} value - Any value
+ * @returns {string} - Type name
+ */
+const typeName = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeName(value);
+  if (type === 'number') {
+    return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+  }
+  return actual === type;
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const displayPath = (path) => path || '(root)';
+
+const isObjectSchema = (schema) => schema.type === 'object' ||
+  (!schema.type && (schema.required || schema.properties));
+
+/**
+ * Validate a value against a schema, collecting every error
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema
+ * @param {string} path - JSON path of the value
+ * @param {string[]} errors - Error accumulator
+ */
+const check = (value, schema, path, errors) => {
+  const at = displayPath(path);
+
+  if (value === null && schema.nullable) {
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${at}: expected ${schema.type}, got ${typeName(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: expected one of ${schema.enum.map(item => JSON.stringify(item)).join('|')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${at}: expected at least ${schema.minLength} non-blank characters`);
+    }
+    if (schema.format) {
+      const format = FORMATS[schema.format];
+      if (!format) {
+        errors.push(`${at}: unknown format ${schema.format}`);
+      } else if (!format.test(value)) {
+        errors.push(`${at}: expected ${schema.format}`);
+      }
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`${at}: expected to match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: expected >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: expected <= ${schema.maximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: expected at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (isObjectSchema(schema)) {
+    if (typeName(value) !== 'object') {
+      errors.push(`${at}: expected object, got ${typeName(value)}`);
+      return;
+    }
+
+    const required = schema.required || [];
+    const properties = schema.properties || {};
+
+    required.forEach(field => {
+      if (!Object.prototype.hasOwnProperty.call(value, field)) {
+        errors.push(`${joinPath(path, field)}: missing required field`);
+      }
+    });
+
+    Object.keys(properties).forEach(field => {
+      if (Object.prototype.hasOwnProperty.call(value, field)) {
+        check(value[field], properties[field], joinPath(path, field), errors);
+      }
+    });
+
+    if (schema.additionalProperties === false) {
+      const known = new Set([...required, ...(schema.optional || []), ...Object.keys(properties)]);
+      Object.keys(value).forEach(field => {
+        if (!known.has(field)) {
+          errors.push(`${joinPath(path, field)}: unexpected field`);
+        }
+      });
+    }
+  }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema
+ * @param {string} path - JSON path prefix used in error messages
+ * @returns {object} - Validation result
+ */
+const validate = (value, schema, path = '') => {
+  const errors = [];
+  check(value, schema, path, errors);
+  return validationResult(errors);
+};
+
+module.exports = {
+  validate,
+  typeName,
+  FORMATS
+};
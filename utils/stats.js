@@ -0,0 +1,58 @@
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - Percentile value, null for no values
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+/**
+ * Descriptive statistics for a set of durations
+ * @param {number[]} values - Durations in ms
+ * @returns {object} - count, min, max, mean, median, p90, p95, p99 and sample stddev
+ */
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const count = sorted.length;
+  if (count === 0) {
+    return { count, min: null, max: null, mean: null, median: null, p50: null, p90: null, p95: null, p99: null, stddev: null };
+  }
+
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+  const variance = count > 1
+    ? sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (count - 1)
+    : 0;
+  const half = Math.floor(count / 2);
+
+  return {
+    count,
+    min: sorted[0],
+    max: sorted[count - 1],
+    mean,
+    median: count % 2 === 0 ? (sorted[half - 1] + sorted[half]) / 2 : sorted[half],
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    stddev: Math.sqrt(variance)
+  };
+};
+
+/**
+ * Milliseconds elapsed since a process.hrtime.bigint() reading
+ * @param {bigint} start - Start reading
+ * @returns {number} - Elapsed ms with sub-millisecond precision
+ */
+const elapsedMs = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+module.exports = {
+  percentile,
+  summarize,
+  elapsedMs
+};
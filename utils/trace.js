@@ -0,0 +1,117 @@
+const path = require('path');
+const config = require('../config/config');
+const { recordExchange, readExchanges } = require('./contract');
+const { currentTest, redact } = require('./logger');
+
+// Per-test traces for the JUnit/HTML reporter (jest/reporter.js). Test files
+// run in separate workers, so entries go to a JSON-lines file that the
+// reporter reads once the run completes.
+
+const traceFile = () => path.resolve(__dirname, '..', config.reporting.traceFile);
+
+const traced = new Map();
+
+/**
+ * Render a request or response body for a report, cut to maxLength
+ * @param {*} body - Body as sent or received
+ * @param {number} maxLength - Longest string kept
+ * @returns {string|null} - Printable body
+ */
+const truncateBody = (body, maxLength = config.reporting.maxBodyLength) => {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+  if (Buffer.isBuffer(body)) {
+    return `<${body.length} bytes>`;
+  }
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return text.length > maxLength
+    ? `${text.slice(0, maxLength)}… (${text.length - maxLength} more chars)`
+    : text;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Mask credentials in a body with config.logging.redact. JSON text is
+ * parsed first so its properties are masked too; text that does not parse,
+ * such as a truncated body, has the string values of those properties masked.
+ * @param {*} body - Body as sent or received
+ * @param {string[]} keys - Property names to mask
+ * @returns {*} - Redacted body
+ */
+const redactBody = (body, keys = config.logging.redact) => {
+  if (typeof body !== 'string' || !/^\s*[[{]/.test(body)) {
+    return redact(body, keys);
+  }
+  try {
+    return JSON.stringify(redact(JSON.parse(body), keys));
+  } catch (error) {
+    const names = keys.map(escapeRegExp).join('|');
+    return redact(body.replace(new RegExp(`("(?:${names})"\\s*:\\s*)"(?:[^"\\\\]|\\\\.)*"?`, 'gi'), '$1"[REDACTED]"'), keys);
+  }
+};
+
+/**
+ * Trace one HTTP attempt made by the running test. Only the first
+ * config.reporting.maxExchanges attempts of a test are kept.
+ * @param {object} exchange - method, url, endpoint, status, latency, bodies
+ */
+const traceExchange = (exchange) => {
+  const test = currentTest();
+  if (!test) {
+    return;
+  }
+  const key = `${test.testPath}::${test.test}`;
+  const count = traced.get(key) || 0;
+  traced.set(key, count + 1);
+  if (count >= config.reporting.maxExchanges) {
+    return;
+  }
+  recordExchange(traceFile(), {
+    type: 'exchange',
+    ...test,
+    ...exchange,
+    requestBody: truncateBody(redactBody(exchange.requestBody)),
+    responseBody: truncateBody(redactBody(exchange.responseBody))
+  });
+};
+
+/**
+ * Trace failed schema or contract validation in the running test
+ * @param {string} source - 'schema' or 'contract'
+ * @param {string} target - What was validated, e.g. a JSON path or operation
+ * @param {string[]} errors - Validation errors
+ */
+const traceValidation = (source, target, errors) => {
+  const test = currentTest();
+  if (!test || errors.length === 0) {
+    return;
+  }
+  recordExchange(traceFile(), { type: 'validation', ...test, source, target, errors });
+};
+
+/**
+ * Read traces grouped by test
+ * @param {string} file - Trace file path
+ * @returns {Map} - `${testPath}::${test}` to { exchanges, validations }
+ */
+const readTraces = (file = traceFile()) => {
+  const traces = new Map();
+  readExchanges(file).forEach(entry => {
+    const key = `${entry.testPath}::${entry.test}`;
+    if (!traces.has(key)) {
+      traces.set(key, { exchanges: [], validations: [] });
+    }
+    traces.get(key)[entry.type === 'exchange' ? 'exchanges' : 'validations'].push(entry);
+  });
+  return traces;
+};
+
+module.exports = {
+  truncateBody,
+  redactBody,
+  traceExchange,
+  traceValidation,
+  readTraces
+};
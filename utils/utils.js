@@ -1,13 +1,38 @@
+const path = require('path');
 const axios = require('axios');
 const config = require('../config/config');
+const { createMockServer } = require('../mock/server');
+const { validate, typeName } = require('./schema');
+const { validationResult } = require('./validation');
+const { loadSpec, resolveSpecPath, findOperation, validateResponse } = require('./openapi');
+const { recordExchange } = require('./contract');
+const { ERROR_KINDS, classifyError, detectInvalidJson } = require('./errors');
+const { elapsedMs } = require('./stats');
+const { sleep, isRetryable, retryDelay, createCircuitBreakers } = require('./resilience');
+const { createCassettes } = require('./cassette');
+const { createSessions } = require('./auth');
+const { traceExchange, traceValidation } = require('./trace');
+const { createLogger } = require('./logger');
+
+const logger = createLogger(config.logging);
+const circuitBreakers = createCircuitBreakers(config.circuitBreaker);
+const cassettes = createCassettes({ ...config.cassettes, redact: config.logging.redact });
+// True while a test has switched the mock server to a failure scenario, so
+// the responses it provokes are not logged as contract errors
+let provoked = false;
+const sessions = createSessions(
+  (endpoint, options) => makeRequest(endpoint, { ...options, auth: false, retry: false }),
+  config.endpoints.auth
+);
 
 /**
- * Helper function to make API requests
+ * Send a single request, turning failures into response-shaped objects.
+ * URLs and statuses are logged at debug level, headers and bodies at trace.
  * @param {string} endpoint - API endpoint
  * @param {object} options - Request options
  * @returns {Promise} - Response promise
  */
-const makeRequest = async (endpoint, options = {}) => {
+const sendRequest = async (endpoint, options = {}) => {
   const url = `${config.baseURL}${endpoint}`;
   const defaultOptions = {
     timeout: config.timeouts.request,
@@ -16,117 +41,311 @@ const makeRequest = async (endpoint, options = {}) => {
     }
   };
   
+  const method = (options.method || 'GET').toUpperCase();
+  const headers = { ...defaultOptions.headers, ...options.headers };
+  
   try {
-    console.log(`Making request to: ${url}`);
+    logger.debug('Request sent', { method, url });
+    logger.trace('Request details', { method, url, headers, body: options.data });
     const response = await axios({
       url,
       ...defaultOptions,
-      ...options
+      ...options,
+      headers
     });
-    console.log(`Response status: ${response.status}`);
+    logger.debug('Response received', { method, url, status: response.status });
+    logger.trace('Response details', { url, headers: response.headers, body: response.data });
+    response.error = detectInvalidJson(response);
+    if (response.error) {
+      logger.info('Invalid JSON body', { method, url, error: response.error.message });
+    }
     return response;
   } catch (error) {
-    console.error(`Request failed: ${url}`, error.message);
     if (error.response) {
-      console.error(`Response status: ${error.response.status}`);
-      console.error(`Response data:`, error.response.data);
-      return error.response;
-    } else if (error.request) {
-      console.error('No response received');
-      return {
-        status: 0,
-        data: { error: 'No response received' },
-        headers: {}
-      };
-    } else {
-      console.error('Request setup error:', error.message);
-      return {
-        status: 0,
-        data: { error: error.message },
-        headers: {}
+      logger.info('Request failed', { method, url, status: error.response.status, error: error.message });
+      logger.trace('Response details', { url, headers: error.response.headers, body: error.response.data });
+      error.response.error = {
+        kind: ERROR_KINDS.HTTP_ERROR,
+        code: error.code || null,
+        message: error.message
       };
+      return error.response;
     }
+
+    const classified = classifyError(error);
+    logger.info(error.request ? 'No response received' : 'Request setup error', {
+      method,
+      url,
+      kind: classified.kind,
+      error: error.message
+    });
+    return {
+      status: 0,
+      code: classified.code,
+      error: classified,
+      data: { error: error.message },
+      headers: {}
+    };
   }
 };
 
 /**
- * Validate response schema
+ * Validate a response against the OpenAPI contract and record which
+ * operation it exercised. Attaches the result as response.contract.
+ * Mismatches on error responses and on responses from a mock scenario a
+ * test switched to are logged at info level, since tests provoke those on
+ * purpose; the rest are logged as errors.
+ * @param {string} endpoint - API endpoint
+ * @param {string} method - HTTP method
  * @param {object} response - API response
- * @param {object} schema - Expected schema
- * @returns {object} - Validation result
  */
-const validateSchema = (response, schema) => {
-  const errors = [];
-  
-  // Check if response has required fields
-  schema.required.forEach(field => {
-    if (!response.hasOwnProperty(field)) {
-      errors.push(`Missing required field: ${field}`);
-    }
+const checkContract = (endpoint, method, response) => {
+  if (!config.openapi.spec) {
+    return;
+  }
+
+  const spec = loadSpec(resolveSpecPath(config.openapi.spec));
+  const operation = findOperation(spec, method, endpoint);
+  recordExchange(path.resolve(__dirname, '..', config.openapi.coverageFile), {
+    method: method.toUpperCase(),
+    path: endpoint.split('?')[0],
+    operation: operation ? operation.key : null,
+    status: response.status
   });
-  
+
+  if (!operation) {
+    response.contract = {
+      operation: null,
+      ...validationResult([`${method.toUpperCase()} ${endpoint.split('?')[0]} is not documented in the spec`])
+    };
+    return;
+  }
+  if (response.status === 0) {
+    return;
+  }
+
+  const validation = validateResponse(spec, operation, response);
+  response.contract = { operation: operation.key, ...validation };
+  if (!validation.isValid) {
+    const level = response.status >= 400 || provoked ? 'info' : 'error';
+    logger[level]('Contract violation', { operation: operation.key, status: response.status, errors: validation.errors });
+    traceValidation('contract', operation.key, validation.errors);
+  }
+};
+
+/**
+ * Find the config.endpoints entry a request path belongs to, e.g.
+ * /api/token-pairs/0x1-0x2 to tokenPairs
+ * @param {string} endpoint - Request path, with or without a query
+ * @param {object} endpoints - Endpoint paths by name
+ * @returns {string|null} - Endpoint name, null for an unknown path
+ */
+const endpointName = (endpoint, endpoints = config.endpoints) => {
+  const pathname = String(endpoint).split('?')[0];
+  const matches = Object.entries(endpoints)
+    .filter(([, route]) => pathname === route || pathname.startsWith(`${route}/`))
+    .sort((a, b) => b[1].length - a[1].length);
+  return matches.length > 0 ? matches[0][0] : null;
+};
+
+/**
+ * Name the circuit breaker a request counts towards: its config.endpoints
+ * entry, so every ID, query and sub-path of an endpoint shares one breaker
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - API endpoint
+ * @returns {string} - Breaker key
+ */
+const breakerKey = (method, endpoint) => `${method} ${endpointName(endpoint) || endpoint.split('?')[0]}`;
+
+/**
+ * Response-shaped result for session credentials that could not log in
+ * @param {Error} error - Error from the session cache
+ * @returns {object} - Response with status 0 and an auth_error kind
+ */
+const authFailure = (error) => {
+  logger.info('Session login failed', { error: error.message });
   return {
-    isValid: errors.length === 0,
-    errors
+    status: 0,
+    code: null,
+    error: { kind: ERROR_KINDS.AUTH_ERROR, code: null, message: error.message },
+    data: { error: error.message },
+    headers: {},
+    retry: { count: 0, attempts: [] }
   };
 };
 
+/**
+ * Helper function to make API requests.
+ * Retries idempotent calls per config.retry and short-circuits endpoints
+ * whose circuit breaker (one per endpoint, see breakerKey) is open. The
+ * returned response carries `retry: { count, attempts }`, one attempt entry
+ * per failed try, and `error: { kind, code, message }` (null on success),
+ * see utils/errors.js.
+ * Every attempt goes through the cassette layer (config.cassettes);
+ * responses served from a cassette carry `replayed: true`.
+ * Credentials come from config.auth unless `auth` overrides them (false
+ * for an anonymous call); a session whose token is rejected with 401 is
+ * renewed and the request sent once more, see utils/auth.js; a session
+ * that cannot log in yields status 0 with an `auth_error` kind.
+ * `contract: false` skips OpenAPI validation, for transport-level checks
+ * such as preflights, conditional or undecoded requests.
+ * @param {string} endpoint - API endpoint
+ * @param {object} options - Request options, plus `retry` overrides or false,
+ *   `auth` credentials or false and `contract`
+ * @returns {Promise} - Response promise
+ */
+const makeRequest = async (endpoint, options = {}) => {
+  const { retry: retryOptions, auth: authOptions, contract = true, ...requestOptions } = options;
+  const auth = authOptions === undefined ? config.auth : authOptions || { type: 'none' };
+  const method = (requestOptions.method || 'GET').toUpperCase();
+  const key = breakerKey(method, endpoint);
+  const policy = retryOptions === false
+    ? { ...config.retry, retries: 0 }
+    : { ...config.retry, ...retryOptions };
+
+  if (!circuitBreakers.allow(key)) {
+    logger.info('Circuit open, skipping request', { request: key });
+    return {
+      status: 0,
+      code: 'ECIRCUITOPEN',
+      error: { kind: ERROR_KINDS.CIRCUIT_OPEN, code: 'ECIRCUITOPEN', message: `Circuit open for ${key}` },
+      data: { error: `Circuit open for ${key}` },
+      headers: {},
+      retry: { count: 0, attempts: [] }
+    };
+  }
+
+  let headers;
+  try {
+    headers = await sessions.headers(auth);
+  } catch (error) {
+    return authFailure(error);
+  }
+  const send = async () => {
+    const start = process.hrtime.bigint();
+    const result = await cassettes.intercept(method, endpoint, () => sendRequest(endpoint, {
+      ...requestOptions,
+      headers: { ...headers, ...requestOptions.headers }
+    }));
+    traceExchange({
+      method,
+      url: `${config.baseURL}${endpoint}`,
+      endpoint,
+      status: result.status,
+      latency: elapsedMs(start),
+      errorKind: result.error ? result.error.kind : null,
+      replayed: Boolean(result.replayed),
+      requestBody: requestOptions.data,
+      responseBody: result.data
+    });
+    return result;
+  };
+  const attempts = [];
+  let response = await send();
+  if (response.status === 401 && auth.type === 'session') {
+    logger.info('Session rejected, renewing', { username: auth.username });
+    try {
+      headers = await sessions.renew(auth);
+    } catch (error) {
+      return authFailure(error);
+    }
+    response = await send();
+  }
+  while (attempts.length < policy.retries && isRetryable(policy, method, response)) {
+    const delay = retryDelay(policy, attempts.length + 1, response.headers);
+    attempts.push({ attempt: attempts.length + 1, status: response.status, code: response.code, delay });
+    logger.info('Retrying request', { request: key, delay, attempt: attempts.length + 1, of: policy.retries + 1 });
+    await sleep(response.replayed ? 0 : delay);
+    response = await send();
+  }
+
+  circuitBreakers.record(key, response);
+  response.retry = { count: attempts.length, attempts };
+  if (contract) {
+    checkContract(endpoint, method, response);
+  }
+  return response;
+};
+
+/**
+ * Close every circuit breaker, e.g. between tests that simulate outages
+ */
+const resetCircuitBreakers = () => {
+  circuitBreakers.reset();
+};
+
+/**
+ * Forget every logged-in session so the next request logs in again
+ */
+const resetSessions = () => {
+  sessions.reset();
+};
+
+/**
+ * Validate response schema
+ * @param {object} response - API response
+ * @param {object} schema - Expected schema (see utils/schema.js)
+ * @param {string} jsonPath - JSON path of the response, used in error messages
+ * @returns {object} - Validation result
+ */
+const validateSchema = (response, schema, jsonPath = '') => {
+  const validation = validate(response, schema, jsonPath);
+  if (validation.errors.length > 0) {
+    logger.info('Schema validation failed', { path: jsonPath || '(root)', errors: validation.errors });
+  } else {
+    logger.debug('Schema validated', { path: jsonPath || '(root)' });
+  }
+  traceValidation('schema', jsonPath || '(root)', validation.errors);
+  return validation;
+};
+
 /**
  * Validate array response schema
  * @param {array} response - API response array
  * @param {object} schema - Expected schema for each item
+ * @param {string} jsonPath - JSON path of the array, used in error messages
  * @returns {object} - Validation result
  */
-const validateArraySchema = (response, schema) => {
+const validateArraySchema = (response, schema, jsonPath = '') => {
   if (!Array.isArray(response)) {
-    return {
-      isValid: false,
-      errors: ['Response is not an array']
-    };
+    const errors = [`${jsonPath || '(root)'}: expected array, got ${typeName(response)}`];
+    logger.info('Schema validation failed', { path: jsonPath || '(root)', errors });
+    traceValidation('schema', jsonPath || '(root)', errors);
+    return validationResult(errors);
   }
   
-  const errors = [];
-  response.forEach((item, index) => {
-    const validation = validateSchema(item, schema);
-    validation.errors.forEach(error => {
-      errors.push(`Item ${index}: ${error}`);
-    });
-  });
-  
-  return {
-    isValid: errors.length === 0,
-    errors
-  };
+  return validateSchema(response, { type: 'array', items: schema }, jsonPath);
 };
 
 /**
  * Test case wrapper
  * @param {string} name - Test name
  * @param {function} testFn - Test function
+ * @param {number} timeout - Test timeout in ms, defaults to config.timeouts.test
  * @returns {function} - Jest test function
  */
-const createTestCase = (name, testFn) => {
+const createTestCase = (name, testFn, timeout = config.timeouts.test) => {
   return test(name, async () => {
     try {
       await testFn();
     } catch (error) {
-      console.error(`Test failed: ${name}`, error.message);
+      logger.error('Test failed', { error: error.message });
       throw error;
     }
-  }, config.timeouts.test);
+  }, timeout);
 };
 
 /**
- * Performance test helper
+ * Performance test helper, timing a single call with process.hrtime.
+ * For repeated measurements against a config budget use utils/benchmark.js.
  * @param {function} requestFn - Request function
  * @param {number} maxTime - Maximum allowed time in ms
  * @returns {object} - Performance result
  */
 const measurePerformance = async (requestFn, maxTime = 1000) => {
-  const startTime = Date.now();
+  const start = process.hrtime.bigint();
   const response = await requestFn();
-  const endTime = Date.now();
-  const duration = endTime - startTime;
+  const duration = elapsedMs(start);
   
   return {
     duration,
@@ -135,10 +354,88 @@ const measurePerformance = async (requestFn, maxTime = 1000) => {
   };
 };
 
+/**
+ * Whether tests run against the bundled mock servers: the profile's
+ * mockServer flag, overridden by MOCK_SERVER=on/off
+ * @returns {boolean} - True when the mock servers are used
+ */
+const mockServerEnabled = () => (process.env.MOCK_SERVER
+  ? process.env.MOCK_SERVER !== 'off'
+  : config.mockServer);
+
+/**
+ * Serve the current test file from the bundled mock explorer server.
+ * Registers Jest hooks that start the server, point config.baseURL at it
+ * and restore the initial scenario after every test. Enabled by the
+ * profile's mockServer flag; MOCK_SERVER=on/off overrides it.
+ * @param {string} scenario - Initial scenario (healthy, error, slow, malformed)
+ * @returns {object} - Handle for registering mock-only tests, switching
+ *   scenarios, expiring auth tokens and inspecting requests
+ */
+const useMockServer = (scenario = 'healthy') => {
+  const enabled = mockServerEnabled();
+  const server = createMockServer({ scenario });
+  let originalBaseURL;
+
+  if (enabled) {
+    beforeAll(async () => {
+      originalBaseURL = config.baseURL;
+      config.baseURL = await server.start();
+    });
+
+    afterEach(() => {
+      server.reset();
+      provoked = false;
+      resetCircuitBreakers();
+      resetSessions();
+    });
+
+    afterAll(async () => {
+      config.baseURL = originalBaseURL;
+      await server.stop();
+    });
+  }
+
+  return {
+    enabled,
+    /**
+     * Register a test that needs the mock server, i.e. one that switches
+     * scenarios, expires tokens or inspects requests. Skipped when the
+     * mock server is off, since setScenario and expireTokens do nothing then.
+     * @param {string} name - Test name
+     * @param {function} testFn - Test function
+     * @param {number} timeout - Test timeout
+     */
+    createMockCase: (name, testFn, timeout) => (enabled
+      ? createTestCase(name, testFn, timeout)
+      : test.skip(name, testFn)),
+    setScenario: (name, options) => {
+      if (enabled) {
+        server.setScenario(name, options);
+        provoked = name !== scenario;
+      }
+    },
+    expireTokens: (expireOptions) => {
+      if (enabled) {
+        server.expireTokens(expireOptions);
+      }
+    },
+    get requests() {
+      return server.requests;
+    }
+  };
+};
+
 module.exports = {
+  logger,
   makeRequest,
+  endpointName,
+  resetCircuitBreakers,
+  resetSessions,
   validateSchema,
   validateArraySchema,
   createTestCase,
-  measurePerformance
+  measurePerformance,
+  mockServerEnabled,
+  useMockServer
 }; 
\ No newline at end of file
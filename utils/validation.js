@@ -0,0 +1,12 @@
+/**
+ * Result shape shared by every validator in the suite. It lives in its own
+ * module so that utils/decimal.js, which utils/schema.js depends on, can
+ * use it too.
+ * @param {string[]} errors - Errors found
+ * @returns {object} - { isValid, errors }
+ */
+const validationResult = (errors) => ({ isValid: errors.length === 0, errors });
+
+module.exports = {
+  validationResult
+};